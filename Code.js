@@ -1,83 +1,463 @@
+/**
+ * Adds the Directory menu to the spreadsheet when it is opened
+ */
+function onOpen() {
+    SpreadsheetApp.getUi()
+        .createMenu("Directory")
+        .addItem("Open sidebar", "showSidebar")
+        .addSeparator()
+        .addItem("Import new responses", "addAllFormResponses")
+        .addItem("Preview import (dry run)", "previewAllFormResponses")
+        .addItem("Process approved reviews", "processApprovedReviews")
+        .addItem("Requeue failed Wix changes", "requeueWixDeadLetters")
+        .addItem("Compare directory with Wix", "reconcileDirectoryWithWix")
+        .addItem("Apply reconciliation fixes", "applyReconciliationFixes")
+        .addSeparator()
+        .addItem("Re-sort directory", "sortDirectory")
+        .addItem("Check data quality", "scanDataQuality")
+        .addItem("Refresh chapter rosters", "exportChapterRosters")
+        .addItem("Remove selected members", "removeSelectedMembers")
+        .addItem("Graduate seniors", "graduateSeniors")
+        .addSeparator()
+        .addItem("Subscribe all contacts", "subscribeAllContacts")
+        .addItem("Install triggers", "registerTriggers")
+        .addToUi();
+}
+
+/**
+ * Opens the officer sidebar for running imports, dry runs, reconciliation and review actions
+ */
+function showSidebar() {
+    SidebarHandler.show();
+}
+
+/**
+ * Runs an action for the sidebar; called from the sidebar through google.script.run
+ * @param {string} action - Key of the action in SidebarHandler.ACTIONS
+ * @returns {string} - Summary of the results
+ */
+function runSidebarAction(action) {
+    return SidebarHandler.run(action);
+}
+
+/**
+ * Reports the progress of the action the sidebar is running; polled by the sidebar
+ * @returns {object|null} - The latest {action, status, message, summary}
+ */
+function getSidebarProgress() {
+    return Progress.get();
+}
+
+/**
+ * Adds every "Approved" submission on the "Needs Review" sheet to the directory and Wix
+ * @returns {number} - The number of submissions processed
+ */
+function processApprovedReviews() {
+    return DirectoryLock.run(() => {
+        SheetData.initialize();
+        return ReviewQueue.processApproved();
+    });
+}
+
 /**
  * Registers all Google Apps Script triggers for the program
+ * Safe to run again: existing triggers are kept, and duplicate or stale ones are removed
+ * @returns {object} - {installed, removed} lists of handler names
  */
 function registerTriggers() {
-    const membershipForm = FormApp.openById(SheetData.MEMBERSHIP_FORM_ID);
+    SheetData.initialize();
+    return TriggerRegistry.install();
+}
+
+/**
+ * Logs which triggers are installed and when each last succeeded
+ * @returns {array<object>} - {handler, description, installed, count, lastSuccess} for each trigger
+ */
+function getTriggerStatus() {
+    const status = TriggerRegistry.getStatus();
+    status.forEach(trigger => {
+        const installed = !trigger.installed ? "NOT INSTALLED" : trigger.count > 1 ? `installed ${trigger.count} times` : "installed";
+        const lastSuccess = trigger.lastSuccess ? trigger.lastSuccess.toISOString() : "never";
+        console.log(`${trigger.handler} (${trigger.description}): ${installed}, last succeeded ${lastSuccess}`);
+    });
+    return status;
+}
+
+/**
+ * Retries the Wix changes that failed while Wix was unavailable
+ * Runs on a time-driven trigger installed by registerTriggers()
+ * @returns {object} - Counts of {sent, failed, dead} changes
+ */
+function drainWixOutbox() {
+    SheetData.initialize();
+    const result = WixOutbox.drain();
+    TriggerRegistry.recordSuccess("drainWixOutbox");
+    return result;
+}
 
-    ScriptApp.newTrigger('handleFormSubmission')
-        .forForm(membershipForm)
-        .onFormSubmit()
-        .create();
+/**
+ * Moves every ticked row on the "Wix Dead Letters" sheet back into the Wix outbox
+ * @returns {number} - The number of changes requeued
+ */
+function requeueWixDeadLetters() {
+    SheetData.initialize();
+    return WixOutbox.requeueDeadLetters();
 }
 
 /**
  * Updates the Food4Philly directory with all new responses to the Membership Form
- * Should be run once to batch update with all new entries
+ * Skips responses already recorded in the ResponseLedger and checkpoints them once the batch is written
+ * The Members sheet is read once into MemberTable and every insert and update is written back together at the end
+ * A response that fails is logged and left out of the ledger so the next run retries it
+ * Each response is recorded on the "Run Log" sheet, and officers are emailed a digest of any failures
+ * Schedules a continuation of itself when it nears the Apps Script execution time limit
+ * Holds the DirectoryLock for the whole run, so form submissions wait rather than insert rows under it
+ * @returns {object} - Counts of {processed, failed, remaining} responses
+ * @throws {Error} - If another run is updating the directory
  */
 function addAllFormResponses(){ 
+    const startTime = Date.now();
+    return DirectoryLock.run(() => importFormResponses_(startTime));
+}
+
+/**
+ * Body of addAllFormResponses(), run while holding the DirectoryLock
+ * @param {number} startTime - When the run started (milliseconds since epoch)
+ * @returns {object} - Counts of {processed, failed, remaining} responses
+ */
+function importFormResponses_(startTime) {
     const membershipForm = FormApp.openById(SheetData.MEMBERSHIP_FORM_ID);
-    const responses = FormUtils.getFormResponses(membershipForm);
 
     SheetData.initialize();
+    FormMapping.initialize(membershipForm);
+    ResponseLedger.load();
 
-    for (response of responses){
-        const entry = Entry.fromFormResponse(response);
-        SheetHandler.processFormResponse(entry);
-        WixHandler.processFormResponse(entry);
+    if (!ChangePlan.enabled)
+        ResponseLedger.clearContinuation();
+
+    const responses = membershipForm.getResponses()
+        .filter(response => !ResponseLedger.has(response));
+    console.log(`Processing ${responses.length} new form response(s)`);
+
+    let failed = 0;
+    RunLog.begin("Batch import");
+    MemberTable.load();
+    ResponseLedger.deferWrites();
+    try {
+        for (let i = 0; i < responses.length; i++){
+            if (ResponseLedger.isNearTimeLimit(startTime)) {
+                console.log(`Stopped after ${i} response(s) to stay under the time limit; ${responses.length - i} remaining`);
+                if (!ChangePlan.enabled)
+                    ResponseLedger.scheduleContinuation("addAllFormResponses");
+                return { processed: i - failed, failed, remaining: responses.length - i };
+            }
+
+            Progress.report(`Processing response ${i + 1} of ${responses.length}`);
+            try {
+                processResponse_(responses[i]);
+            } catch (e) {
+                failed++;
+                console.error(`Failed to process response ${responses[i].getId()}: ${e.message}`);
+            }
+        }
+    } finally {
+        try {
+            MemberTable.flush();
+            ResponseLedger.flush();
+        } finally {
+            RunLog.end();
+        }
     }
+
+    if (failed)
+        console.error(`${failed} response(s) failed and will be retried on the next run`);
+    if (responses.length > failed)
+        refreshRosters_();
+    return { processed: responses.length - failed, failed, remaining: 0 };
 }
 
 /**
  * Subscribes all contacts in the Wix database to the newsletter
+ * Contacts who unsubscribed or whose email bounced are skipped and listed on the "Skipped Subscriptions" sheet
  * Should be run once to batch subscribe all existing contacts
+ * Subscriptions and failures are recorded on the "Run Log" sheet, and officers are emailed a digest of any failures
+ * @returns {object} - Counts of {subscribed, total} contacts
  */
 function subscribeAllContacts() {
-    const contacts = WixService.queryAllContacts();
-    console.log(`Subscribing ${contacts.length} contacts to the newsletter`);
-
-    for (contact of contacts) {
-        const name = contact?.info?.name?.first + " " + contact?.info?.name?.last;
-        const email = contact?.primaryEmail?.email;
-        console.log(`Subscribing ${name} to the newsletter`);
-        WixService.subscribeContact(email);
+    SheetData.initialize();
+    RunLog.begin("Subscription sweep");
+
+    let contacts;
+    let subscribed = 0;
+    try {
+        contacts = WixService.queryAllContacts();
+        console.log(`Subscribing ${contacts.length} contacts to the newsletter`);
+
+        for (const [i, contact] of contacts.entries()) {
+            Progress.report(`Checking contact ${i + 1} of ${contacts.length}`);
+            const name = contact?.info?.name?.first + " " + contact?.info?.name?.last;
+            const email = contact?.primaryEmail?.email;
+            try {
+                if (WixHandler.subscribe(email, name, null, contact?.primaryEmail || null)) {
+                    subscribed++;
+                    console.log(`Subscribed ${name} to the newsletter`);
+                    RunLog.record(name, "", "Subscribed");
+                }
+            } catch (e) {
+                console.error(`Failed to subscribe ${name}: ${e.message}`);
+                RunLog.record(name, "", "Subscribe", e);
+            }
+        }
+    } catch (e) {
+        RunLog.record("All contacts", "", "Load contacts", e);
+        throw e;
+    } finally {
+        RunLog.end();
+    }
+
+    console.log(`Subscribed ${subscribed} of ${contacts.length} contacts to the newsletter`);
+    return { subscribed, total: contacts.length };
+}
+
+/**
+ * Dry run of addAllFormResponses()
+ * Logs every row insert, cell change, contact create/update and subscription that would be made
+ * and writes the plan to the "Pending Changes" sheet without modifying the directory or Wix
+ * @returns {array<object>} - The planned changes
+ */
+function previewAllFormResponses() {
+    let changes;
+    ChangePlan.begin();
+    try {
+        addAllFormResponses();
+    } finally {
+        // A run that failed before opening the directory (e.g. because it was busy) has no sheet to write the plan to
+        changes = ChangePlan.end(SheetData.directory !== null);
     }
+    return changes;
 }
 
 /**
- * Test function to verify that the SheetHandler and WixHandler are working correctly
+ * Dry run of subscribeAllContacts()
+ * Logs every subscription that would be made and writes the plan to the "Pending Changes" sheet
+ * @returns {array<object>} - The planned changes
  */
-function test() {
+function previewSubscribeAllContacts() {
+    let changes;
+    ChangePlan.begin();
+    try {
+        subscribeAllContacts();
+    } finally {
+        // A run that failed before opening the directory (e.g. because it was busy) has no sheet to write the plan to
+        changes = ChangePlan.end(SheetData.directory !== null);
+    }
+    return changes;
+}
+
+/**
+ * Scans the Members sheet for likely duplicate members and lists them on the "Duplicates" sheet for review
+ * @returns {array<array<object>>} - The clusters of possible duplicates
+ */
+function auditDuplicateMembers() {
     SheetData.initialize();
+    return DuplicateHandler.audit();
+}
 
-    const entry = new Entry();
-    entry.name = "Test User";
-    entry.email = "test@gmail.com";
-    entry.phone = "123-456-7890";
-    entry.chapter = "The Haverford School";
-    entry.team = "Executive";
-    entry.grade = "Senior";
-    entry.title = "Testing Manager";
-    entry.parentEmails = ["test_parent@gmail.com"];
+/**
+ * Merges every cluster of approved rows on the "Duplicates" sheet into a single Members row
+ * @returns {number} - The number of clusters merged
+ */
+function mergeApprovedDuplicates() {
+    return DirectoryLock.run(() => {
+        SheetData.initialize();
+        return DuplicateHandler.mergeApproved();
+    });
+}
+
+/**
+ * Compares the Members sheet with the Wix CRM and lists every difference on the "Reconciliation" sheet
+ * @returns {array<object>} - The differences found
+ */
+function reconcileDirectoryWithWix() {
+    SheetData.initialize();
+    return ReconcileHandler.reconcile();
+}
+
+/**
+ * Applies the fixes chosen in the Apply column of the "Reconciliation" sheet
+ * @returns {number} - The number of fixes applied
+ */
+function applyReconciliationFixes() {
+    return DirectoryLock.run(() => {
+        SheetData.initialize();
+        return ReconcileHandler.applyFixes();
+    });
+}
+
+/**
+ * Removes the members in the rows selected on the Members sheet, moving them to the "Alumni" sheet
+ * and retiring their Wix contacts
+ */
+function removeSelectedMembers() {
+    // The alerts are shown once the lock is released, so an open dialog never holds up form submissions
+    const removed = DirectoryLock.run(() => {
+        SheetData.initialize();
+
+        const range = SpreadsheetApp.getActiveRange();
+        if (!range || range.getSheet().getName() !== SheetData.memberSheet.getName())
+            return null;
 
-    SheetHandler.processFormResponse(entry);
-    WixHandler.processFormResponse(entry);
+        const rows = Array.from({ length: range.getNumRows() }, (_, i) => range.getRow() + i);
+        return OffboardHandler.remove(rows);
+    });
+
+    SpreadsheetApp.getUi().alert(removed === null
+        ? "Select the rows of the members to remove on the Members sheet first"
+        : `Removed ${removed} member(s) from the directory`);
+}
+
+/**
+ * Annual graduation rollover: moves Seniors to the "Alumni" sheet and advances every other member's grade
+ * Refuses to run twice in the same year unless force is true
+ * 
+ * @param {boolean} force - Whether to run even if the rollover already ran this year
+ * @returns {object} - Counts of {graduated, advanced, skipped} members
+ */
+function graduateSeniors(force) {
+    return DirectoryLock.run(() => {
+        SheetData.initialize();
+        return OffboardHandler.graduate(force === true);
+    });
+}
+
+/**
+ * Re-sorts the Members sheet by the order of the Teams and Chapters sheets, then by name
+ * Repairs the layout after manual edits: every team gets a section header and rows keep their formatting
+ * Holds the DirectoryLock, so no import or form submission moves rows while the sheet is rewritten
+ * @returns {object} - Counts of {members, moved, headersAdded}
+ * @throws {Error} - If another run is updating the directory
+ */
+function sortDirectory() {
+    return DirectoryLock.run(() => {
+        SheetData.initialize();
+        return SortHandler.sort();
+    });
+}
+
+/**
+ * Re-validates every member, refreshes the highlighting of problem cells and writes the "Data Quality" summary sheet
+ * @returns {object} - {members, issues} counts and byType, a map of issue type to count
+ */
+function scanDataQuality() {
+    return DirectoryLock.run(() => {
+        SheetData.initialize();
+        return QualityHandler.scan();
+    });
+}
+
+/**
+ * Creates or refreshes a roster spreadsheet for each chapter and shares it read-only with the chapter's Chapter Heads
+ * Runs automatically after each form submission and batch import
+ * @returns {object} - Counts of {refreshed, unchanged, failed} chapters
+ */
+function exportChapterRosters() {
+    SheetData.initialize();
+    return RosterHandler.refresh();
+}
+
+/**
+ * Refreshes the chapter rosters after the directory changed, logging rather than throwing on failure
+ * so a roster problem never marks the import itself as failed
+ * @returns {void}
+ */
+function refreshRosters_() {
+    if (ChangePlan.enabled)
+        return;
+
+    try {
+        RosterHandler.refresh();
+    } catch (e) {
+        console.error(`Failed to refresh the chapter rosters: ${e.message}`);
+    }
 }
 
 /**
  * Google Apps Script trigger handler for form submissions
  * Called automatically whenever a new response is submitted to the Membership Form
  * Coordinates processing of the form response and associated contact creation
+ * The outcome is recorded on the "Run Log" sheet, and officers are emailed if it fails
+ * If another run is updating the directory, the response is left for a batch import scheduled shortly after
  * 
  * @param {GoogleAppsScript.Events.DocsOnOpen} e - The form submission event object containing the response
  * @returns {void}
  */
 function handleFormSubmission(e) {
-    SheetData.initialize();
+    DirectoryLock.run(() => {
+        SheetData.initialize();
+        ResponseLedger.load();
 
-    const entry = Entry.fromFormResponse(e.response);
-    
-    SheetHandler.processFormResponse(entry);
-    WixHandler.processFormResponse(entry);
+        if (ResponseLedger.has(e.response)) {
+            console.log(`Response ${e.response.getId()} was already processed`);
+            return;
+        }
+
+        RunLog.begin("Form submission");
+        try {
+            processResponse_(e.response);
+        } finally {
+            RunLog.end();
+        }
+        refreshRosters_();
+        // Only a processed response counts as a successful run; a deferred one is not done yet
+        TriggerRegistry.recordSuccess("handleFormSubmission");
+    }, () => {
+        console.warn(`The directory is busy; response ${e.response.getId()} will be imported by the next batch import`);
+        ResponseLedger.scheduleContinuation("addAllFormResponses");
+    });
 }
 
+/**
+ * Adds a single form response to the directory and Wix, or to the review queue if it needs a closer look
+ * Records the response in the ResponseLedger either way, and what was done (or why it failed) in the RunLog
+ * 
+ * @param {GoogleAppsScript.Forms.FormResponse} response - The form response to process
+ * @returns {void}
+ * @throws {Error} - If the response could not be processed
+ */
+function processResponse_(response) {
+    let name = `Response ${response.getId()}`;
+    let sheetAction = "";
+    let wixAction = "";
+
+    try {
+        const entry = Entry.fromFormResponse(response);
+        name = entry.name || name;
+
+        if (entry.issues.length) {
+            ReviewQueue.add(entry, response.getTimestamp());
+            sheetAction = "Sent to review";
+        } else {
+            sheetAction = SheetHandler.processFormResponse(entry);
+            wixAction = WixHandler.processFormResponse(entry);
+        }
+
+        ResponseLedger.record(response, entry);
+    } catch (e) {
+        RunLog.record(name, sheetAction, wixAction, e);
+        throw e;
+    }
 
+    RunLog.record(name, sheetAction, wixAction);
+}
+
+/**
+ * Google Apps Script trigger handler for edits to the directory spreadsheet
+ * Learns chapter aliases from manual chapter corrections on the Members sheet
+ * 
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object
+ * @returns {void}
+ */
+function handleDirectoryEdit(e) {
+    EditHandler.processEdit(e);
+    TriggerRegistry.recordSuccess("handleDirectoryEdit");
+}
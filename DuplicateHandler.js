@@ -0,0 +1,235 @@
+const DuplicateHandler = {
+    // Review sheet listing clusters of rows that likely belong to the same member
+    SHEET_NAME: "Duplicates",
+    SHEET_HEADER: ["Cluster", "Approve", "Status", "Row", "Name", "Email", "Phone", "Chapter", "Team", "Grade", "Match"],
+    // Column indices on the Duplicates sheet (1-indexed)
+    CLUSTER_COLUMN: 1,
+    APPROVE_COLUMN: 2,
+    STATUS_COLUMN: 3,
+    ROW_COLUMN: 4,
+    NAME_COLUMN: 5,
+    EMAIL_COLUMN: 6,
+
+    /**
+     * Scans the whole Members sheet for likely duplicates and writes them to the "Duplicates" sheet
+     * Rows are clustered when IdentityResolver scores any pair of them as a possible match
+     * Every row starts approved; reviewers untick rows that are not really duplicates
+     *
+     * @returns {array<array<object>>} - The clusters found, each a list of {row, entry, match} objects
+     */
+    audit: function() {
+        const clusters = this.findClusters(SheetHandler.getMembers());
+        const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+
+        const rows = [];
+        clusters.forEach((cluster, i) => {
+            cluster.forEach(member => {
+                const entry = member.entry;
+                rows.push([i + 1, true, "Pending", member.row, entry.name, entry.email, entry.phone, entry.chapter, entry.team, entry.grade, member.match]);
+            });
+        });
+
+        const lastRow = sheet.getLastRow();
+        if (lastRow > 1)
+            sheet.getRange(2, 1, lastRow - 1, this.SHEET_HEADER.length).clear();
+        SheetUtils.replaceRows(sheet, rows);
+        if (rows.length)
+            sheet.getRange(2, this.APPROVE_COLUMN, rows.length, 1).insertCheckboxes();
+
+        console.log(`Found ${clusters.length} cluster(s) of possible duplicates covering ${rows.length} row(s)`);
+        return clusters;
+    },
+
+    /**
+     * Groups members that IdentityResolver considers possible matches of each other
+     * Matching is transitive: if A matches B and B matches C, all three form one cluster
+     * As in DirectoryIndex.findCandidates, only pairs sharing an email, phone or chapter are scored;
+     * every other pair scores zero
+     *
+     * @param {array<object>} members - Members as {row, entry} objects
+     * @returns {array<array<object>>} - Clusters of two or more {row, entry, match} objects, in row order
+     */
+    findClusters: function(members) {
+        const parent = members.map((member, i) => i);
+        const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+        const matches = members.map(() => "");
+        const groups = this.groupBySharedKeys(members);
+
+        for (let i = 0; i < members.length; i++) {
+            const others = new Set();
+            this.sharedKeys(members[i].entry).forEach(key => groups.get(key).forEach(j => {
+                if (j > i)
+                    others.add(j);
+            }));
+
+            for (const j of Array.from(others).sort((a, b) => a - b)) {
+                const score = IdentityResolver.score(members[j].entry, members[i].entry);
+                if (score.confidence < IdentityResolver.POSSIBLE_MATCH)
+                    continue;
+
+                parent[find(j)] = find(i);
+                if (!matches[j])
+                    matches[j] = `${score.reason} matches row ${members[i].row} (${Math.round(score.confidence * 100)}%)`;
+            }
+        }
+
+        const clusters = {};
+        members.forEach((member, i) => {
+            const root = find(i);
+            (clusters[root] = clusters[root] || []).push(Object.assign({ match: matches[i] }, member));
+        });
+
+        return Object.values(clusters).filter(cluster => cluster.length > 1);
+    },
+
+    /**
+     * Lists the keys two members must share to be scored against each other
+     * @param {Entry} entry - A member
+     * @returns {array<string>} - Its normalized email, phone and chapter, skipping blank ones
+     */
+    sharedKeys: function(entry) {
+        return [
+            "email:" + IdentityResolver.normalizeEmail(entry.email),
+            "phone:" + IdentityResolver.normalizePhone(entry.phone),
+            "chapter:" + entry.chapter
+        ].filter(key => !key.endsWith(":"));
+    },
+
+    /**
+     * @param {array<object>} members - Members as {row, entry} objects
+     * @returns {Map<string, array<number>>} - Map of each shared key to the indices of the members holding it
+     */
+    groupBySharedKeys: function(members) {
+        const groups = new Map();
+        members.forEach((member, i) => this.sharedKeys(member.entry).forEach(key => {
+            if (!groups.has(key))
+                groups.set(key, []);
+            groups.get(key).push(i);
+        }));
+        return groups;
+    },
+
+    /**
+     * Merges every cluster on the "Duplicates" sheet that has two or more approved rows
+     * The first approved row keeps its place and receives the merged values, the rest are deleted
+     * Values are layered from the oldest to the newest submission (by the ResponseLedger),
+     * so as in fillData the newest non-empty value of each column wins
+     * Clusters whose rows changed since the audit are skipped
+     *
+     * @returns {number} - The number of clusters merged
+     */
+    mergeApproved: function() {
+        const sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        if (!sheet || sheet.getLastRow() < 2) {
+            console.log("No duplicates to merge; run auditDuplicateMembers() first");
+            return 0;
+        }
+
+        const listed = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.SHEET_HEADER.length).getValues();
+        const statuses = listed.map(values => [values[this.STATUS_COLUMN - 1]]);
+        const clusters = {};
+        listed.forEach((values, i) => {
+            if (values[this.APPROVE_COLUMN - 1] === true && values[this.STATUS_COLUMN - 1] === "Pending")
+                (clusters[values[this.CLUSTER_COLUMN - 1]] = clusters[values[this.CLUSTER_COLUMN - 1]] || []).push(i);
+        });
+
+        const submissionTimes = ResponseLedger.getLastSubmissionTimes();
+        const rowsToDelete = [];
+        let merged = 0;
+
+        for (const cluster in clusters) {
+            const indices = clusters[cluster];
+            if (indices.length < 2)
+                continue;
+
+            const rows = indices.map(i => listed[i][this.ROW_COLUMN - 1]);
+            const current = rows.map(row => SheetData.memberSheet.getRange(row, 1, 1, SheetData.memberColumnCount).getValues()[0]);
+
+            const stale = indices.find((listedIndex, i) => !this.isUnchanged(listed[listedIndex], current[i]));
+            if (stale !== undefined) {
+                console.warn(`Skipping cluster ${cluster}: row ${listed[stale][this.ROW_COLUMN - 1]} changed since the audit`);
+                indices.forEach(i => statuses[i][0] = "Skipped: directory changed, re-run the audit");
+                continue;
+            }
+
+            const keeper = Math.min(...rows);
+            const mergedValues = this.mergeRows(current, submissionTimes);
+            this.writeMerge(keeper, mergedValues, rows.filter(row => row !== keeper));
+
+            rows.filter(row => row !== keeper).forEach(row => rowsToDelete.push(row));
+            indices.forEach((i, position) => statuses[i][0] = rows[position] === keeper ? `Kept (merged ${rows.length} rows)` : `Merged into row ${keeper}`);
+            merged++;
+        }
+
+        rowsToDelete.sort((a, b) => b - a);
+        if (ChangePlan.enabled) {
+            rowsToDelete.forEach(row => ChangePlan.record("Directory", "Delete row", `Row ${row}`, "Merged duplicate"));
+            return merged;
+        }
+
+        rowsToDelete.forEach(row => {
+            SheetData.memberSheet.deleteRow(row);
+            DirectoryIndex.removeRow(row);
+        });
+        sheet.getRange(2, this.STATUS_COLUMN, statuses.length, 1).setValues(statuses);
+
+        console.log(`Merged ${merged} cluster(s) and deleted ${rowsToDelete.length} duplicate row(s)`);
+        return merged;
+    },
+
+    /**
+     * Checks that a Members row still holds the name and email it had when the audit listed it
+     * @param {array} listedValues - The row on the Duplicates sheet
+     * @param {array} currentValues - The row on the Members sheet
+     * @returns {boolean}
+     */
+    isUnchanged: function(listedValues, currentValues) {
+        const columns = SheetData.memberColumns;
+        return listedValues[this.NAME_COLUMN - 1] === currentValues[columns.name - 1] &&
+               listedValues[this.EMAIL_COLUMN - 1] === currentValues[columns.email - 1];
+    },
+
+    /**
+     * Layers the values of several Members rows from the oldest to the newest submission
+     * Rows without a recorded submission count as oldest, in sheet order
+     *
+     * @param {array<array>} rows - Values of each Members row in the cluster
+     * @param {object} submissionTimes - Map of email to latest submission time
+     * @returns {array} - One row holding the newest non-empty value of every column
+     */
+    mergeRows: function(rows, submissionTimes) {
+        const emailIndex = SheetData.memberColumns.email - 1;
+        const submitted = values => submissionTimes[String(values[emailIndex]).trim().toLowerCase()] || 0;
+
+        const ordered = rows
+            .map((values, i) => ({ values, i }))
+            .sort((a, b) => (submitted(a.values) - submitted(b.values)) || (a.i - b.i));
+
+        const merged = new Array(SheetData.memberColumnCount).fill("");
+        ordered.forEach(({ values }) => {
+            values.forEach((value, column) => {
+                if (value !== "")
+                    merged[column] = value;
+            });
+        });
+        return merged;
+    },
+
+    /**
+     * Writes merged values to the kept row, refreshing its highlighting and dropdowns through fillData
+     * @param {int} keeper - Row that keeps the merged member (1-indexed)
+     * @param {array} mergedValues - Values for every column of the row
+     * @param {array<int>} removed - Rows that will be deleted
+     * @returns {void}
+     */
+    writeMerge: function(keeper, mergedValues, removed) {
+        if (ChangePlan.enabled) {
+            ChangePlan.record("Directory", "Merge rows", mergedValues[SheetData.memberColumns.name - 1], `Rows ${removed.join(", ")} merged into row ${keeper}`);
+            SheetHandler.fillData(mergedValues, keeper);
+            return;
+        }
+
+        SheetData.memberSheet.getRange(keeper, 1, 1, mergedValues.length).setValues([mergedValues]);
+        SheetHandler.fillData(mergedValues, keeper);
+    }
+};
@@ -0,0 +1,60 @@
+const EditHandler = {
+    /**
+     * Processes a manual edit to the directory spreadsheet
+     * When an officer corrects a chapter the import matched wrongly, the chapter the member originally typed
+     * on the form is remembered as an alias so the same spelling matches correctly next time
+     * Only a correction of a fuzzy automatic match teaches an alias: the cell must still hold the chapter the
+     * raw answer matches, and that match must not be exact. Moving a member whose answer named their chapter
+     * (e.g. after they changed schools) says nothing about how that answer should match
+     * The edit is checked against the cell before anything else is loaded, since this runs on every edit
+     * 
+     * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event
+     * @returns {void}
+     */
+    processEdit: function(e) {
+        const range = e.range;
+        if (range.getSheet().getName() !== SheetData.MEMBERS_SHEET_NAME)
+            return;
+        if (range.getNumRows() !== 1 || range.getNumColumns() !== 1 || range.getRow() === 1)
+            return;
+
+        SheetData.open();
+        if (range.getColumn() !== SheetData.memberColumns.chapter)
+            return;
+
+        SheetData.loadChapters();
+        const chapter = String(e.value || "").trim();
+        if (!SheetData.chapters.includes(chapter))
+            return;
+
+        const member = Entry.fromDirectory(range.getRow());
+        const rawChapter = ResponseLedger.getRawChapter(member.email);
+        if (!rawChapter)
+            return;
+
+        const matcher = new Entry();
+        const matched = matcher.matchChapter(rawChapter, FuzzySet(SheetData.chapters));
+        if (String(e.oldValue || "").trim() !== matched || matcher.chapterScore === 1)
+            return;
+
+        this.learnChapter(rawChapter, chapter);
+    },
+
+    /**
+     * Adds an alias for a raw chapter answer when it does not already match the corrected chapter
+     * @param {string} rawChapter - The chapter the member typed on the form
+     * @param {string} chapter - The chapter a reviewer chose for them
+     * @returns {boolean} - True if a new alias was recorded
+     */
+    learnChapter: function(rawChapter, chapter) {
+        if (!rawChapter || !chapter)
+            return false;
+
+        const matched = new Entry().matchChapter(rawChapter, FuzzySet(SheetData.chapters));
+        if (matched === chapter)
+            return false;
+
+        SheetData.addChapterAlias(rawChapter, chapter);
+        return true;
+    }
+};
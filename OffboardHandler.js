@@ -0,0 +1,149 @@
+const OffboardHandler = {
+    // Sheet keeping the rows of members who graduated or left, with when and why
+    ALUMNI_SHEET_NAME: "Alumni",
+    ALUMNI_EXTRA_HEADER: ["Left On", "Reason"],
+    // Wix labels marking the contacts of graduated and departed members
+    ALUMNI_LABEL: "Alumni",
+    FORMER_MEMBER_LABEL: "Former Member",
+    // Script property recording the year of the last graduation rollover, so it cannot run twice in a year
+    LAST_GRADUATION_PROPERTY: "LAST_GRADUATION_YEAR",
+
+    /**
+     * Runs the annual graduation rollover
+     * Members in the last grade on the Grades sheet move to the "Alumni" sheet and have their Wix contacts
+     * relabelled "Alumni"; everyone else advances to the next grade and has their grade label updated
+     * Members with a blank or unknown grade are left alone
+     * Wix changes that do not fit in the time limit are queued in the WixOutbox, so the rollover never has
+     * to run again (which would graduate members twice) to finish them
+     *
+     * @param {boolean} force - Whether to run even if the rollover already ran this year
+     * @returns {object} - Counts of {graduated, advanced, skipped} members
+     * @throws {Error} - If the rollover already ran this year and force is not set
+     */
+    graduate: function(force) {
+        const startTime = Date.now();
+        const year = String(new Date().getFullYear());
+        const properties = PropertiesService.getScriptProperties();
+        if (!force && properties.getProperty(this.LAST_GRADUATION_PROPERTY) === year)
+            throw new Error(`The graduation rollover already ran in ${year}. Run graduateSeniors(true) to run it again.`);
+
+        const grades = SheetUtils.getColumnData(SheetData.gradeSheet, SheetData.GRADES_GRADE_COLUMN);
+        const finalGrade = grades[grades.length - 1];
+        const graduates = [];
+        const advanced = [];
+        let skipped = 0;
+
+        SheetHandler.getMembers().forEach(member => {
+            const index = grades.indexOf(member.entry.grade);
+            if (index === -1) {
+                console.warn(`Skipped ${member.entry.name} (row ${member.row}): grade "${member.entry.grade}" is not on the Grades sheet`);
+                skipped++;
+            } else if (member.entry.grade === finalGrade) {
+                graduates.push(member);
+            } else {
+                member.entry.grade = grades[index + 1];
+                advanced.push(member);
+            }
+        });
+
+        if (advanced.length) {
+            const gradeRange = SheetData.memberSheet.getRange(2, SheetData.memberColumns.grade, SheetData.memberSheet.getLastRow() - 1, 1);
+            const gradeValues = gradeRange.getValues();
+            advanced.forEach(member => gradeValues[member.row - 2][0] = member.entry.grade);
+            gradeRange.setValues(gradeValues);
+            advanced.forEach(member => DirectoryIndex.updateRow(member.row, member.entry));
+        }
+        this.moveToAlumni(graduates.map(member => member.row), `Graduated ${year}`);
+        properties.setProperty(this.LAST_GRADUATION_PROPERTY, year);
+        console.log(`Graduated ${graduates.length} member(s), advanced ${advanced.length} and skipped ${skipped}`);
+
+        const changes = graduates.map(member => ({ operation: "retireMember", args: [member.entry, this.ALUMNI_LABEL, false], subject: member.entry.name }))
+            .concat(advanced.map(member => ({ operation: "relabelMember", args: [member.entry], subject: member.entry.name })));
+        for (let i = 0; i < changes.length; i++) {
+            if (ResponseLedger.isNearTimeLimit(startTime)) {
+                WixOutbox.defer(changes.slice(i), "Graduation rollover ran out of time");
+                break;
+            }
+
+            const { operation, args } = changes[i];
+            if (operation === "retireMember")
+                this.retire(...args);
+            else
+                this.relabel(...args);
+        }
+
+        return { graduated: graduates.length, advanced: advanced.length, skipped };
+    },
+
+    /**
+     * Removes members who left the organization
+     * Their rows move to the "Alumni" sheet, their Wix contacts are relabelled "Former Member" and unsubscribed,
+     * and parents with no other members are unsubscribed too
+     *
+     * @param {array<number>} rows - Rows of the members on the Members sheet (1-indexed)
+     * @returns {number} - The number of members removed
+     */
+    remove: function(rows) {
+        const members = SheetHandler.getMembers().filter(member => rows.includes(member.row));
+        this.moveToAlumni(members.map(member => member.row), "Left the organization");
+        members.forEach(member => this.retire(member.entry, this.FORMER_MEMBER_LABEL, true));
+
+        console.log(`Removed ${members.length} member(s) from the directory`);
+        return members.length;
+    },
+
+    /**
+     * Copies Members rows, including columns the script does not manage, to the "Alumni" sheet and deletes them
+     * @param {array<number>} rows - Rows on the Members sheet (1-indexed)
+     * @param {string} reason - Why the members left, recorded on the Alumni sheet
+     * @returns {void}
+     */
+    moveToAlumni: function(rows, reason) {
+        if (!rows.length)
+            return;
+
+        const memberSheet = SheetData.memberSheet;
+        const header = memberSheet.getRange(1, 1, 1, SheetData.memberColumnCount).getValues()[0];
+        const alumni = SheetUtils.getOrCreateSheet(SheetData.directory, this.ALUMNI_SHEET_NAME, header.concat(this.ALUMNI_EXTRA_HEADER));
+        const now = new Date();
+
+        rows.forEach(row => {
+            const values = memberSheet.getRange(row, 1, 1, SheetData.memberColumnCount).getValues()[0];
+            alumni.appendRow(values.concat([now, reason]));
+        });
+        rows.slice().sort((a, b) => b - a).forEach(row => {
+            memberSheet.deleteRow(row);
+            DirectoryIndex.removeRow(row);
+        });
+    },
+
+    /**
+     * Retires a departed member's Wix contacts, queueing the change if Wix is unavailable
+     * @param {Entry} entry - The member
+     * @param {string} label - Display name of the label marking the member's new status
+     * @param {boolean} unsubscribe - Whether to unsubscribe the member from the newsletter
+     * @returns {void}
+     */
+    retire: function(entry, label, unsubscribe) {
+        try {
+            WixHandler.retireContacts(entry, label, unsubscribe);
+        } catch (e) {
+            if (!WixOutbox.enqueue("retireMember", [entry, label, unsubscribe], entry.name, e))
+                console.error(`Failed to update the Wix contact of ${entry.name}: ${e.message}`);
+        }
+    },
+
+    /**
+     * Updates an advanced member's Wix labels, queueing the relabel if Wix is unavailable
+     * @param {Entry} entry - The member, with their new grade
+     * @returns {void}
+     */
+    relabel: function(entry) {
+        try {
+            WixHandler.relabelContact(entry);
+        } catch (e) {
+            if (!WixOutbox.enqueue("relabelMember", [entry], entry.name, e))
+                console.error(`Failed to update the Wix labels of ${entry.name}: ${e.message}`);
+        }
+    }
+};
@@ -0,0 +1,195 @@
+const QualityHandler = {
+    // Summary sheet with the number of issues of each type per chapter
+    SHEET_NAME: "Data Quality",
+    // Every issue the scan looks for, in the order of the summary columns, with the color its cells are highlighted
+    ISSUES: {
+        // Missing values use SheetData's color, so rows written by fillData look the same
+        // A getter, because SheetData may not be loaded yet when this file is
+        get missing() {
+            return { label: "Missing value", color: SheetData.MISSING_DATA_COLOR };
+        },
+        invalidEmail: { label: "Invalid email", color: "#fce5cd" },
+        invalidPhone: { label: "Invalid phone", color: "#fce5cd" },
+        unknownChapter: { label: "Unknown chapter", color: "#d9d2e9" },
+        unknownTeam: { label: "Unknown team", color: "#d9d2e9" },
+        unknownGrade: { label: "Unknown grade", color: "#d9d2e9" },
+        missingParentEmails: { label: "Missing parent emails", color: "#cfe2f3" },
+        staleGrade: { label: "Stale grade", color: "#ead1dc" }
+    },
+    // Fields that every member should have filled in
+    REQUIRED_FIELDS: ["name", "email", "phone", "chapter", "team", "grade"],
+    // Prefix of the cell notes written by the scan, so they can be replaced without touching other notes
+    NOTE_PREFIX: "Data quality: ",
+    // Config key listing the grades whose members need parent emails (defaults to every grade but the last)
+    MINOR_GRADES_KEY: "MINOR_GRADES",
+    // Config key for how many days after a member's last form submission their grade counts as stale
+    STALE_GRADE_DAYS_KEY: "STALE_GRADE_DAYS",
+    STALE_GRADE_DAYS: 365,
+
+    /**
+     * Re-validates every member row of the directory, refreshes its highlighting and writes the "Data Quality" summary
+     * Each problem cell gets its issue's color and a note explaining it; cells whose problem was fixed lose both
+     * Other highlighting (e.g. possible duplicates) and notes are left alone
+     *
+     * @returns {object} - {members, issues} counts and byType, a map of issue type to count
+     */
+    scan: function() {
+        const context = this.loadContext();
+        const issueColors = new Set(Object.values(this.ISSUES).map(issue => issue.color));
+        const chapters = {};
+        const byType = {};
+        let memberCount = 0;
+        let issueCount = 0;
+
+        MemberTable.load();
+        MemberTable.rows.forEach((tableRow, i) => {
+            const entry = Entry.fromRow(tableRow.values);
+            if (tableRow.values.every(value => value === "") || SortHandler.isSectionHeader(entry, SheetData.teams))
+                return;
+
+            const issues = this.findIssues(entry, context);
+            const chapter = entry.chapter || "(No chapter)";
+            chapters[chapter] = chapters[chapter] || { members: 0 };
+            chapters[chapter].members++;
+            memberCount++;
+
+            issues.forEach(issue => {
+                chapters[chapter][issue.type] = (chapters[chapter][issue.type] || 0) + 1;
+                byType[issue.type] = (byType[issue.type] || 0) + 1;
+                issueCount++;
+            });
+
+            if (this.highlight(tableRow, issues, issueColors))
+                MemberTable.markChanged(i + 2);
+        });
+        MemberTable.flush();
+
+        this.writeSummary(chapters);
+        console.log(`Scanned ${memberCount} member(s) and found ${issueCount} issue(s): ` +
+            (Object.keys(byType).map(type => `${byType[type]} ${this.ISSUES[type].label.toLowerCase()}`).join(", ") || "none"));
+        return { members: memberCount, issues: issueCount, byType };
+    },
+
+    /**
+     * Reads the lists and settings every row is checked against
+     * @returns {object} - {grades, minorGrades, submissionTimes, staleBefore}
+     */
+    loadContext: function() {
+        const grades = SheetUtils.getColumnData(SheetData.gradeSheet, SheetData.GRADES_GRADE_COLUMN);
+        const minorGrades = String(Config.get(this.MINOR_GRADES_KEY, grades.slice(0, -1).join(",")))
+            .split(",")
+            .map(grade => grade.trim())
+            .filter(grade => grade !== "");
+        const staleDays = Number(Config.get(this.STALE_GRADE_DAYS_KEY, this.STALE_GRADE_DAYS));
+
+        return {
+            grades,
+            minorGrades,
+            submissionTimes: ResponseLedger.getLastSubmissionTimes(),
+            staleBefore: Date.now() - staleDays * 24 * 60 * 60 * 1000
+        };
+    },
+
+    /**
+     * Checks one member against every rule
+     * Only fields with a column on the Members sheet are checked
+     * @param {Entry} entry - The member
+     * @param {object} context - The result of loadContext()
+     * @returns {array<object>} - Issues as {type, field, message} objects
+     */
+    findIssues: function(entry, context) {
+        const columns = SheetData.memberColumns;
+        const issues = [];
+        const add = (type, field, message) => {
+            if (columns[field])
+                issues.push({ type, field, message });
+        };
+
+        this.REQUIRED_FIELDS
+            .filter(field => String(entry[field]).trim() === "")
+            .forEach(field => add("missing", field, `${SheetData.MEMBERS_FIELDS[field].header} is missing`));
+
+        if (entry.email && !entry.isValidEmail(entry.email))
+            add("invalidEmail", "email", `"${entry.email}" is not a valid email address`);
+        if (entry.phone && !/^\d{3}-\d{3}-\d{4}$/.test(String(entry.phone)))
+            add("invalidPhone", "phone", `"${entry.phone}" is not in the format xxx-xxx-xxxx`);
+
+        if (entry.chapter && !SheetData.chapters.includes(entry.chapter))
+            add("unknownChapter", "chapter", `"${entry.chapter}" is not on the Chapters sheet`);
+        if (entry.team && !SheetData.teams.includes(entry.team))
+            add("unknownTeam", "team", `"${entry.team}" is not on the Teams sheet`);
+        if (entry.grade && !context.grades.includes(entry.grade))
+            add("unknownGrade", "grade", `"${entry.grade}" is not on the Grades sheet`);
+
+        const invalidParents = entry.parentEmails.filter(email => !entry.isValidEmail(email));
+        if (invalidParents.length)
+            add("invalidEmail", "parentEmails", `Not valid email addresses: ${invalidParents.join(", ")}`);
+        else if (!entry.parentEmails.length && context.minorGrades.includes(entry.grade))
+            add("missingParentEmails", "parentEmails", `${entry.grade} members need a parent email`);
+
+        const submitted = context.submissionTimes[IdentityResolver.normalizeEmail(entry.email)];
+        if (entry.grade && submitted && submitted < context.staleBefore)
+            add("staleGrade", "grade", `Last submitted the Membership Form on ${new Date(submitted).toDateString()}; the grade may be out of date`);
+
+        return issues;
+    },
+
+    /**
+     * Colors and annotates a row's problem cells, and clears the scan's highlighting and notes from cells without one
+     * @param {object} tableRow - The MemberTable row
+     * @param {array<object>} issues - The row's issues
+     * @param {Set<string>} issueColors - Every color the scan uses
+     * @returns {boolean} - True if anything changed
+     */
+    highlight: function(tableRow, issues, issueColors) {
+        let changed = false;
+
+        for (const field in SheetData.memberColumns) {
+            const i = SheetData.memberColumns[field] - 1;
+            const fieldIssues = issues.filter(issue => issue.field === field);
+
+            const background = fieldIssues.length
+                ? this.ISSUES[fieldIssues[0].type].color
+                : issueColors.has(tableRow.backgrounds[i]) ? null : tableRow.backgrounds[i];
+            const otherNotes = String(tableRow.notes[i] || "").split("\n")
+                .filter(line => line !== "" && !line.startsWith(this.NOTE_PREFIX));
+            const note = otherNotes.concat(fieldIssues.map(issue => this.NOTE_PREFIX + issue.message)).join("\n");
+
+            if (background !== tableRow.backgrounds[i] || note !== tableRow.notes[i]) {
+                tableRow.backgrounds[i] = background;
+                tableRow.notes[i] = note;
+                changed = true;
+            }
+        }
+        return changed;
+    },
+
+    /**
+     * Replaces the "Data Quality" sheet with the number of members and issues of each type per chapter
+     * Chapters follow the order of the Chapters sheet, with unknown ones last; a final row totals every chapter
+     * @param {object} chapters - Map of chapter to {members, <issue type>: count}
+     * @returns {void}
+     */
+    writeSummary: function(chapters) {
+        const types = Object.keys(this.ISSUES);
+        const header = ["Chapter", "Members"].concat(types.map(type => this.ISSUES[type].label), ["Total Issues"]);
+        const toRow = (name, counts) => {
+            const issues = types.map(type => counts[type] || 0);
+            return [name, counts.members].concat(issues, [issues.reduce((sum, count) => sum + count, 0)]);
+        };
+
+        const totals = { members: 0 };
+        const rows = Object.keys(chapters)
+            .sort((a, b) => SortHandler.compareBy(SheetData.chapters, a, b))
+            .map(chapter => {
+                totals.members += chapters[chapter].members;
+                types.forEach(type => totals[type] = (totals[type] || 0) + (chapters[chapter][type] || 0));
+                return toRow(chapter, chapters[chapter]);
+            });
+        rows.push(toRow("All chapters", totals));
+
+        const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, header);
+        sheet.getRange(1, 1, 1, header.length).setValues([header]);
+        SheetUtils.replaceRows(sheet, rows);
+    }
+};
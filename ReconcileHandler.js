@@ -0,0 +1,298 @@
+const ReconcileHandler = {
+    // Report sheet listing every difference between the Members sheet and the Wix CRM
+    SHEET_NAME: "Reconciliation",
+    SHEET_HEADER: ["Apply", "Status", "Issue", "Email", "Row", "Contact ID", "Field", "Directory", "Wix"],
+    // Column indices on the Reconciliation sheet (1-indexed)
+    APPLY_COLUMN: 1,
+    STATUS_COLUMN: 2,
+    ISSUE_COLUMN: 3,
+    EMAIL_COLUMN: 4,
+    ROW_COLUMN: 5,
+    CONTACT_ID_COLUMN: 6,
+    FIELD_COLUMN: 7,
+    DIRECTORY_COLUMN: 8,
+    WIX_COLUMN: 9,
+
+    MISSING_IN_WIX: "Missing in Wix",
+    MISSING_IN_DIRECTORY: "Missing in directory",
+    FIELD_MISMATCH: "Field mismatch",
+    // Choices for the Apply column: which side is changed to match the other
+    UPDATE_WIX: "Update Wix",
+    UPDATE_DIRECTORY: "Update Directory",
+
+    /**
+     * Compares every Members row with every Wix contact by email and writes the differences to the "Reconciliation" sheet
+     * Reports members without a contact, contacts labelled "Directory" without a member, and names or phones that differ
+     * Reviewers choose "Update Wix" or "Update Directory" in the Apply column and run applyFixes()
+     *
+     * @returns {array<object>} - The differences found, as {issue, email, row, contactId, field, directory, wix} objects
+     */
+    reconcile: function() {
+        const members = SheetHandler.getMembers().filter(member => member.entry.email);
+        const contacts = WixService.queryAllContacts();
+        const findings = this.diff(members, contacts);
+
+        const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+        const lastRow = sheet.getLastRow();
+        if (lastRow > 1)
+            sheet.getRange(2, 1, lastRow - 1, this.SHEET_HEADER.length).clear();
+
+        SheetUtils.replaceRows(sheet, findings.map(finding => [
+            "", "Pending", finding.issue, finding.email, finding.row, finding.contactId, finding.field, finding.directory, finding.wix
+        ]));
+        if (findings.length) {
+            sheet.getRange(2, this.APPLY_COLUMN, findings.length, 1).setDataValidation(
+                SpreadsheetApp.newDataValidation().requireValueInList([this.UPDATE_WIX, this.UPDATE_DIRECTORY]).build());
+        }
+
+        const count = issue => findings.filter(finding => finding.issue === issue).length;
+        console.log(`Compared ${members.length} member(s) with ${contacts.length} Wix contact(s): ` +
+            `${count(this.MISSING_IN_WIX)} missing in Wix, ${count(this.MISSING_IN_DIRECTORY)} missing in the directory, ` +
+            `${count(this.FIELD_MISMATCH)} field mismatch(es)`);
+        return findings;
+    },
+
+    /**
+     * Finds the differences between directory members and Wix contacts
+     * Contacts are matched by any of their email addresses, ignoring case
+     * Parents and other contacts without the "Directory" label are only used for matching
+     *
+     * @param {array<object>} members - Members with an email, as {row, entry} objects
+     * @param {array<object>} contacts - Every Wix contact
+     * @returns {array<object>} - Differences as {issue, email, row, contactId, field, directory, wix} objects
+     */
+    diff: function(members, contacts) {
+        const contactsByEmail = {};
+        contacts.forEach(contact => {
+            this.getEmails(contact).forEach(email => {
+                if (!contactsByEmail[email])
+                    contactsByEmail[email] = contact;
+            });
+        });
+
+        const findings = [];
+        const matched = new Set();
+
+        members.forEach(({ row, entry }) => {
+            const email = IdentityResolver.normalizeEmail(entry.email);
+            const contact = contactsByEmail[email];
+            if (!contact) {
+                findings.push({ issue: this.MISSING_IN_WIX, email, row, contactId: "", field: "", directory: entry.name, wix: "" });
+                return;
+            }
+
+            matched.add(contact.id);
+            this.compareFields(entry, contact).forEach(mismatch => {
+                findings.push(Object.assign({ issue: this.FIELD_MISMATCH, email, row, contactId: contact.id }, mismatch));
+            });
+        });
+
+        const directoryLabel = WixUtils.normalizeLabel("Directory");
+        contacts.forEach(contact => {
+            if (matched.has(contact.id) || !this.getLabels(contact).includes(directoryLabel))
+                return;
+            findings.push({
+                issue: this.MISSING_IN_DIRECTORY, email: this.getEmails(contact)[0] || "", row: "",
+                contactId: contact.id, field: "", directory: "", wix: this.getName(contact)
+            });
+        });
+
+        return findings;
+    },
+
+    /**
+     * Lists the fields whose values differ between a member and their contact
+     * Phones are compared by their last 10 digits so formatting differences are ignored
+     *
+     * @param {Entry} entry - The directory member
+     * @param {object} contact - The member's Wix contact
+     * @returns {array<object>} - Mismatches as {field, directory, wix} objects
+     */
+    compareFields: function(entry, contact) {
+        const mismatches = [];
+
+        const wixName = this.getName(contact);
+        if (String(entry.name).trim() !== wixName)
+            mismatches.push({ field: "Name", directory: entry.name, wix: wixName });
+
+        const wixPhone = contact.info?.phones?.items?.[0]?.phone || "";
+        if (IdentityResolver.normalizePhone(entry.phone) !== IdentityResolver.normalizePhone(wixPhone))
+            mismatches.push({ field: "Phone", directory: entry.phone, wix: wixPhone });
+
+        return mismatches;
+    },
+
+    /**
+     * Applies the fix chosen in the Apply column of every "Pending" row on the "Reconciliation" sheet
+     * Cell and contact updates are made first, then members missing from Wix are offboarded (moved to the
+     * "Alumni" sheet by OffboardHandler, as removeSelectedMembers() does), and finally contacts missing from
+     * the directory are added, so row numbers in the report stay valid
+     * Rows whose directory row no longer holds the reported email are skipped
+     *
+     * @returns {number} - The number of fixes applied
+     */
+    applyFixes: function() {
+        const sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        if (!sheet || sheet.getLastRow() < 2) {
+            console.log("No differences to fix; run reconcileDirectoryWithWix() first");
+            return 0;
+        }
+
+        const listed = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.SHEET_HEADER.length).getValues();
+        const statuses = listed.map(values => [values[this.STATUS_COLUMN - 1]]);
+        const rowsToRemove = [];
+        const entriesToAdd = [];
+        let applied = 0;
+
+        listed.forEach((values, i) => {
+            const fix = values[this.APPLY_COLUMN - 1];
+            if (values[this.STATUS_COLUMN - 1] !== "Pending" || (fix !== this.UPDATE_WIX && fix !== this.UPDATE_DIRECTORY))
+                return;
+
+            try {
+                const finding = this.toFinding(values);
+                if (finding.row && !this.isUnchanged(finding)) {
+                    statuses[i][0] = "Skipped: directory changed, re-run the reconciliation";
+                    return;
+                }
+
+                if (finding.issue === this.MISSING_IN_WIX && fix === this.UPDATE_DIRECTORY) {
+                    rowsToRemove.push(finding.row);
+                    statuses[i][0] = "Moved to Alumni";
+                } else if (finding.issue === this.MISSING_IN_DIRECTORY && fix === this.UPDATE_DIRECTORY) {
+                    entriesToAdd.push(this.toEntry(WixService.getContact(finding.contactId)));
+                    statuses[i][0] = "Added to directory";
+                } else {
+                    statuses[i][0] = this.applyFix(finding, fix);
+                }
+
+                if (!statuses[i][0].startsWith("Skipped"))
+                    applied++;
+            } catch (e) {
+                console.error(`Failed to apply "${fix}" for ${values[this.EMAIL_COLUMN - 1]}: ${e.message}`);
+                statuses[i][0] = `Failed: ${e.message}`;
+            }
+        });
+
+        OffboardHandler.remove(rowsToRemove);
+        entriesToAdd.forEach(entry => SheetHandler.processFormResponse(entry));
+        sheet.getRange(2, this.STATUS_COLUMN, statuses.length, 1).setValues(statuses);
+
+        console.log(`Applied ${applied} reconciliation fix(es)`);
+        return applied;
+    },
+
+    /**
+     * Applies a fix that updates a single contact or directory cell
+     * A member missing from Wix is synced by WixHandler, and the row reports what it did, as the RunLog does
+     * (e.g. "Created contact", or "Queued sync to retry" if Wix was unavailable)
+     * @param {object} finding - The reported difference
+     * @param {string} fix - UPDATE_WIX or UPDATE_DIRECTORY
+     * @returns {string} - The new status of the report row
+     */
+    applyFix: function(finding, fix) {
+        if (finding.issue === this.MISSING_IN_WIX) {
+            const result = WixHandler.processFormResponse(DirectoryIndex.getEntry(finding.row));
+            return ChangePlan.enabled ? `Planned: ${result}` : result;
+        }
+
+        const contact = WixService.getContact(finding.contactId);
+
+        if (finding.issue === this.MISSING_IN_DIRECTORY) {
+            const labels = this.getLabels(contact).filter(label => label !== WixUtils.normalizeLabel("Directory"));
+            return WixOutbox.send("updateContact", [contact, null, null, null, labels], finding.email)
+                ? "Removed Directory label" : "Queued in Wix outbox";
+        }
+
+        const field = finding.field.toLowerCase();
+        const value = fix === this.UPDATE_WIX ? finding.directory : finding.wix;
+        if (String(value).trim() === "")
+            return `Skipped: no ${field} to copy`;
+
+        if (fix === this.UPDATE_WIX) {
+            const args = field === "name" ? [contact, value, null, null, null] : [contact, null, null, value, null];
+            return WixOutbox.send("updateContact", args, finding.email) ? "Updated Wix" : "Queued in Wix outbox";
+        }
+
+        const cleaner = new Entry();
+        const cleaned = field === "name" ? cleaner.cleanName(value) : cleaner.cleanPhone(IdentityResolver.normalizePhone(value));
+        SheetData.memberSheet.getRange(finding.row, SheetData.memberColumns[field]).setValue(cleaned);
+        const member = DirectoryIndex.getEntry(finding.row);
+        member[field] = cleaned;
+        DirectoryIndex.updateRow(finding.row, member);
+        return "Updated directory";
+    },
+
+    /**
+     * Checks that a reported directory row still holds the reported email
+     * @param {object} finding - The reported difference
+     * @returns {boolean}
+     */
+    isUnchanged: function(finding) {
+        return IdentityResolver.normalizeEmail(DirectoryIndex.getEntry(finding.row).email) === finding.email;
+    },
+
+    /**
+     * Reads a row of the "Reconciliation" sheet
+     * @param {array} values - The row's values
+     * @returns {object} - {issue, email, row, contactId, field, directory, wix}
+     */
+    toFinding: function(values) {
+        return {
+            issue: values[this.ISSUE_COLUMN - 1],
+            email: IdentityResolver.normalizeEmail(values[this.EMAIL_COLUMN - 1]),
+            row: Number(values[this.ROW_COLUMN - 1]) || 0,
+            contactId: values[this.CONTACT_ID_COLUMN - 1],
+            field: values[this.FIELD_COLUMN - 1],
+            directory: values[this.DIRECTORY_COLUMN - 1],
+            wix: values[this.WIX_COLUMN - 1]
+        };
+    },
+
+    /**
+     * Builds a directory entry for a Wix contact that has no directory row
+     * The contact's chapter and grade are unknown, so they are left blank and highlighted as missing
+     *
+     * @param {object} contact - The Wix contact
+     * @returns {Entry}
+     */
+    toEntry: function(contact) {
+        const entry = new Entry();
+        entry.name = entry.cleanName(this.getName(contact));
+        entry.email = this.getEmails(contact)[0] || "";
+        entry.phone = entry.cleanPhone(IdentityResolver.normalizePhone(contact.info?.phones?.items?.[0]?.phone || ""));
+        entry.chapter = "";
+        entry.team = "Member";
+        entry.grade = "";
+        entry.title = entry.getTitle(entry.team);
+        entry.parentEmails = [];
+        return entry;
+    },
+
+    /**
+     * @param {object} contact - A Wix contact
+     * @returns {string} - The contact's full name
+     */
+    getName: function(contact) {
+        const name = contact.info?.name || {};
+        return [name.first, name.last].filter(Boolean).join(" ").trim();
+    },
+
+    /**
+     * @param {object} contact - A Wix contact
+     * @returns {array<string>} - The contact's normalized email addresses, main email first
+     */
+    getEmails: function(contact) {
+        const emails = (contact.info?.emails?.items || []).map(item => IdentityResolver.normalizeEmail(item.email));
+        const primary = IdentityResolver.normalizeEmail(contact.primaryInfo?.email);
+        return [...new Set([primary].concat(emails).filter(Boolean))];
+    },
+
+    /**
+     * @param {object} contact - A Wix contact
+     * @returns {array<string>} - The contact's label keys
+     */
+    getLabels: function(contact) {
+        return contact.info?.labelKeys?.items || [];
+    }
+};
@@ -0,0 +1,205 @@
+const RosterHandler = {
+    // Sheet in the directory listing each chapter's roster spreadsheet and who it is shared with
+    SHEET_NAME: "Chapter Rosters",
+    SHEET_HEADER: ["Chapter", "Spreadsheet ID", "URL", "Shared With", "Fingerprint", "Last Refreshed"],
+    // Column indices on the Chapter Rosters sheet (1-indexed)
+    CHAPTER_COLUMN: 1,
+    ID_COLUMN: 2,
+    URL_COLUMN: 3,
+    SHARED_COLUMN: 4,
+    FINGERPRINT_COLUMN: 5,
+    // Tab of each roster spreadsheet holding the chapter's members
+    ROSTER_SHEET_NAME: "Roster",
+    // Directory fields copied to the rosters, in column order; the chapter is implied by the spreadsheet
+    ROSTER_FIELDS: ["name", "title", "email", "phone", "team", "grade", "parentEmails"],
+    // Fields only copied when the CONTACT_DETAILS_KEY Config setting is "Yes", as rosters are shared outside the officers
+    CONTACT_DETAIL_FIELDS: ["phone", "parentEmails"],
+    CONTACT_DETAILS_KEY: "ROSTER_CONTACT_DETAILS",
+    // Team whose members can view their chapter's roster
+    CHAPTER_HEAD_TEAM: "Chapter Head",
+    // Config key of the Drive folder new roster spreadsheets are moved to (optional)
+    FOLDER_ID_KEY: "ROSTER_FOLDER_ID",
+
+    /**
+     * Brings every chapter's roster spreadsheet up to date with the directory
+     * Creates a spreadsheet for each chapter with members, rewrites rosters whose members or Chapter Heads changed
+     * (emptying the roster of a chapter that no longer has members),
+     * and shares each one read-only with the chapter's Chapter Heads; viewers who are no longer Chapter Heads lose
+     * access, while people an officer shared the roster with by hand keep it
+     * Rosters that are already current are not opened, and the Chapter Rosters sheet is only rewritten when
+     * a roster changed, so this is cheap to run after every submission
+     * Rosters of chapters no longer on the Chapters sheet are emptied, unshared and dropped from the Chapter Rosters sheet
+     * A chapter that fails is logged and retried on the next refresh
+     *
+     * @returns {object} - Counts of {refreshed, unchanged, removed, failed} chapters
+     */
+    refresh: function() {
+        const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+        const registry = sheet.getLastRow() > 1
+            ? sheet.getRange(2, 1, sheet.getLastRow() - 1, this.SHEET_HEADER.length).getValues()
+            : [];
+        const rosters = this.buildRosters();
+        const result = { refreshed: 0, unchanged: 0, removed: 0, failed: 0 };
+
+        SheetData.chapters.forEach(chapter => {
+            const index = registry.findIndex(row => row[this.CHAPTER_COLUMN - 1] === chapter);
+            const recorded = index === -1 ? null : registry[index];
+            if (!rosters[chapter] && !recorded)
+                return;
+
+            const roster = rosters[chapter] || { rows: [], heads: [] };
+            const fingerprint = this.fingerprint(roster);
+            if (recorded && recorded[this.FINGERPRINT_COLUMN - 1] === fingerprint) {
+                result.unchanged++;
+                return;
+            }
+
+            try {
+                const row = this.write(chapter, roster, recorded, fingerprint);
+                if (index === -1)
+                    registry.push(row);
+                else
+                    registry[index] = row;
+                result.refreshed++;
+            } catch (e) {
+                console.error(`Failed to refresh the ${chapter} roster: ${e.message}`);
+                result.failed++;
+            }
+        });
+
+        const current = registry.filter(recorded => SheetData.chapters.includes(recorded[this.CHAPTER_COLUMN - 1]) ||
+            !this.removeOrphan(recorded, result));
+
+        if (result.refreshed || result.removed || result.failed) {
+            SheetUtils.replaceRows(sheet, current);
+            console.log(`Refreshed ${result.refreshed} chapter roster(s); ${result.unchanged} already current, ` +
+                `${result.removed} removed, ${result.failed} failed`);
+        }
+        return result;
+    },
+
+    /**
+     * Empties and unshares the roster of a chapter that is no longer on the Chapters sheet
+     * The spreadsheet itself is kept, so an officer can delete it or reuse it
+     * @param {array} recorded - The chapter's row on the Chapter Rosters sheet
+     * @param {object} result - The refresh counts, updated with the outcome
+     * @returns {boolean} - True if the roster was removed and its row can be dropped
+     */
+    removeOrphan: function(recorded, result) {
+        const chapter = recorded[this.CHAPTER_COLUMN - 1];
+        try {
+            this.write(chapter, { rows: [], heads: [] }, recorded, "");
+            console.warn(`${chapter} is no longer on the Chapters sheet, so its roster was emptied and unshared: ${recorded[this.URL_COLUMN - 1]}`);
+            result.removed++;
+            return true;
+        } catch (e) {
+            console.error(`Failed to remove the ${chapter} roster: ${e.message}`);
+            result.failed++;
+            return false;
+        }
+    },
+
+    /**
+     * Lists the directory fields copied to the rosters, leaving out contact details unless the Config enables them
+     * @returns {array<string>} - Field names, in column order
+     */
+    getFields: function() {
+        const contactDetails = String(Config.get(this.CONTACT_DETAILS_KEY, "No")).trim().toLowerCase() === "yes";
+        return this.ROSTER_FIELDS.filter(field => contactDetails || !this.CONTACT_DETAIL_FIELDS.includes(field));
+    },
+
+    /**
+     * Groups the directory's members by chapter from the DirectoryIndex
+     * @returns {object} - Map of chapter to {rows, heads}: the roster's rows in directory order and
+     *     the valid emails of its Chapter Heads
+     */
+    buildRosters: function() {
+        const fields = this.getFields();
+        const rosters = {};
+        DirectoryIndex.getMembers().forEach(({ entry }) => {
+            if (!entry.chapter)
+                return;
+
+            const roster = rosters[entry.chapter] = rosters[entry.chapter] || { rows: [], heads: [] };
+            roster.rows.push(fields.map(field => field === "parentEmails" ? entry.parentEmails.join(", ") : entry[field]));
+
+            const email = IdentityResolver.normalizeEmail(entry.email);
+            if (entry.team === this.CHAPTER_HEAD_TEAM && entry.isValidEmail(email) && !roster.heads.includes(email))
+                roster.heads.push(email);
+        });
+        return rosters;
+    },
+
+    /**
+     * Summarizes a roster's contents and viewers, so unchanged rosters can be skipped
+     * @param {object} roster - {rows, heads}
+     * @returns {string} - Base64 MD5 digest
+     */
+    fingerprint: function(roster) {
+        const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify([roster.rows, roster.heads.slice().sort()]));
+        return Utilities.base64Encode(digest);
+    },
+
+    /**
+     * Writes a chapter's roster to its spreadsheet, creating the spreadsheet first if it has none, and updates its sharing
+     * @param {string} chapter - The chapter
+     * @param {object} roster - {rows, heads}
+     * @param {array} recorded - The chapter's row on the Chapter Rosters sheet, or null
+     * @param {string} fingerprint - The roster's fingerprint
+     * @returns {array} - The chapter's new row for the Chapter Rosters sheet
+     */
+    write: function(chapter, roster, recorded, fingerprint) {
+        const spreadsheet = recorded && recorded[this.ID_COLUMN - 1]
+            ? SpreadsheetApp.openById(recorded[this.ID_COLUMN - 1])
+            : this.create(chapter);
+
+        const header = this.getFields().map(field => SheetData.MEMBERS_FIELDS[field].header);
+        const sheet = spreadsheet.getSheetByName(this.ROSTER_SHEET_NAME) || spreadsheet.getSheets()[0].setName(this.ROSTER_SHEET_NAME);
+        if (sheet.getLastColumn() > header.length)
+            sheet.getRange(1, header.length + 1, 1, sheet.getLastColumn() - header.length).clearContent();
+        sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight("bold");
+        sheet.setFrozenRows(1);
+        SheetUtils.replaceRows(sheet, roster.rows);
+
+        const previouslyShared = recorded ? new Entry().splitEmails(recorded[this.SHARED_COLUMN - 1]) : [];
+        this.share(DriveApp.getFileById(spreadsheet.getId()), roster.heads, previouslyShared);
+        console.log(`Refreshed the ${chapter} roster: ${roster.rows.length} member(s), shared with ${roster.heads.join(", ") || "no Chapter Heads"}`);
+
+        return [chapter, spreadsheet.getId(), spreadsheet.getUrl(), roster.heads.join(", "), fingerprint, new Date()];
+    },
+
+    /**
+     * Creates a chapter's roster spreadsheet, moving it to the ROSTER_FOLDER_ID folder if one is configured
+     * @param {string} chapter - The chapter
+     * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet}
+     */
+    create: function(chapter) {
+        const spreadsheet = SpreadsheetApp.create(`${SheetData.directory.getName()} - ${chapter} Roster`);
+        const folderId = Config.get(this.FOLDER_ID_KEY, "");
+        if (folderId)
+            DriveApp.getFileById(spreadsheet.getId()).moveTo(DriveApp.getFolderById(folderId));
+
+        console.log(`Created a roster spreadsheet for ${chapter}: ${spreadsheet.getUrl()}`);
+        return spreadsheet;
+    },
+
+    /**
+     * Gives the Chapter Heads view access and removes it from people the roster was previously shared with
+     * who are no longer Chapter Heads; viewers added by hand are left alone
+     * @param {GoogleAppsScript.Drive.File} file - The roster spreadsheet
+     * @param {array<string>} heads - Emails of the chapter's Chapter Heads
+     * @param {array<string>} previouslyShared - Emails the roster was shared with by the last refresh
+     * @returns {void}
+     */
+    share: function(file, heads, previouslyShared) {
+        const viewers = file.getViewers().map(user => user.getEmail().toLowerCase());
+
+        const added = heads.filter(email => !viewers.includes(email));
+        if (added.length)
+            file.addViewers(added);
+
+        previouslyShared
+            .filter(email => !heads.includes(email) && viewers.includes(email))
+            .forEach(email => file.removeViewer(email));
+    }
+};
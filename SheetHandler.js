@@ -1,19 +1,36 @@
 const SheetHandler = {
     /**
      * Processes a new form response by determining if it's a new or existing entry and updating accordingly
+     * Existing members are identified by IdentityResolver; uncertain matches are added as a new row
+     * and flagged for review rather than overwriting someone else's data
+     * While MemberTable is active, the changes are made in memory and written when it is flushed
      * @param {Entry} entry 
-     * @return {void}
+     * @return {string} - What was done to the directory (e.g. "Added row 12"), for the RunLog
      */
     processFormResponse: function(entry) {
-        const index = this.findIndexOf(entry);
-        if (index !== -1){
-            this.fillData(entry.data(), index);
-            console.log(`Updated existing entry for ${entry.name} in the directory`);
+        const match = this.findMatch(entry);
+        if (match.status === "match"){
+            this.fillData(entry.data(), match.row);
+            console.log(`${ChangePlan.enabled ? "Planned update of" : "Updated"} existing entry for ${entry.name} in the directory (matched by ${match.reason})`);
+            return `Updated row ${match.row}`;
         } else {
             const row = this.findAvailableRow(entry);
-            SheetData.memberSheet.insertRowBefore(row);
-            this.fillData(entry.data(), row);
-            console.log(`Added new entry for ${entry.name} to the directory`);
+            if (ChangePlan.enabled)
+                ChangePlan.record("Directory", "Insert row", entry.name, `New row before row ${row}`);
+            if (MemberTable.active)
+                MemberTable.insertRowBefore(row);
+            else if (!ChangePlan.enabled)
+                SheetData.memberSheet.insertRowAfter(row - 1);
+            if (MemberTable.active || !ChangePlan.enabled)
+                DirectoryIndex.insertRow(row, new Entry());
+            this.fillData(entry.data(), row, true);
+            console.log(`${ChangePlan.enabled ? "Planned new" : "Added new"} entry for ${entry.name} to the directory`);
+
+            if (match.status === "ambiguous") {
+                this.flagPossibleDuplicate(entry, row, match);
+                return `Added row ${row} (possible duplicate)`;
+            }
+            return `Added row ${row}`;
         } 
     },
 
@@ -22,19 +39,41 @@ const SheetHandler = {
      * Merges new data with existing row data, applies proper formatting and validation rules
      * Highlights cells with missing data in red to flag entries needing review
      * Applies appropriate dropdown validation to chapter, team, and grade columns
+     * Columns without a mapped header (e.g. "Pronouns") are left untouched
+     * During a dry run, records each changed cell in the ChangePlan instead of writing
+     * While MemberTable is active, the row is updated in memory (even during a dry run, so later
+     * entries see it) and written when the table is flushed
+     * The DirectoryIndex is updated with the row's new contents whenever the row is changed
      * 
      * @param {array} data - The member data to fill in (from FormResponse.data())
      * @param {number} row - The row number to populate (1-indexed)
+     * @param {boolean} isNewRow - Whether the row was just inserted (a dry run never inserts it)
      * @returns {void}
      */
-    fillData : function(data, row){
-        const range = SheetData.memberSheet.getRange(row, 1, 1, data.length);
+    fillData : function(data, row, isNewRow){
+        if (ChangePlan.enabled) {
+            this.recordPlannedChanges(data, row, isNewRow);
+            if (!MemberTable.active)
+                return;
+        }
+
+        const tableRow = MemberTable.active ? MemberTable.getRow(row) : null;
+        const range = tableRow ? null : SheetData.memberSheet.getRange(row, 1, 1, data.length);
+
+        var currentData = tableRow ? tableRow.values : range.getValues()[0];
+        var backgrounds = tableRow ? tableRow.backgrounds : range.getBackgrounds()[0];
+        var dataValidations = tableRow ? tableRow.validations : range.getDataValidations()[0];
 
-        var currentData = range.getValues()[0];
-        var backgrounds = range.getBackgrounds()[0];
-        var dataValidations = range.getDataValidations()[0];
+        const columns = SheetData.memberColumns;
+        const dropdowns = {
+            [columns.chapter - 1]: SheetData.chapterDropdown,
+            [columns.team - 1]: SheetData.teamDropdown,
+            [columns.grade - 1]: SheetData.gradeDropdown
+        };
+
+        for (const field in columns){
+            const i = columns[field] - 1;
 
-        for (let i = 0; i < currentData.length; i++){
             if (currentData[i] != "" && data[i] == "")
                 continue;
 
@@ -43,12 +82,14 @@ const SheetHandler = {
             if (data[i] == "")
                 backgrounds[i] = SheetData.MISSING_DATA_COLOR;
 
-            if (i == SheetData.MEMBERS_CHAPTER_COLUMN - 1)
-                dataValidations[i] = SheetData.chapterDropdown;
-            else if (i == SheetData.MEMBERS_TEAM_COLUMN - 1)
-                dataValidations[i] = SheetData.teamDropdown;
-            else if (i == SheetData.MEMBERS_GRADE_COLUMN - 1)
-                dataValidations[i] = SheetData.gradeDropdown;
+            if (dropdowns[i])
+                dataValidations[i] = dropdowns[i];
+        }
+
+        DirectoryIndex.updateRow(row, Entry.fromRow(currentData));
+        if (tableRow) {
+            MemberTable.markChanged(row);
+            return;
         }
 
         range.setValues([currentData])
@@ -56,46 +97,124 @@ const SheetHandler = {
             .setDataValidations([dataValidations]);
     },
 
+    /**
+     * Records the cells fillData would change in the ChangePlan without writing them
+     * Applies the same merge rule as fillData: blank values never overwrite existing data
+     * 
+     * @param {array} data - The member data that would be filled in
+     * @param {number} row - The row number that would be populated (1-indexed)
+     * @param {boolean} isNewRow - Whether the row would be newly inserted (and therefore blank)
+     * @returns {void}
+     */
+    recordPlannedChanges: function(data, row, isNewRow) {
+        const header = MemberTable.active
+            ? MemberTable.header
+            : SheetData.memberSheet.getRange(1, 1, 1, data.length).getValues()[0];
+        const currentData = isNewRow
+            ? data.map(() => "")
+            : MemberTable.active
+                ? MemberTable.getRow(row).values.slice()
+                : SheetData.memberSheet.getRange(row, 1, 1, data.length).getValues()[0];
+        const subject = data[SheetData.memberColumns.name - 1];
+
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] == "" || currentData[i] == data[i])
+                continue;
+
+            const details = isNewRow
+                ? `${header[i]} = "${data[i]}"`
+                : `${header[i]} in row ${row}: "${currentData[i]}" -> "${data[i]}"`;
+            ChangePlan.record("Directory", "Set cell", subject, details);
+        }
+    },
+
     /**
      * Finds the appropriate row to insert new member data based on team and chapter affiliation
      * Orders by team, then chapter within team, to maintain organization of the directory
+     * The team's block (its section header and members) comes from the DirectoryIndex
+     * A team with no section yet gets the row after the end of the directory, where sortDirectory()
+     * places members of teams without a section; the next sort gives it a header
      * @param {Entry} entry Directory entry for which to find the appropriate row
      * @returns {int} index of the row to fill in (1-indexed)
      */
     findAvailableRow: function(entry) {
         const searchTeam = (entry.team == "") ? "Member" : entry.team;
-        
-        const textFinder = SheetData.memberSheet.createTextFinder(searchTeam);
-        textFinder.matchCase(true).matchEntireCell(true);
-        const teamMatches = textFinder.findAll();
+        const teamRows = DirectoryIndex.getTeamRows(searchTeam);
 
-        for (let i = teamMatches.length - 1; i >= 0; i--) {
-            const row = teamMatches[i].getRow();
-            const foundEntry = Entry.fromDirectory(row);
+        for (let i = teamRows.length - 1; i >= 0; i--) {
+            const row = teamRows[i];
+            const foundEntry = DirectoryIndex.getEntry(row);
 
             if (foundEntry.chapter == entry.chapter) {
                 return row + 1;
             }
         }
 
-        return teamMatches.length > 0 ? teamMatches[teamMatches.length - 1].getRow() + 1 : -1;
+        if (teamRows.length > 0)
+            return teamRows[teamRows.length - 1] + 1;
+
+        console.warn(`The ${searchTeam} team has no section in the directory, so ${entry.name} goes at the end of the directory; run sortDirectory() to give it one`);
+        return DirectoryIndex.getLastRow() + 1;
     },
 
     /**
      * Finds the index of a specific entry in the directory
      * @param {Entry} entry The entry to find
-     * @returns {int} The index of the entry, or -1 if not found
+     * @returns {int} The index of the entry, or -1 if not found or the match is uncertain
      */
     findIndexOf: function(entry) {
-        const textFinder = SheetData.memberSheet.createTextFinder(entry.name);
-        textFinder.matchCase(true).matchEntireCell(true);
-        while (textFinder.findNext() != null) {
-            const row = textFinder.getCurrentMatch().getRow();
-            const foundEntry = Entry.fromDirectory(row);
-            if (foundEntry.equals(entry)) {
-                return row;
-            }
+        const match = this.findMatch(entry);
+        return match.status === "match" ? match.row : -1;
+    },
+
+    /**
+     * Matches an entry against the members in the directory by email, phone or fuzzy name
+     * Only the members the DirectoryIndex finds sharing its email, phone or chapter are scored
+     * @param {Entry} entry The entry to find
+     * @returns {object} The IdentityResolver result ({status, row, confidence, reason, candidates})
+     */
+    findMatch: function(entry) {
+        return IdentityResolver.resolve(entry, DirectoryIndex.findCandidates(entry));
+    },
+
+    /**
+     * Lists every member row of the directory from the DirectoryIndex
+     * Team section headers and blank rows (no email or chapter) are skipped
+     * @returns {array<object>} Members as {row, entry} objects
+     */
+    getMembers: function() {
+        return DirectoryIndex.getMembers();
+    },
+
+    /**
+     * Highlights the name of a newly added member and notes the existing members it may duplicate
+     * @param {Entry} entry The entry that was added
+     * @param {int} row The row the entry was added to (1-indexed)
+     * @param {object} match The ambiguous IdentityResolver result
+     * @returns {void}
+     */
+    flagPossibleDuplicate: function(entry, row, match) {
+        const note = "Possible duplicate of: " + match.candidates
+            .map(candidate => `${candidate.entry.name} <${candidate.entry.email}> (${candidate.reason} match, ${Math.round(candidate.confidence * 100)}%)`)
+            .join("; ");
+
+        console.warn(`${entry.name} may already be in the directory. ${note}`);
+
+        if (ChangePlan.enabled) {
+            ChangePlan.record("Directory", "Flag for review", entry.name, note);
+            return;
+        }
+
+        if (MemberTable.active) {
+            const tableRow = MemberTable.getRow(row);
+            tableRow.backgrounds[SheetData.memberColumns.name - 1] = SheetData.REVIEW_COLOR;
+            tableRow.notes[SheetData.memberColumns.name - 1] = note;
+            MemberTable.markChanged(row);
+            return;
         }
-        return -1;
+
+        SheetData.memberSheet.getRange(row, SheetData.memberColumns.name)
+            .setBackground(SheetData.REVIEW_COLOR)
+            .setNote(note);
     }
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+const SidebarHandler = {
+    // HTML file rendered in the sidebar and its title
+    HTML_FILE: "Sidebar",
+    TITLE: "Directory Tools",
+
+    // Every action the sidebar can run, keyed by the name its buttons send
+    // Each run function performs the action and returns a short summary of the results
+    ACTIONS: {
+        importResponses: {
+            label: "Import new responses",
+            run: () => {
+                const result = addAllFormResponses();
+                return `Imported ${result.processed} response(s)` +
+                    (result.failed ? `, ${result.failed} failed and will be retried` : "") +
+                    (result.remaining ? `, ${result.remaining} left for the next run` : "");
+            }
+        },
+        previewImport: {
+            label: "Preview import",
+            run: () => `${previewAllFormResponses().length} planned change(s) written to "${ChangePlan.SHEET_NAME}"`
+        },
+        processReviews: {
+            label: "Process approved reviews",
+            run: () => `Processed ${processApprovedReviews()} approved review(s)`
+        },
+        subscribeAll: {
+            label: "Subscribe all contacts",
+            run: () => {
+                const result = subscribeAllContacts();
+                return `Subscribed ${result.subscribed} of ${result.total} contact(s)`;
+            }
+        },
+        previewSubscribe: {
+            label: "Preview subscriptions",
+            run: () => `${previewSubscribeAllContacts().length} planned change(s) written to "${ChangePlan.SHEET_NAME}"`
+        },
+        drainOutbox: {
+            label: "Retry queued Wix changes",
+            run: () => {
+                const result = drainWixOutbox();
+                return `${result.sent} sent, ${result.failed} still failing, ${result.dead} moved to "${WixOutbox.DEAD_LETTER_SHEET_NAME}"`;
+            }
+        },
+        requeueDeadLetters: {
+            label: "Requeue failed Wix changes",
+            run: () => `Requeued ${requeueWixDeadLetters()} Wix change(s)`
+        },
+        reconcile: {
+            label: "Compare directory with Wix",
+            run: () => `Found ${reconcileDirectoryWithWix().length} difference(s); see "${ReconcileHandler.SHEET_NAME}"`
+        },
+        applyReconciliation: {
+            label: "Apply reconciliation fixes",
+            run: () => `Applied ${applyReconciliationFixes()} reconciliation fix(es)`
+        },
+        auditDuplicates: {
+            label: "Find duplicate members",
+            run: () => `Found ${auditDuplicateMembers().length} group(s) of possible duplicates; see "${DuplicateHandler.SHEET_NAME}"`
+        },
+        mergeDuplicates: {
+            label: "Merge approved duplicates",
+            run: () => `Merged ${mergeApprovedDuplicates()} group(s) of duplicates`
+        },
+        graduateSeniors: {
+            label: "Graduate seniors",
+            run: () => {
+                const result = graduateSeniors();
+                return `Graduated ${result.graduated}, advanced ${result.advanced} and skipped ${result.skipped} member(s)`;
+            }
+        },
+        sortDirectory: {
+            label: "Re-sort directory",
+            run: () => {
+                const result = sortDirectory();
+                return `Sorted ${result.members} member(s): ${result.moved} moved, ${result.headersAdded} missing team header(s) added`;
+            }
+        },
+        scanDataQuality: {
+            label: "Check data quality",
+            run: () => {
+                const result = scanDataQuality();
+                return `Found ${result.issues} issue(s) across ${result.members} member(s); see "${QualityHandler.SHEET_NAME}"`;
+            }
+        },
+        exportRosters: {
+            label: "Refresh chapter rosters",
+            run: () => {
+                const result = exportChapterRosters();
+                return `Refreshed ${result.refreshed} chapter roster(s), ${result.unchanged} already current` +
+                    (result.failed ? `, ${result.failed} failed` : "");
+            }
+        },
+        registerTriggers: {
+            label: "Install triggers",
+            run: () => {
+                const result = registerTriggers();
+                return `Installed ${result.installed.length} and removed ${result.removed.length} trigger(s)`;
+            }
+        },
+        triggerStatus: {
+            label: "Check triggers",
+            run: () => getTriggerStatus().map(trigger =>
+                `${trigger.handler}: ${trigger.installed ? "installed" : "NOT INSTALLED"}, last succeeded ` +
+                (trigger.lastSuccess ? trigger.lastSuccess.toLocaleString() : "never")).join("\n")
+        }
+    },
+
+    /**
+     * Opens the officer sidebar in the directory spreadsheet
+     * @returns {void}
+     */
+    show: function() {
+        const html = HtmlService.createHtmlOutputFromFile(this.HTML_FILE).setTitle(this.TITLE);
+        SpreadsheetApp.getUi().showSidebar(html);
+    },
+
+    /**
+     * Runs an action requested by the sidebar, publishing its progress for the sidebar to poll
+     * @param {string} name - Key of the action in ACTIONS
+     * @returns {string} - Summary of the results
+     * @throws {Error} - If the action is unknown or fails
+     */
+    run: function(name) {
+        const action = this.ACTIONS[name];
+        if (!action)
+            throw new Error(`Unknown sidebar action "${name}"`);
+
+        Progress.start(action.label);
+        try {
+            const summary = action.run();
+            console.log(`${action.label}: ${summary}`);
+            Progress.finish("done", summary);
+            return summary;
+        } catch (e) {
+            console.error(`${action.label} failed: ${e.message}`);
+            Progress.finish("failed", e.message);
+            throw e;
+        }
+    }
+};
@@ -0,0 +1,142 @@
+const SortHandler = {
+    // Team that members with a blank Team are sorted under, as in SheetHandler.findAvailableRow
+    DEFAULT_TEAM: "Member",
+
+    /**
+     * Re-sorts the whole Members sheet into one section per team, in the order of the Teams sheet
+     * Members are ordered by the Chapters sheet within their team, then by name; rows keep their
+     * backgrounds, dropdowns and notes as they move
+     * A section header is added for every team that has none, so new members always have a place to go
+     * Members of teams missing from the Teams sheet follow the last section, then any other rows that are
+     * neither members nor section headers, in their current order, then any repeated section headers,
+     * which are highlighted for review
+     *
+     * @returns {object} - Counts of {members, moved, headersAdded}
+     */
+    sort: function() {
+        MemberTable.load();
+        const teams = SheetData.teams;
+        const nameIndex = SheetData.memberColumns.name - 1;
+
+        const headers = {};
+        const members = [];
+        const others = [];
+        const duplicates = [];
+        const blanks = [];
+        MemberTable.rows.forEach((tableRow, i) => {
+            const entry = Entry.fromRow(tableRow.values);
+            if (tableRow.values.every(value => value === ""))
+                blanks.push(tableRow);
+            else if (this.isSectionHeader(entry, teams) && !headers[entry.name])
+                headers[entry.name] = tableRow;
+            else if (this.isSectionHeader(entry, teams))
+                duplicates.push(this.flagDuplicateHeader(tableRow, entry.name, i + 2));
+            else if (entry.name !== "" && (entry.email !== "" || entry.chapter !== ""))
+                members.push({ tableRow, entry, position: i });
+            else
+                others.push(tableRow);
+        });
+
+        const headerStyle = Object.values(headers).map(tableRow => tableRow.backgrounds)[0];
+        const sorted = members.slice().sort((a, b) => this.compare(a, b, teams));
+        const rows = [];
+        let headersAdded = 0;
+
+        teams.forEach(team => {
+            if (!headers[team]) {
+                const values = Array(MemberTable.header.length).fill("");
+                values[nameIndex] = team;
+                headers[team] = MemberTable.createRow(values, headerStyle ? headerStyle.slice() : null);
+                headersAdded++;
+                console.log(`Added a missing section header for the ${team} team`);
+            }
+
+            rows.push(headers[team]);
+            sorted.filter(member => this.teamOf(member.entry) === team).forEach(member => rows.push(member.tableRow));
+        });
+
+        const unknownTeams = sorted.filter(member => !teams.includes(this.teamOf(member.entry)));
+        unknownTeams.forEach(member => rows.push(member.tableRow));
+        if (unknownTeams.length)
+            console.warn(`${unknownTeams.length} member(s) are on teams missing from the Teams sheet and were placed after the last section: ` +
+                unknownTeams.map(member => `${member.entry.name} (${member.entry.team})`).join(", "));
+        if (others.length)
+            console.warn(`${others.length} row(s) that are neither members nor team headers were moved to the end of the directory`);
+
+        blanks.forEach(tableRow => {
+            tableRow.backgrounds = tableRow.backgrounds.map(() => null);
+            tableRow.validations = tableRow.validations.map(() => null);
+            tableRow.notes = tableRow.notes.map(() => "");
+        });
+        rows.push(...others, ...duplicates, ...blanks);
+
+        const moved = members.filter(member => rows.indexOf(member.tableRow) !== member.position).length;
+        MemberTable.setRows(rows);
+        MemberTable.flush();
+        DirectoryIndex.build();
+
+        console.log(`Sorted ${members.length} member(s) into ${teams.length} team section(s); ${moved} moved, ${headersAdded} header(s) added`);
+        return { members: members.length, moved, headersAdded };
+    },
+
+    /**
+     * Highlights a second section header of a team and notes why it was moved, so an officer notices it
+     * @param {object} tableRow - The MemberTable row of the duplicate header
+     * @param {string} team - The team it is a header of
+     * @param {number} row - Its row before the sort (1-indexed)
+     * @returns {object} - The row
+     */
+    flagDuplicateHeader: function(tableRow, team, row) {
+        const nameIndex = SheetData.memberColumns.name - 1;
+        tableRow.backgrounds[nameIndex] = SheetData.REVIEW_COLOR;
+        tableRow.notes[nameIndex] = `Duplicate ${team} section header, moved here from row ${row} by sortDirectory(). ` +
+            "Members are sorted under the first one; delete this row once nothing below it is needed";
+        console.warn(`Row ${row} is a second ${team} section header; it was moved to the end of the directory and highlighted for review`);
+        return tableRow;
+    },
+
+    /**
+     * Checks whether a row is the section header of a team: the team's name alone in the Name column
+     * @param {Entry} entry - The row's contents
+     * @param {array<string>} teams - Teams from the Teams sheet
+     * @returns {boolean}
+     */
+    isSectionHeader: function(entry, teams) {
+        return teams.includes(entry.name) && entry.email === "" && entry.chapter === "";
+    },
+
+    /**
+     * @param {Entry} entry - A member
+     * @returns {string} - The team the member is sorted under
+     */
+    teamOf: function(entry) {
+        return entry.team || this.DEFAULT_TEAM;
+    },
+
+    /**
+     * Orders two members by team and chapter (in Teams and Chapters sheet order, unknown ones last and
+     * alphabetically), then by name ignoring case, keeping their current order when all are equal
+     * @param {object} a - {entry, position}
+     * @param {object} b - {entry, position}
+     * @param {array<string>} teams - Teams from the Teams sheet
+     * @returns {number}
+     */
+    compare: function(a, b, teams) {
+        return this.compareBy(teams, this.teamOf(a.entry), this.teamOf(b.entry)) ||
+            this.compareBy(SheetData.chapters, a.entry.chapter, b.entry.chapter) ||
+            String(a.entry.name).toLowerCase().localeCompare(String(b.entry.name).toLowerCase()) ||
+            a.position - b.position;
+    },
+
+    /**
+     * Compares two values by their position in a list, placing values missing from it last and alphabetically
+     * @param {array<string>} order - The list defining the order
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    compareBy: function(order, a, b) {
+        const rank = value => order.includes(value) ? order.indexOf(value) : order.length;
+        return (rank(a) - rank(b)) || (rank(a) === order.length ? String(a).localeCompare(String(b)) : 0);
+    }
+};
@@ -1,71 +1,389 @@
 const WixHandler = {
+    // Member fields mirrored to Wix as labels named "<Prefix>: <value>" (e.g. "Chapter: Food4Pitt")
+    LABEL_FIELDS: { chapter: "Chapter", team: "Team", grade: "Grade", title: "Title" },
+    // Extended fields linking parents and members by contact ID (comma-separated)
+    STUDENT_IDS_FIELD: "Student Contact IDs",
+    PARENT_IDS_FIELD: "Parent Contact IDs",
+    // Subscription and deliverability statuses that stop a contact from being subscribed, with the reason reported
+    SUBSCRIPTION_SKIP_REASONS: {
+        UNSUBSCRIBED: "Unsubscribed from the newsletter",
+        BOUNCED: "Email bounced",
+        SPAM_COMPLAINT: "Reported the newsletter as spam",
+        INACTIVE: "Email inactive"
+    },
+
     /**
      * Processes a form response by creating or updating a Wix CMS contact
+     * Writes that fail while Wix is unavailable are queued in the WixOutbox, and so is the whole
+     * sync if the member's or their parents' contacts cannot be looked up or created
+     * A member with no email and no existing contact is skipped, as Wix cannot create a contact without one
+     * 
      * @param {Entry} entry The form entry containing member information
-     * @returns {void}
+     * @returns {string} - What was done in Wix (e.g. "Created contact"), for the RunLog
+     * @throws {WixApiError} - If Wix rejects a request in a way retrying cannot fix
      */
     processFormResponse: function(entry){
-        const contact = WixService.queryContact(entry.name, entry.email, entry.phone);
-        if (contact == null) {
-            this.createContacts(entry);
-            console.log(`Created new contact for ${entry.name} in Wix CMS`);
+        const queued = WixOutbox.queuedCount;
+
+        let contact;
+        try {
+            contact = WixService.queryContact(entry.name, entry.email, entry.phone);
+            if (contact == null && !entry.email) {
+                console.warn(`${entry.name} has no email, so no Wix contact was created`);
+                return "Skipped contact: no email";
+            }
+            const labels = this.getMemberLabels(entry);
+
+            if (contact == null)
+                this.createContacts(entry, labels);
+            else
+                this.updateContacts(entry, contact, labels);
+        } catch (e) {
+            if (!WixOutbox.enqueue("syncMember", [entry], entry.name, e))
+                throw e;
+            return "Queued sync to retry";
         }
-        else {
-            this.updateContacts(entry, contact);
-            console.log(`Updated existing contact for ${entry.name} in Wix CMS`);
+
+        if (WixOutbox.queuedCount > queued) {
+            console.warn(`Queued ${WixOutbox.queuedCount - queued} Wix change(s) for ${entry.name} to retry later`);
+            return `Queued ${WixOutbox.queuedCount - queued} change(s) to retry`;
+        } else if (contact == null) {
+            console.log(`${ChangePlan.enabled ? "Planned new" : "Created new"} contact for ${entry.name} in Wix CMS`);
+            return "Created contact";
+        } else {
+            console.log(`${ChangePlan.enabled ? "Planned update of" : "Updated"} existing contact for ${entry.name} in Wix CMS`);
+            return "Updated contact";
         }
     },
 
     /**
-     * Creates or updates Wix CMS contacts for a new form submission
-     * Handles both member and parent contact creation with appropriate labels
-     * Parses full names, normalizes team/role labels, and manages parent email entries
+     * Creates Wix CMS contacts for a new member and links them to their parents' contacts
+     * Parents are looked up by email, so a parent of several members shares one contact
      * 
      * @param {Entry} entry - The form entry containing member information
+     * @param {array} labels - The member's label keys (looked up from the entry if omitted)
      * @returns {void}
      */
-    createContacts: function(entry){
-        const labels = [WixUtils.normalizeLabel("Directory")];
-        WixService.createContact(entry.name, entry.email, entry.phone, labels);
-        WixService.subscribeContact(entry.email);
-    
-        if (entry.parentEmail){
-            const emails = entry.parentEmail.split(",");
-            for (let i = 0; i < emails.length; i++){
-                const email = emails[i];
-                const parentName = `${entry.name} - Parent ${i + 1}`
-                const parentLabels = [WixUtils.normalizeLabel("Parent")];
-                WixService.createContact(parentName, email, "", parentLabels);
-                WixService.subscribeContact(email);
-            }
+    createContacts: function(entry, labels){
+        labels = labels || this.getMemberLabels(entry);
+        const response = WixService.createContact(entry.name, entry.email, entry.phone, labels);
+        const contact = this.getCreatedContact(response);
+        this.subscribe(entry.email, entry.name, entry.newsletterConsent);
+
+        const parentIds = this.syncParents(entry, contact);
+        if (parentIds.length) {
+            const parentField = WixService.findOrCreateExtendedField(this.PARENT_IDS_FIELD);
+            WixOutbox.send("updateContact", [contact, null, null, null, null, { [parentField]: parentIds.join(",") }], entry.name);
         }
+        this.subscribeParents(entry);
     },
 
     /**
-     * Updates an existing Wix CMS contact with new information
+     * Updates an existing Wix CMS contact with new information and re-links the member's parents
+     * Replaces the contact's chapter, team, grade and title labels, keeping labels added in Wix by hand
      * @param {Entry} entry The form entry containing updated member information
      * @param {Object} contact The existing Wix CMS contact to update
+     * @param {array} labels The member's label keys (looked up from the entry if omitted)
      * @returns {void}
      */
-    updateContacts: function(entry, contact) {
-        const parentEmails = entry.parentEmails;
-        for (let i = 0; i < parentEmails.length; i++) {
-            const parentName = `${entry.name} - Parent ${i + 1}`;
-            const parentLabels = [WixUtils.normalizeLabel("Parent")];
-            const currentContact = WixService.queryContact(parentName, null, null);
-
-            if (currentContact == null) {
-                WixService.createContact(parentName, parentEmails[i], "", parentLabels);
+    updateContacts: function(entry, contact, labels) {
+        labels = this.mergeLabels(contact.info?.labelKeys?.items || [], labels || this.getMemberLabels(entry));
+
+        const parentIds = this.syncParents(entry, contact);
+        const parentField = WixService.findOrCreateExtendedField(this.PARENT_IDS_FIELD);
+
+        WixOutbox.send("updateContact", [contact, entry.name, entry.email, entry.phone, labels, { [parentField]: parentIds.join(",") }], entry.name);
+        this.subscribe(entry.email, entry.name, entry.newsletterConsent);
+        this.subscribeParents(entry);
+    },
+
+    /**
+     * Finds or creates a contact for each of a member's parent emails and links it to the member
+     * A parent contact stores its children's contact IDs in the "Student Contact IDs" field, and a member
+     * stores their parents' IDs in the "Parent Contact IDs" field
+     * When a member's parent email changes, the parent contact linked only to this member has its email
+     * updated instead of a new contact being created; parents no longer listed are unlinked from the member
+     * 
+     * @param {Entry} entry - The member
+     * @param {object} student - The member's Wix contact
+     * @returns {array<string>} - Contact IDs of the member's parents, in the order of entry.parentEmails
+     * @throws {WixApiError} - If a parent cannot be looked up or created
+     */
+    syncParents: function(entry, student) {
+        const studentField = WixService.findOrCreateExtendedField(this.STUDENT_IDS_FIELD);
+        const parentField = WixService.findOrCreateExtendedField(this.PARENT_IDS_FIELD);
+
+        const parents = entry.parentEmails.map(email => ({ email, contact: WixService.queryContact(null, email, null) }));
+        const stale = this.splitIds(student.info?.extendedFields?.items?.[parentField])
+            .filter(id => !parents.some(parent => parent.contact && parent.contact.id === id))
+            .map(id => this.findContact(id))
+            .filter(Boolean);
+
+        parents.forEach(parent => {
+            if (parent.contact) {
+                this.linkParent(parent.contact, student.id, studentField);
+                return;
+            }
+
+            // The parent's email changed: reuse the old contact if it belongs to this member alone
+            const index = stale.findIndex(contact =>
+                this.splitIds(contact.info?.extendedFields?.items?.[studentField]).every(id => id === student.id));
+            if (index !== -1) {
+                parent.contact = stale.splice(index, 1)[0];
+                console.log(`Changed parent email of ${entry.name} from ${parent.contact.primaryInfo?.email} to ${parent.email}`);
+                WixOutbox.send("updateContact", [parent.contact, null, parent.email, null, null, { [studentField]: student.id }], parent.email);
+                return;
             }
-            else if (currentContact.email != parentEmails[i]) {
-                WixService.updateContact(currentContact, parentName, parentEmails[i], "", parentLabels);
+
+            parent.contact = this.createParentContact(entry, parent.email, student.id, studentField);
+        });
+
+        stale.forEach(contact => {
+            const studentIds = this.splitIds(contact.info?.extendedFields?.items?.[studentField]).filter(id => id !== student.id);
+            WixOutbox.send("updateContact", [contact, null, null, null, null, { [studentField]: studentIds.join(",") }], contact.primaryInfo?.email || contact.id);
+        });
+
+        return parents.map(parent => parent.contact.id).filter(Boolean);
+    },
+
+    /**
+     * Creates a contact for a parent of a member, already linked to the member
+     * A parent created concurrently (e.g. by a sibling's submission) is linked instead
+     * 
+     * @param {Entry} entry - The member
+     * @param {string} email - The parent's email address
+     * @param {string} studentId - The member's contact ID
+     * @param {string} studentField - Key of the "Student Contact IDs" field
+     * @returns {object} - The parent's contact
+     * @throws {WixApiError} - If the contact cannot be created
+     */
+    createParentContact: function(entry, email, studentId, studentField) {
+        const parentLabels = [WixUtils.normalizeLabel("Parent")];
+        try {
+            const response = WixService.createContact(`Parent of ${entry.name}`, email, "", parentLabels, { [studentField]: studentId });
+            return this.getCreatedContact(response);
+        } catch (e) {
+            if (!(e instanceof WixConflictError) || e.applicationCode !== "DUPLICATE_CONTACT_EXISTS")
+                throw e;
+            console.log(`Parent contact ${email} already exists in Wix CMS`);
+            const existing = WixService.getContact(e.applicationData.duplicateContactId);
+            this.linkParent(existing, studentId, studentField);
+            return existing;
+        }
+    },
+
+    /**
+     * Adds a member to a parent contact's children and makes sure it has the "Parent" label
+     * Does nothing if the parent is already linked
+     * 
+     * @param {object} parent - The parent's contact
+     * @param {string} studentId - The member's contact ID
+     * @param {string} studentField - Key of the "Student Contact IDs" field
+     * @returns {void}
+     */
+    linkParent: function(parent, studentId, studentField) {
+        const studentIds = this.splitIds(parent.info?.extendedFields?.items?.[studentField]);
+        const labels = parent.info?.labelKeys?.items || [];
+        const parentLabel = WixUtils.normalizeLabel("Parent");
+        if (!studentId || (studentIds.includes(studentId) && labels.includes(parentLabel)))
+            return;
+
+        WixOutbox.send("updateContact", [
+            parent, null, null, null,
+            [...new Set(labels.concat(parentLabel))],
+            { [studentField]: [...new Set(studentIds.concat(studentId))].join(",") }
+        ], parent.primaryInfo?.email || parent.id);
+    },
+
+    /**
+     * Replaces the chapter, team, grade and title labels of a member's contact, e.g. after their grade advances
+     * @param {Entry} entry - The member
+     * @returns {boolean} - True if the member has a contact to relabel
+     * @throws {WixApiError} - If the contact or a label cannot be looked up
+     */
+    relabelContact: function(entry) {
+        const contact = WixService.queryContact(entry.name, entry.email, entry.phone);
+        if (contact == null)
+            return false;
+
+        const labels = this.mergeLabels(contact.info?.labelKeys?.items || [], this.getMemberLabels(entry));
+        WixOutbox.send("updateContact", [contact, null, null, null, labels], entry.name);
+        return true;
+    },
+
+    /**
+     * Retires the contacts of a member who graduated or left the organization
+     * The member's directory labels are replaced with the given status label and their parents are unlinked;
+     * a parent left with no linked members loses the "Parent" label and is unsubscribed from the newsletter
+     * 
+     * @param {Entry} entry - The member
+     * @param {string} status - Display name of the label marking the member's new status (e.g. "Alumni")
+     * @param {boolean} unsubscribe - Whether to unsubscribe the member from the newsletter as well
+     * @returns {boolean} - True if the member had a contact to retire
+     * @throws {WixApiError} - If a contact, label or field cannot be looked up
+     */
+    retireContacts: function(entry, status, unsubscribe) {
+        const contact = WixService.queryContact(entry.name, entry.email, entry.phone);
+        if (contact == null) {
+            console.log(`${entry.name} has no contact in Wix CMS to retire`);
+            return false;
+        }
+
+        const studentField = WixService.findOrCreateExtendedField(this.STUDENT_IDS_FIELD);
+        const parentField = WixService.findOrCreateExtendedField(this.PARENT_IDS_FIELD);
+        const labels = this.mergeLabels(contact.info?.labelKeys?.items || [], [WixService.findOrCreateLabel(status)]);
+        const parents = this.splitIds(contact.info?.extendedFields?.items?.[parentField])
+            .map(id => this.findContact(id))
+            .filter(Boolean);
+
+        WixOutbox.send("updateContact", [contact, null, null, null, labels, { [parentField]: "" }], entry.name);
+        if (unsubscribe)
+            WixOutbox.send("unsubscribeContact", [entry.email], entry.name);
+
+        parents.forEach(parent => {
+            const email = parent.primaryInfo?.email;
+            const studentIds = this.splitIds(parent.info?.extendedFields?.items?.[studentField]).filter(id => id !== contact.id);
+            let parentLabels = null;
+            if (!studentIds.length) {
+                parentLabels = (parent.info?.labelKeys?.items || []).filter(label => label !== WixUtils.normalizeLabel("Parent"));
+                if (email)
+                    WixOutbox.send("unsubscribeContact", [email], email);
             }
+            WixOutbox.send("updateContact", [parent, null, null, null, parentLabels, { [studentField]: studentIds.join(",") }], email || parent.id);
+        });
+
+        console.log(`${ChangePlan.enabled ? "Planned retirement of" : "Retired"} the contact for ${entry.name} in Wix CMS as ${status}`);
+        return true;
+    },
+
+    /**
+     * Subscribes a contact to the newsletter unless they opted out
+     * The current subscription is read first: unsubscribed and undeliverable addresses are left alone and
+     * listed on the "Skipped Subscriptions" sheet. A "Yes" on the form's consent question overrides an earlier
+     * unsubscribe, and a "No" unsubscribes the contact instead
+     * 
+     * @param {string} email - The contact's email address
+     * @param {string} subject - Who the contact is, for the outbox and the report
+     * @param {boolean|null} consent - The member's answer to the consent question, or null if they were not asked
+     * @param {object} subscription - The contact's current subscription, if already known; read from Wix if omitted
+     * @returns {boolean} - True if a subscription was sent or queued
+     * @throws {WixApiError} - If the current subscription cannot be read
+     */
+    subscribe: function(email, subject, consent, subscription) {
+        if (!email)
+            return false;
+
+        if (subscription === undefined)
+            subscription = WixService.getSubscription(email);
+        const status = subscription?.subscriptionStatus || "NOT_SET";
+        const deliverability = subscription?.deliverabilityStatus || "NOT_SET";
 
-            WixService.subscribeContact(parentEmails[i]);
+        if (consent === false) {
+            if (status === "SUBSCRIBED" || status === "PENDING")
+                WixOutbox.send("unsubscribeContact", [email], subject);
+            SubscriptionReport.record(email, subject, "Declined on the Membership Form");
+            return false;
         }
-    
-        let labels = [WixUtils.normalizeLabel("Directory")];
-        WixService.updateContact(contact, entry.name, entry.email, entry.phone, labels);
-        WixService.subscribeContact(entry.email);
+
+        const reason = this.SUBSCRIPTION_SKIP_REASONS[deliverability] ||
+            (consent !== true && this.SUBSCRIPTION_SKIP_REASONS[status]);
+        if (reason) {
+            SubscriptionReport.record(email, subject, reason);
+            return false;
+        }
+
+        if (status === "SUBSCRIBED")
+            return false;
+
+        WixOutbox.send("subscribeContact", [email], subject);
+        return true;
+    },
+
+    /**
+     * Subscribes each of a member's parents to the newsletter, unless they opted out
+     * @param {Entry} entry - The member
+     * @returns {void}
+     */
+    subscribeParents: function(entry) {
+        entry.parentEmails.forEach(email => this.subscribe(email, email, null));
+    },
+
+    /**
+     * Fetches a linked contact, ignoring links to contacts that were deleted in Wix
+     * @param {string} contactId - The contact ID
+     * @returns {object|null} - The contact, or null if it no longer exists
+     * @throws {WixApiError} - If the contact cannot be fetched for any other reason
+     */
+    findContact: function(contactId) {
+        try {
+            return WixService.getContact(contactId);
+        } catch (e) {
+            if (e instanceof WixApiError && e.code === 404)
+                return null;
+            throw e;
+        }
+    },
+
+    /**
+     * Reads the contact from a createContact response
+     * During a dry run nothing is created, so a placeholder stands in for the new contact
+     * 
+     * @param {object} response - The createContact response
+     * @returns {object} - The new contact
+     */
+    getCreatedContact: function(response) {
+        return JSON.parse(response.body).contact || { id: "(new contact)", info: {} };
+    },
+
+    /**
+     * Splits a stored list of contact IDs
+     * Example: "a1,b2, " --> ["a1", "b2"]
+     * 
+     * @param {string} value - Comma-separated contact IDs
+     * @returns {array<string>}
+     */
+    splitIds: function(value) {
+        return String(value || "").split(",").map(id => id.trim()).filter(Boolean);
+    },
+
+    /**
+     * Finds the label keys a member's contact should have: "Directory" plus a label for each of LABEL_FIELDS
+     * Labels that do not exist in Wix yet are created
+     * Example: {chapter: "Food4Pitt", team: "Outreach", grade: "", title: ""}
+     *     --> ["custom.directory", "custom.chapter-food4pitt", "custom.team-outreach"]
+     * 
+     * @param {Entry} entry - The member
+     * @returns {array<string>} - Label keys
+     * @throws {WixApiError} - If a label cannot be found or created
+     */
+    getMemberLabels: function(entry) {
+        const labels = [WixUtils.normalizeLabel("Directory")];
+        for (const field in this.LABEL_FIELDS) {
+            if (entry[field])
+                labels.push(WixService.findOrCreateLabel(`${this.LABEL_FIELDS[field]}: ${entry[field]}`));
+        }
+        return labels;
+    },
+
+    /**
+     * Replaces the labels this script manages on a contact, keeping every other label
+     * Managed labels are "Directory" and any label whose display name starts with a LABEL_FIELDS prefix,
+     * so a member who changes chapter loses their old chapter label
+     * 
+     * @param {array<string>} currentLabels - The contact's current label keys
+     * @param {array<string>} memberLabels - The member's label keys from getMemberLabels
+     * @returns {array<string>} - The contact's new label keys
+     */
+    mergeLabels: function(currentLabels, memberLabels) {
+        const prefixes = Object.values(this.LABEL_FIELDS).map(prefix => prefix + ": ");
+        const labels = WixService.getLabels();
+        const managed = new Set([WixUtils.normalizeLabel("Directory")]);
+        for (const displayName in labels) {
+            if (prefixes.some(prefix => displayName.startsWith(prefix)))
+                managed.add(labels[displayName]);
+        }
+
+        const kept = currentLabels.filter(label => !managed.has(label));
+        return [...new Set(kept.concat(memberLabels))];
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,53 @@
+const ChangePlan = {
+    // Name of the sheet that receives the reviewable plan after a dry run
+    SHEET_NAME: "Pending Changes",
+    SHEET_HEADER: ["Target", "Action", "Subject", "Details"],
+
+    // Whether writes should be recorded instead of applied
+    enabled: false,
+    // Every change recorded since the dry run began
+    changes: [],
+
+    /**
+     * Starts a dry run
+     * While enabled, SheetHandler and WixService record their writes here instead of applying them
+     * @returns {void}
+     */
+    begin: function() {
+        this.enabled = true;
+        this.changes = [];
+    },
+
+    /**
+     * Records a change that would have been applied
+     * @param {string} target - The system being changed ("Directory" or "Wix")
+     * @param {string} action - What would happen (e.g. "Insert row", "Create contact")
+     * @param {string} subject - Who or what the change applies to
+     * @param {string} details - Human-readable description of the change
+     * @returns {void}
+     */
+    record: function(target, action, subject, details) {
+        this.changes.push({ target, action, subject, details: details || "" });
+        console.log(`[Dry run] ${target} - ${action} - ${subject}${details ? ": " + details : ""}`);
+    },
+
+    /**
+     * Ends the dry run, logs a summary and optionally writes the plan to the "Pending Changes" sheet
+     * @param {boolean} writeToSheet - Whether to replace the contents of the "Pending Changes" sheet
+     * @returns {array} - The recorded changes
+     */
+    end: function(writeToSheet) {
+        const changes = this.changes;
+        this.enabled = false;
+        this.changes = [];
+
+        console.log(`Dry run complete: ${changes.length} planned change(s)`);
+
+        if (writeToSheet) {
+            const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+            SheetUtils.replaceRows(sheet, changes.map(change => [change.target, change.action, change.subject, change.details]));
+        }
+
+        return changes;
+    }
+};
@@ -0,0 +1,46 @@
+const Config = {
+    // Officer-editable sheet of Key | Value settings inside the directory
+    SHEET_NAME: "Config",
+
+    // Map of every key to its value on the Config sheet
+    values: null,
+
+    /**
+     * Loads every setting from the Config sheet of the directory
+     * Keys are read from the first column and values from the second, below a header row
+     * The form mapping is reset, since it is resolved from these settings
+     * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The directory spreadsheet
+     * @returns {void}
+     */
+    initialize: function(spreadsheet) {
+        this.values = {};
+        FormMapping.reset();
+
+        const sheet = spreadsheet.getSheetByName(this.SHEET_NAME);
+        if (!sheet || sheet.getLastRow() < 2)
+            return;
+
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, 2)
+            .getValues()
+            .filter(row => row[0] !== "")
+            .forEach(row => this.values[String(row[0]).trim()] = row[1]);
+    },
+
+    /**
+     * Reads a setting from the Config sheet, falling back to the script property with the same key
+     * @param {string} key - The setting to read (e.g. "FORM_NAME_QUESTION")
+     * @param {*} defaultValue - Returned when the setting is not configured anywhere
+     * @returns {*} - The configured value or the default
+     */
+    get: function(key, defaultValue) {
+        const value = this.values ? this.values[key] : undefined;
+        if (value !== undefined && value !== "")
+            return value;
+
+        const property = PropertiesService.getScriptProperties().getProperty(key);
+        if (property !== null && property !== "")
+            return property;
+
+        return defaultValue;
+    }
+};
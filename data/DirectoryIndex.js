@@ -0,0 +1,218 @@
+const DirectoryIndex = {
+    // Every row below the Members header, in sheet order, as {row, entry, isMember} objects
+    // Team section headers and blank rows have isMember false
+    records: [],
+    // Lookup maps from a normalized email, phone, name, chapter or team to the records holding it
+    byEmail: null,
+    byPhone: null,
+    byName: null,
+    byChapter: null,
+    // Records of each team's block: its section header row and the rows of its members
+    byTeam: null,
+
+    /**
+     * Reads the Members sheet once and indexes every row by email, phone, name, chapter and team
+     * Called by SheetData.initialize(), so the index is built once per execution
+     * @returns {void}
+     */
+    build: function() {
+        const sheet = SheetData.memberSheet;
+        const lastRow = sheet.getLastRow();
+        const rows = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, SheetData.memberColumnCount).getValues();
+
+        this.records = rows.map((values, i) => this.createRecord(i + 2, Entry.fromRow(values)));
+        this.reindex();
+    },
+
+    /**
+     * @param {number} row - Row on the Members sheet (1-indexed)
+     * @param {Entry} entry - The row's contents
+     * @returns {object} - {row, entry, isMember}
+     */
+    createRecord: function(row, entry) {
+        return { row, entry, isMember: entry.name !== "" && (entry.email !== "" || entry.chapter !== "") };
+    },
+
+    /**
+     * Rebuilds the lookup maps from the records
+     * @returns {void}
+     */
+    reindex: function() {
+        this.byEmail = new Map();
+        this.byPhone = new Map();
+        this.byName = new Map();
+        this.byChapter = new Map();
+        this.byTeam = new Map();
+        this.records.forEach(record => this.add(record));
+    },
+
+    /**
+     * Adds a record to the lookup maps
+     * @param {object} record - {row, entry, isMember}
+     * @returns {void}
+     */
+    add: function(record) {
+        this.keys(record).forEach(([map, key]) => {
+            if (!map.has(key))
+                map.set(key, new Set());
+            map.get(key).add(record);
+        });
+    },
+
+    /**
+     * Removes a record from the lookup maps
+     * @param {object} record - {row, entry, isMember}
+     * @returns {void}
+     */
+    remove: function(record) {
+        this.keys(record).forEach(([map, key]) => {
+            const records = map.get(key);
+            records.delete(record);
+            if (!records.size)
+                map.delete(key);
+        });
+    },
+
+    /**
+     * Lists the map entries a record belongs in; a section header belongs only to its team's block
+     * @param {object} record - {row, entry, isMember}
+     * @returns {array<array>} - [map, key] pairs, skipping blank keys
+     */
+    keys: function(record) {
+        const entry = record.entry;
+        const keys = record.isMember
+            ? [
+                [this.byEmail, IdentityResolver.normalizeEmail(entry.email)],
+                [this.byPhone, IdentityResolver.normalizePhone(entry.phone)],
+                [this.byName, IdentityResolver.normalizeName(entry.name)],
+                [this.byChapter, entry.chapter],
+                [this.byTeam, entry.team]
+            ]
+            : [[this.byTeam, entry.name]];
+        return keys.filter(([map, key]) => key !== "");
+    },
+
+    /**
+     * @param {Map} map - One of the lookup maps
+     * @param {string} key - The normalized key
+     * @returns {array<object>} - The matching records in row order
+     */
+    lookup: function(map, key) {
+        return Array.from(map.get(key) || []).sort((a, b) => a.row - b.row);
+    },
+
+    /**
+     * Lists every member row, skipping team section headers and blank rows
+     * @returns {array<object>} - Members as {row, entry} objects, in row order
+     */
+    getMembers: function() {
+        return this.records
+            .filter(record => record.isMember)
+            .map(record => ({ row: record.row, entry: this.copy(record.entry) }));
+    },
+
+    /**
+     * Lists the members IdentityResolver could match to an entry: those sharing its email, phone or chapter
+     * Every other member scores zero, so resolving against these gives the same result as the whole directory
+     * @param {Entry} entry - The submitted entry
+     * @returns {array<object>} - Members as {row, entry} objects, in row order
+     */
+    findCandidates: function(entry) {
+        const records = new Set(this.lookup(this.byEmail, IdentityResolver.normalizeEmail(entry.email))
+            .concat(this.lookup(this.byPhone, IdentityResolver.normalizePhone(entry.phone)))
+            .concat(entry.chapter ? this.lookup(this.byChapter, entry.chapter) : []));
+
+        return Array.from(records)
+            .sort((a, b) => a.row - b.row)
+            .map(record => ({ row: record.row, entry: this.copy(record.entry) }));
+    },
+
+    /**
+     * Lists the members with a name, ignoring case, punctuation and extra spaces
+     * @param {string} name - The name to look up
+     * @returns {array<object>} - Members as {row, entry} objects, in row order
+     */
+    findByName: function(name) {
+        return this.lookup(this.byName, IdentityResolver.normalizeName(name))
+            .map(record => ({ row: record.row, entry: this.copy(record.entry) }));
+    },
+
+    /**
+     * Lists the rows of a team's block: its section header and the rows of its members
+     * @param {string} team - The team name
+     * @returns {array<number>} - Row numbers (1-indexed), top to bottom
+     */
+    getTeamRows: function(team) {
+        return this.lookup(this.byTeam, team).map(record => record.row);
+    },
+
+    /**
+     * @returns {number} - The last row of the Members sheet (1-indexed), or the header row if there are no others
+     */
+    getLastRow: function() {
+        return this.records.length + 1;
+    },
+
+    /**
+     * Reads the indexed contents of a row
+     * @param {number} row - Row on the Members sheet (1-indexed)
+     * @returns {Entry} - A copy of the row's entry
+     * @throws {Error} - If the row is the header or past the last row
+     */
+    getEntry: function(row) {
+        const record = this.records[row - 2];
+        if (!record)
+            throw new Error(`Row ${row} is not a member row of the Members sheet`);
+        return this.copy(record.entry);
+    },
+
+    /**
+     * Records a row inserted into the Members sheet, shifting the rows below it down
+     * @param {number} row - Row number the new row takes (1-indexed)
+     * @param {Entry} entry - The new row's contents
+     * @returns {void}
+     */
+    insertRow: function(row, entry) {
+        this.records.slice(row - 2).forEach(record => record.row++);
+        const record = this.createRecord(row, this.copy(entry));
+        this.records.splice(row - 2, 0, record);
+        this.add(record);
+    },
+
+    /**
+     * Records new contents for a row of the Members sheet
+     * @param {number} row - Row on the Members sheet (1-indexed)
+     * @param {Entry} entry - The row's new contents
+     * @returns {void}
+     */
+    updateRow: function(row, entry) {
+        const previous = this.records[row - 2];
+        if (previous)
+            this.remove(previous);
+
+        const record = this.createRecord(row, this.copy(entry));
+        this.records[row - 2] = record;
+        this.add(record);
+    },
+
+    /**
+     * Records a row deleted from the Members sheet, shifting the rows below it up
+     * @param {number} row - Row on the Members sheet (1-indexed)
+     * @returns {void}
+     */
+    removeRow: function(row) {
+        const [record] = this.records.splice(row - 2, 1);
+        if (record)
+            this.remove(record);
+        this.records.slice(row - 2).forEach(other => other.row--);
+    },
+
+    /**
+     * Copies an entry so callers cannot change the index by editing what it returns
+     * @param {Entry} entry
+     * @returns {Entry}
+     */
+    copy: function(entry) {
+        return Object.assign(new Entry(), entry, { parentEmails: (entry.parentEmails || []).slice() });
+    }
+};
@@ -0,0 +1,30 @@
+const DirectoryLock = {
+    // How long a run waits for another run to finish with the directory before giving up
+    TIMEOUT_MS: 30 * 1000,
+
+    /**
+     * Runs a function while holding the script lock
+     * Every run that inserts, deletes or rewrites rows of the Members sheet takes it, so a batch import
+     * holding the sheet in MemberTable never writes back over rows another run has moved
+     * Must not be nested: the inner run would release the lock of the outer one
+     *
+     * @param {function} fn - The work to do while holding the lock
+     * @param {function} onBusy - Called instead of fn if another run holds the lock for longer than TIMEOUT_MS
+     * @returns {*} - What fn (or onBusy) returns
+     * @throws {Error} - If another run holds the lock and no onBusy was given
+     */
+    run: function(fn, onBusy) {
+        const lock = LockService.getScriptLock();
+        if (!lock.tryLock(this.TIMEOUT_MS)) {
+            if (onBusy)
+                return onBusy();
+            throw new Error("Another run is updating the directory; try again in a few minutes");
+        }
+
+        try {
+            return fn();
+        } finally {
+            lock.releaseLock();
+        }
+    }
+};
@@ -2,24 +2,28 @@ class Entry {
     /**
      * Represents an entry in the Food4Philly directory
      * Takes in a raw form response and reformats it to match the directory format
+     * Answers are located by question through FormMapping, so the form can be reordered safely
      * 
-     * @param {array} formResponse - The raw data supplied by the google form
+     * @param {GoogleAppsScript.Forms.FormResponse} formResponse - The response submitted to the google form
      * @constructor
      */
     static fromFormResponse(formResponse) {
         // Create fuzzy string matching class 
         const fuzzyMatching = FuzzySet(SheetData.chapters);
-        const response = FormUtils.flattenResponse(formResponse);
+        const response = FormMapping.extract(formResponse);
 
         const entry = new Entry();
-        entry.name  = entry.cleanName(response[0]);
-        entry.email = response[1].toLowerCase().trim();
-        entry.phone = entry.cleanPhone(response[2]);
-        entry.chapter = entry.matchChapter(response[3], fuzzyMatching);
-        entry.team = entry.cleanTeam(response[4]);
-        entry.grade = response[5] || "Senior";
+        entry.name  = entry.cleanName(response.name);
+        entry.email = response.email.toLowerCase().trim();
+        entry.phone = entry.cleanPhone(response.phone);
+        entry.chapter = entry.matchChapter(response.chapter, fuzzyMatching);
+        entry.team = entry.cleanTeam(response.team);
+        entry.grade = response.grade || "Senior";
         entry.title = entry.getTitle(entry.team);
-        entry.parentEmails = entry.splitEmails(response[6]);
+        entry.parentEmails = entry.splitEmails(response.parentEmails);
+        entry.newsletterConsent = entry.parseConsent(response.consent);
+        entry.raw = response;
+        entry.issues = entry.findIssues(response);
         return entry;
     }
 
@@ -30,18 +34,30 @@ class Entry {
      * @param {int} rowIndex 
      */
     static fromDirectory(rowIndex) {
-        const memberSheet = SheetData.memberSheet;
-        const memberData = SheetUtils.getRowData(memberSheet, rowIndex);
+        const memberData = SheetData.memberSheet
+            .getRange(rowIndex, 1, 1, SheetData.memberColumnCount)
+            .getValues()[0];
+        return Entry.fromRow(memberData);
+    }
+
+    /**
+     * Represents an entry in the Food4Philly directory
+     * Takes in the values of a Members sheet row and reads each field from its header-mapped column
+     * @param {array} memberData - Values of one Members row, starting at the first column
+     */
+    static fromRow(memberData) {
+        const columns = SheetData.memberColumns;
+        const read = field => columns[field] ? memberData[columns[field] - 1] : "";
 
         const entry = new Entry();
-        entry.name = memberData[0];
-        entry.title = memberData[1];
-        entry.chapter = memberData[2];
-        entry.email = memberData[3];
-        entry.phone = memberData[4];
-        entry.team = memberData[5];
-        entry.grade = memberData[6];
-        entry.parentEmails = entry.splitEmails(memberData[7]);
+        entry.name = read("name");
+        entry.title = read("title");
+        entry.chapter = read("chapter");
+        entry.email = read("email");
+        entry.phone = read("phone");
+        entry.team = read("team");
+        entry.grade = read("grade");
+        entry.parentEmails = entry.splitEmails(read("parentEmails"));
         return entry;
     }
 
@@ -101,6 +117,8 @@ class Entry {
 
     /**
      * Matches a user-entered chapter with a list of valid chapters
+     * Consults the chapter aliases first, then falls back to fuzzy matching
+     * Stores the confidence of the match (0 to 1) in this.chapterScore
      * Example 1: "Haverford" --> "The Haverford School"
      * Example 2: "Wissahickon HS" --> "Wissahickon High School"
      * 
@@ -109,29 +127,25 @@ class Entry {
      * @return {string} - The closest matching chapter to the user input or "" if a match cannot be found
      */
     matchChapter(chapter, matchingSet){
-        const lowerCase = chapter.toLowerCase();
-
-        // Handle school-specific edge cases  
-        if (lowerCase.includes("mitty"))
-            return "Food4TheBay";
-        if (lowerCase.includes("seneca valley"))
-            return "Food4Pitt"
-        if (lowerCase == "ais")
-            return "The Agnes Irwin School"
-        if (lowerCase == "lm")
-            return "Lower Merion High School"
-        if (lowerCase == "ths")
-            return "The Haverford School"
-        if (lowerCase == "hhs")
-            return "Harriton High School"
+        const lowerCase = chapter.toLowerCase().trim();
+        this.chapterScore = 1;
+
+        // Handle abbreviations and nicknames from the Chapter Aliases sheet
+        const alias = SheetData.chapterAliases.find(alias =>
+            alias.match === "contains" ? lowerCase.includes(alias.alias) : lowerCase == alias.alias);
+        if (alias)
+            return alias.chapter;
 
         // Use fuzzy string matching to match user input to the valid chapters
         const matches = matchingSet.get(chapter);
 
         // If no match can be found, return an empty string
-        if (matches == null)
+        if (matches == null) {
+            this.chapterScore = 0;
             return "";
+        }
 
+        this.chapterScore = matches[0][0];
         return matches[0][1];  
     }
 
@@ -155,22 +169,90 @@ class Entry {
         return (team == "Member" || team == "Chapter Head") ? team : "";
     }
 
+    /**
+     * Checks the cleaned entry for answers that could not be cleaned with confidence
+     * Flags low-scoring chapter matches, unparseable phone numbers, invalid emails and "Unsure" teams
+     * 
+     * @param {object} response - The raw answers from FormMapping.extract
+     * @returns {array<object>} - Issues as {field, raw, proposed, score, reason}; empty if the entry is clean
+     */
+    findIssues(response) {
+        const issues = [];
+        const threshold = Number(Config.get("CHAPTER_MATCH_THRESHOLD", SheetData.CHAPTER_MATCH_THRESHOLD));
+
+        if (this.chapterScore < threshold) {
+            const reason = this.chapter ? "Low-confidence chapter match" : "No matching chapter";
+            issues.push({ field: "chapter", raw: response.chapter, proposed: this.chapter, score: this.chapterScore, reason });
+        }
+
+        if (response.phone.trim() !== "" && this.phone === "")
+            issues.push({ field: "phone", raw: response.phone, proposed: "", score: "", reason: "Phone number is not 10 digits" });
+
+        if (!this.isValidEmail(this.email))
+            issues.push({ field: "email", raw: response.email, proposed: this.email, score: "", reason: "Invalid email address" });
+
+        if (response.team.trim() == "Unsure")
+            issues.push({ field: "team", raw: response.team, proposed: "", score: "", reason: "Team marked Unsure" });
+
+        return issues;
+    }
+
+    /**
+     * Checks that an email address has the form name@domain.tld
+     * @param {string} email - The email address to check
+     * @returns {boolean} - True if the address looks deliverable
+     */
+    isValidEmail(email) {
+        return /^[^\s@,;]+@[^\s@,;]+\.[a-z]{2,}$/i.test(email);
+    }
+
     /**
      * Splits a string of emails into an array of individual emails
      * @param {string} emailString - A string containing comma-separated email addresses
      * @returns {array} - An array of individual email addresses
      */
     splitEmails(emailString){
-        return emailString.split(",").map(email => email.trim().toLowerCase()).filter(email => email !== "");
+        return String(emailString || "").split(",").map(email => email.trim().toLowerCase()).filter(email => email !== "");
+    }
+
+    /**
+     * Reads the member's answer to the newsletter consent question
+     * Only an answer starting with an affirmative word counts as consent; anything else, including an
+     * unanswered question (e.g. an unticked checkbox), "Unsure" or "Not now", does not
+     * Example: "Yes, email me updates" --> true, "I agree" --> true, "Nope" --> false
+     * 
+     * @param {string} answer - The raw answer to the consent question
+     * @returns {boolean|null} - Whether the member agreed to the newsletter, or null if the form does not ask
+     */
+    parseConsent(answer) {
+        FormMapping.load();
+        if (!FormMapping.itemIds.consent)
+            return null;
+
+        return /^(yes|y|yeah|yep|sure|ok|okay|true|i agree|i consent|i accept)(?![a-z'])/i.test(String(answer || "").trim());
     }
 
     /**
      * Returns form response data in one dimensional array
-     * Order: name, title, chapter, email, phone, team, grade, parent emails
+     * Each field is placed at its column on the Members sheet; unmanaged columns are left blank
      * @returns {array} - Data ordered to match directory
      */
     data() {
-        return [this.name, this.title, this.chapter, this.email, this.phone, this.team, this.grade, this.parentEmails];
+        const values = {
+            name: this.name,
+            title: this.title,
+            chapter: this.chapter,
+            email: this.email,
+            phone: this.phone,
+            team: this.team,
+            grade: this.grade,
+            parentEmails: this.parentEmails.join(", ")
+        };
+
+        const data = new Array(SheetData.memberColumnCount).fill("");
+        for (const field in SheetData.memberColumns)
+            data[SheetData.memberColumns[field] - 1] = values[field];
+        return data;
     }
 
     equals(other) {
@@ -0,0 +1,122 @@
+const FormMapping = {
+    // Every directory field read from the Membership Form, the Config key naming its question,
+    // whether the form must have that question, and the position (0-indexed, among the form's questions)
+    // it is read from when the key is not set, as the form was read before it could be mapped
+    FIELDS: {
+        name: { key: "FORM_NAME_QUESTION", required: true, position: 0 },
+        email: { key: "FORM_EMAIL_QUESTION", required: true, position: 1 },
+        phone: { key: "FORM_PHONE_QUESTION", required: false, position: 2 },
+        chapter: { key: "FORM_CHAPTER_QUESTION", required: true, position: 3 },
+        team: { key: "FORM_TEAM_QUESTION", required: false, position: 4 },
+        grade: { key: "FORM_GRADE_QUESTION", required: false, position: 5 },
+        parentEmails: { key: "FORM_PARENT_EMAILS_QUESTION", required: false, position: 6 },
+        consent: { key: "FORM_CONSENT_QUESTION", required: false }
+    },
+    // Form items that are not questions, and are skipped when counting positions
+    LAYOUT_ITEM_TYPES: ["SECTION_HEADER", "PAGE_BREAK", "IMAGE", "VIDEO"],
+
+    // Map of each mapped field to the ID of its form item, or null until the mapping is loaded
+    itemIds: null,
+
+    /**
+     * Forgets the resolved mapping, so the next response read resolves it again
+     * Called whenever the Config is reloaded
+     * @returns {void}
+     */
+    reset: function() {
+        this.itemIds = null;
+    },
+
+    /**
+     * Resolves the mapping against the Membership Form the first time a run reads a response
+     * Only paths that read form responses load it, so an incomplete mapping never blocks other commands
+     * @returns {void}
+     * @throws {Error} - If the mapping is invalid (see initialize)
+     */
+    load: function() {
+        if (!this.itemIds)
+            this.initialize(FormApp.openById(SheetData.MEMBERSHIP_FORM_ID));
+    },
+
+    /**
+     * Resolves each field's configured question (a title or an item ID) against the items on the form
+     * A field whose key is not set is read from its position among the form's questions
+     * Fails fast when a required field cannot be resolved or a configured question no longer exists,
+     * so a changed form cannot silently corrupt the directory
+     * 
+     * @param {GoogleAppsScript.Forms.Form} form - The Membership Form
+     * @returns {void}
+     * @throws {Error} - Listing every field whose question could not be resolved
+     */
+    initialize: function(form) {
+        const items = form.getItems();
+        const questions = items.filter(item => !this.LAYOUT_ITEM_TYPES.includes(String(item.getType())));
+        const problems = [];
+        const itemIds = {};
+
+        for (const field in this.FIELDS) {
+            const { key, required, position } = this.FIELDS[field];
+            const question = Config.get(key, "");
+
+            if (question === "") {
+                const item = position === undefined ? null : questions[position];
+                if (item)
+                    itemIds[field] = String(item.getId());
+                else if (required)
+                    problems.push(`${key} is not set and the form has no question ${position + 1} to read ${field} from`);
+                continue;
+            }
+
+            const item = this.findItem(items, question);
+            if (item == null) {
+                problems.push(`${key} refers to "${question}", which is not a question on the Membership Form`);
+                continue;
+            }
+
+            itemIds[field] = String(item.getId());
+        }
+
+        if (problems.length)
+            throw new Error(`Membership Form mapping is invalid. Update the Config sheet:\n- ${problems.join("\n- ")}`);
+        this.itemIds = itemIds;
+    },
+
+    /**
+     * Finds a form item by ID or by title (ignoring case and surrounding whitespace)
+     * @param {array<GoogleAppsScript.Forms.Item>} items - Items on the form
+     * @param {string|number} question - Item ID or question title
+     * @returns {GoogleAppsScript.Forms.Item|null} - The matching item or null
+     */
+    findItem: function(items, question) {
+        const target = String(question).trim();
+        const byId = items.find(item => String(item.getId()) === target);
+        if (byId)
+            return byId;
+
+        return items.find(item => item.getTitle().trim().toLowerCase() === target.toLowerCase()) || null;
+    },
+
+    /**
+     * Reads the answer to every mapped question from a form response, loading the mapping first if needed
+     * Unanswered and unmapped questions produce "", and multi-select answers are joined with ", "
+     * 
+     * @param {GoogleAppsScript.Forms.FormResponse} formResponse - The form response to read
+     * @returns {object} - Map of each field in FIELDS to its raw answer
+     * @throws {Error} - If the mapping is invalid
+     */
+    extract: function(formResponse) {
+        this.load();
+        const answersById = {};
+        formResponse.getItemResponses().forEach(itemResponse => {
+            const answer = itemResponse.getResponse();
+            answersById[String(itemResponse.getItem().getId())] = Array.isArray(answer) ? answer.join(", ") : String(answer);
+        });
+
+        const answers = {};
+        for (const field in this.FIELDS) {
+            const itemId = this.itemIds[field];
+            answers[field] = (itemId && answersById[itemId]) || "";
+        }
+        return answers;
+    }
+};
@@ -0,0 +1,181 @@
+const MemberTable = {
+    // Whether SheetHandler is reading and writing this in-memory copy instead of the Members sheet
+    active: false,
+    // Header row of the Members sheet
+    header: null,
+    // Rows 2 onward of the Members sheet, in their current order, as
+    // {values, formulas, loadedValues, backgrounds, validations, notes, inserted, changed} objects
+    // formulas holds each cell's formula in R1C1 notation (or ""), and loadedValues the values as they were loaded
+    rows: [],
+
+    /**
+     * Reads the whole Members sheet into memory in one range read per property
+     * Until flush() is called, SheetHandler inserts and fills rows here instead of on the sheet
+     * Must be called after SheetData.initialize()
+     * @returns {void}
+     */
+    load: function() {
+        const sheet = SheetData.memberSheet;
+        const width = SheetData.memberColumnCount;
+        const lastRow = sheet.getLastRow();
+
+        this.header = sheet.getRange(1, 1, 1, width).getValues()[0];
+        this.rows = [];
+
+        if (lastRow >= 2) {
+            const range = sheet.getRange(2, 1, lastRow - 1, width);
+            const backgrounds = range.getBackgrounds();
+            const validations = range.getDataValidations();
+            const notes = range.getNotes();
+            const formulas = range.getFormulasR1C1();
+
+            this.rows = range.getValues().map((values, i) => ({
+                values,
+                formulas: formulas[i],
+                loadedValues: values.slice(),
+                backgrounds: backgrounds[i],
+                validations: validations[i],
+                notes: notes[i],
+                inserted: false,
+                changed: false
+            }));
+        }
+
+        this.active = true;
+    },
+
+    /**
+     * @param {number} row - Row number on the Members sheet (1-indexed, after any pending inserts)
+     * @returns {object} - The row's {values, formulas, backgrounds, validations, notes, inserted, changed}
+     * @throws {Error} - If the row is the header or past the end of the table
+     */
+    getRow: function(row) {
+        const tableRow = this.rows[row - 2];
+        if (!tableRow)
+            throw new Error(`Row ${row} is not a member row of the Members sheet`);
+        return tableRow;
+    },
+
+    /**
+     * Inserts a blank row, shifting the rows below it down as Sheet.insertRowBefore would
+     * @param {number} row - Row number the new row takes (1-indexed)
+     * @returns {void}
+     * @throws {Error} - If the row is the header or more than one past the end of the table
+     */
+    insertRowBefore: function(row) {
+        if (row < 2 || row > this.rows.length + 2)
+            throw new Error(`Those rows are out of bounds. (row ${row})`);
+
+        this.rows.splice(row - 2, 0, this.createRow());
+    },
+
+    /**
+     * Creates a new row for the table, inserted into the sheet when the table is flushed
+     * @param {array} values - Values for every column (defaults to blank)
+     * @param {array} backgrounds - Background of every column (defaults to none)
+     * @returns {object} - {values, formulas, backgrounds, validations, notes, inserted, changed}
+     */
+    createRow: function(values, backgrounds) {
+        const width = this.header.length;
+        return {
+            values: values || Array(width).fill(""),
+            formulas: Array(width).fill(""),
+            loadedValues: Array(width).fill(""),
+            backgrounds: backgrounds || Array(width).fill(null),
+            validations: Array(width).fill(null),
+            notes: Array(width).fill(""),
+            inserted: true,
+            changed: true
+        };
+    },
+
+    /**
+     * Replaces the table with a rearrangement of its rows (plus any new ones from createRow)
+     * Every row is rewritten when the table is flushed, so each keeps its values and formatting in its new place
+     * @param {array<object>} rows - The rows in their new order
+     * @returns {void}
+     */
+    setRows: function(rows) {
+        rows.forEach(tableRow => tableRow.changed = true);
+        this.rows = rows;
+    },
+
+    /**
+     * Marks a row as needing to be written back to the sheet
+     * @param {number} row - Row number on the Members sheet (1-indexed)
+     * @returns {void}
+     */
+    markChanged: function(row) {
+        this.getRow(row).changed = true;
+    },
+
+    /**
+     * Writes the table back to the Members sheet and stops SheetHandler from using it
+     * Each run of consecutive new rows is inserted with one insertRowsAfter, bottom-up so earlier
+     * positions stay valid, then each run of consecutive changed rows is written with one setValues,
+     * setBackgrounds, setDataValidations and setNotes; rows that did not change are never rewritten,
+     * so edits made to them while the table was loaded are kept. Nothing is written during a dry run
+     * The caller must hold the DirectoryLock from load() to flush(), or the row positions may be stale
+     *
+     * @returns {number} - The number of rows inserted or changed
+     */
+    flush: function() {
+        this.active = false;
+        const rows = this.rows;
+        this.rows = [];
+
+        if (ChangePlan.enabled || !rows.some(tableRow => tableRow.changed))
+            return 0;
+
+        const sheet = SheetData.memberSheet;
+        const insertions = [];
+        let existingRows = 0;
+        rows.forEach(tableRow => {
+            if (!tableRow.inserted)
+                existingRows++;
+            else if (insertions.length && insertions[insertions.length - 1].after === existingRows + 1)
+                insertions[insertions.length - 1].count++;
+            else
+                insertions.push({ after: existingRows + 1, count: 1 });
+        });
+        insertions.reverse().forEach(insertion => sheet.insertRowsAfter(insertion.after, insertion.count));
+
+        let count = 0;
+        for (let start = 0; start < rows.length; start++) {
+            if (!rows[start].changed)
+                continue;
+
+            let end = start;
+            while (end + 1 < rows.length && rows[end + 1].changed)
+                end++;
+
+            const changed = rows.slice(start, end + 1);
+            sheet.getRange(start + 2, 1, changed.length, this.header.length)
+                .setValues(changed.map(tableRow => tableRow.values))
+                .setBackgrounds(changed.map(tableRow => tableRow.backgrounds))
+                .setDataValidations(changed.map(tableRow => tableRow.validations))
+                .setNotes(changed.map(tableRow => tableRow.notes));
+            changed.forEach((tableRow, i) => this.restoreFormulas(tableRow, start + 2 + i));
+            count += changed.length;
+            start = end;
+        }
+
+        console.log(`Wrote ${count} changed row(s) to the directory`);
+        return count;
+    },
+
+    /**
+     * Puts back the formula of every cell of a written row whose value was not changed, so formulas in columns
+     * the script does not manage survive a rewrite (e.g. when the directory is sorted)
+     * Formulas are in R1C1 notation, so references to the row's own cells follow it to its new position
+     * @param {object} tableRow - The row
+     * @param {number} row - Row number it was written to (1-indexed)
+     * @returns {void}
+     */
+    restoreFormulas: function(tableRow, row) {
+        tableRow.formulas.forEach((formula, i) => {
+            if (formula && tableRow.values[i] === tableRow.loadedValues[i])
+                SheetData.memberSheet.getRange(row, i + 1).setFormulaR1C1(formula);
+        });
+    }
+};
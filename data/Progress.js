@@ -0,0 +1,58 @@
+const Progress = {
+    // User cache key holding the progress of the action started from the sidebar
+    CACHE_KEY: "sidebarProgress",
+    // How long progress is kept after its last update, in seconds
+    EXPIRATION_SECONDS: 600,
+
+    // The action running in this execution, or null when it was not started from the sidebar
+    action: null,
+
+    /**
+     * Starts tracking an action so the sidebar can poll its progress from another execution
+     * @param {string} action - Name of the action shown in the sidebar
+     * @returns {void}
+     */
+    start: function(action) {
+        this.action = action;
+        this.save({ action, status: "running", message: "Starting", summary: "" });
+    },
+
+    /**
+     * Reports how far the running action has got
+     * Does nothing unless the action was started from the sidebar, so triggers never touch the cache
+     * @param {string} message - e.g. "Processed 10 of 40 responses"
+     * @returns {void}
+     */
+    report: function(message) {
+        if (this.action)
+            this.save({ action: this.action, status: "running", message, summary: "" });
+    },
+
+    /**
+     * Records the outcome of the running action and stops tracking it
+     * @param {string} status - "done" or "failed"
+     * @param {string} summary - Summary of the results shown in the sidebar
+     * @returns {void}
+     */
+    finish: function(status, summary) {
+        if (this.action)
+            this.save({ action: this.action, status, message: "", summary });
+        this.action = null;
+    },
+
+    /**
+     * @returns {object|null} - The latest {action, status, message, summary}, or null if nothing ran recently
+     */
+    get: function() {
+        const cached = CacheService.getUserCache().get(this.CACHE_KEY);
+        return cached ? JSON.parse(cached) : null;
+    },
+
+    /**
+     * @param {object} progress - The {action, status, message, summary} to store
+     * @returns {void}
+     */
+    save: function(progress) {
+        CacheService.getUserCache().put(this.CACHE_KEY, JSON.stringify(progress), this.EXPIRATION_SECONDS);
+    }
+};
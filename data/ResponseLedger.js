@@ -0,0 +1,177 @@
+const ResponseLedger = {
+    // Hidden sheet recording every Membership Form response that has been processed
+    SHEET_NAME: "Processed Responses",
+    SHEET_HEADER: ["Response ID", "Submitted", "Email", "Processed At", "Raw Chapter"],
+    // Stop a batch import with one minute to spare before the 6 minute Apps Script limit
+    MAX_RUNTIME_MS: 5 * 60 * 1000,
+    // Delay before a continuation of an interrupted batch import runs
+    CONTINUATION_DELAY_MS: 60 * 1000,
+    // Script property holding the ID of the pending continuation trigger
+    CONTINUATION_TRIGGER_PROPERTY: "CONTINUATION_TRIGGER_ID",
+
+    // Sheet object for the ledger, created on first write
+    sheet: null,
+    // Set of response IDs that have already been processed
+    processedIds: null,
+    // Ledger rows waiting to be written by flush(), or null when each response is written as it is recorded
+    pendingRows: null,
+
+    /**
+     * Loads the IDs of every processed response from the ledger sheet
+     * Must be called after SheetData.initialize()
+     * @returns {void}
+     */
+    load: function() {
+        this.sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        this.processedIds = new Set();
+
+        if (this.sheet && this.sheet.getLastRow() > 1) {
+            SheetUtils.getColumnData(this.sheet, 1)
+                .forEach(id => this.processedIds.add(String(id)));
+        }
+    },
+
+    /**
+     * Checks whether a form response has already been processed
+     * @param {GoogleAppsScript.Forms.FormResponse} response - The form response to check
+     * @returns {boolean} - True if the response is in the ledger
+     */
+    has: function(response) {
+        return this.processedIds.has(String(response.getId()));
+    },
+
+    /**
+     * Records a form response as processed, checkpointing batch progress
+     * Does nothing during a dry run
+     * @param {GoogleAppsScript.Forms.FormResponse} response - The processed form response
+     * @param {Entry} entry - The directory entry created from the response
+     * @returns {void}
+     */
+    record: function(response, entry) {
+        if (ChangePlan.enabled)
+            return;
+
+        if (!this.sheet) {
+            this.sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+            this.sheet.hideSheet();
+        }
+
+        const rawChapter = entry.raw ? entry.raw.chapter : "";
+        const row = [response.getId(), response.getTimestamp(), entry.email, new Date(), rawChapter];
+        if (this.pendingRows)
+            this.pendingRows.push(row);
+        else
+            this.sheet.appendRow(row);
+        this.processedIds.add(String(response.getId()));
+    },
+
+    /**
+     * Holds recorded responses in memory until flush(), so a batch whose directory changes are
+     * buffered in MemberTable is only checkpointed once those changes have been written
+     * @returns {void}
+     */
+    deferWrites: function() {
+        this.pendingRows = [];
+    },
+
+    /**
+     * Writes the responses held since deferWrites() in one range write and resumes writing each one as it is recorded
+     * @returns {void}
+     */
+    flush: function() {
+        const rows = this.pendingRows;
+        this.pendingRows = null;
+        if (!rows || !rows.length)
+            return;
+
+        this.sheet.getRange(this.sheet.getLastRow() + 1, 1, rows.length, this.SHEET_HEADER.length).setValues(rows);
+    },
+
+    /**
+     * Finds when each email last submitted the Membership Form
+     * @returns {object} - Map of lowercase email to the latest submission time in milliseconds
+     */
+    getLastSubmissionTimes: function() {
+        const times = {};
+        const sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        if (!sheet || sheet.getLastRow() < 2)
+            return times;
+
+        sheet.getRange(2, 2, sheet.getLastRow() - 1, 2)
+            .getValues()
+            .forEach(([submitted, email]) => {
+                const key = String(email).trim().toLowerCase();
+                const time = new Date(submitted).getTime();
+                if (key && !(times[key] >= time))
+                    times[key] = time;
+            });
+        return times;
+    },
+
+    /**
+     * Finds the chapter a member typed on their most recent form submission
+     * @param {string} email - The member's email address
+     * @returns {string} - The raw chapter answer, or "" if the ledger has none for this email
+     */
+    getRawChapter: function(email) {
+        const sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        const key = String(email || "").trim().toLowerCase();
+        if (!sheet || !key || sheet.getLastRow() < 2)
+            return "";
+
+        let latest = { time: -Infinity, chapter: "" };
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, this.SHEET_HEADER.length)
+            .getValues()
+            .forEach(row => {
+                const time = new Date(row[1]).getTime();
+                if (String(row[2]).trim().toLowerCase() === key && String(row[4]).trim() !== "" && time >= latest.time)
+                    latest = { time, chapter: String(row[4]).trim() };
+            });
+        return latest.chapter;
+    },
+
+    /**
+     * Checks whether a batch started at the given time should stop and hand off to a continuation
+     * @param {number} startTime - Time the batch started (milliseconds since epoch)
+     * @returns {boolean} - True if the batch is close to the Apps Script execution limit
+     */
+    isNearTimeLimit: function(startTime) {
+        return Date.now() - startTime >= this.MAX_RUNTIME_MS;
+    },
+
+    /**
+     * Schedules a one-off time-driven trigger that resumes a batch import
+     * Replaces any continuation that is already pending
+     * @param {string} handler - Name of the function the trigger should run
+     * @returns {void}
+     */
+    scheduleContinuation: function(handler) {
+        this.clearContinuation();
+
+        const trigger = ScriptApp.newTrigger(handler)
+            .timeBased()
+            .after(this.CONTINUATION_DELAY_MS)
+            .create();
+
+        PropertiesService.getScriptProperties()
+            .setProperty(this.CONTINUATION_TRIGGER_PROPERTY, trigger.getUniqueId());
+        console.log(`Scheduled ${handler} to continue in ${this.CONTINUATION_DELAY_MS / 1000} seconds`);
+    },
+
+    /**
+     * Deletes the pending continuation trigger, if any
+     * @returns {void}
+     */
+    clearContinuation: function() {
+        const props = PropertiesService.getScriptProperties();
+        const triggerId = props.getProperty(this.CONTINUATION_TRIGGER_PROPERTY);
+        if (!triggerId)
+            return;
+
+        ScriptApp.getProjectTriggers()
+            .filter(trigger => trigger.getUniqueId() === triggerId)
+            .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+        props.deleteProperty(this.CONTINUATION_TRIGGER_PROPERTY);
+    }
+};
@@ -0,0 +1,141 @@
+const ReviewQueue = {
+    // Sheet holding submissions that could not be cleaned with confidence
+    SHEET_NAME: "Needs Review",
+    SHEET_HEADER: [
+        "Status", "Submitted", "Issues",
+        "Name", "Email", "Phone", "Chapter", "Team", "Grade", "Parent Emails",
+        "Raw Name", "Raw Email", "Raw Phone", "Raw Chapter", "Raw Team", "Chapter Score", "Newsletter Consent"
+    ],
+    // Values of the Status column
+    STATUSES: ["Pending", "Approved", "Rejected", "Processed"],
+    // Column indices on the Needs Review sheet (1-indexed)
+    STATUS_COLUMN: 1,
+    NAME_COLUMN: 4,
+    CHAPTER_COLUMN: 7,
+    TEAM_COLUMN: 8,
+    GRADE_COLUMN: 9,
+    RAW_CHAPTER_COLUMN: 14,
+    // "Yes" or "No" from the form's consent question, blank if the form does not ask
+    CONSENT_COLUMN: 17,
+
+    /**
+     * Adds a submission to the "Needs Review" sheet instead of the directory
+     * Shows the raw answers next to the proposed cleaned values so a reviewer can correct them
+     * 
+     * @param {Entry} entry - The cleaned entry with its issues and raw answers
+     * @param {Date} submitted - When the form response was submitted
+     * @returns {void}
+     */
+    add: function(entry, submitted) {
+        const issues = this.describeIssues(entry.issues);
+        console.warn(`Sent ${entry.name} to the review queue: ${issues}`);
+
+        if (ChangePlan.enabled) {
+            ChangePlan.record("Review", "Queue for review", entry.name, issues);
+            return;
+        }
+
+        const raw = entry.raw || {};
+        const sheet = this.getSheet();
+        sheet.appendRow([
+            "Pending", submitted, issues,
+            entry.name, entry.email, entry.phone, entry.chapter, entry.team, entry.grade, entry.parentEmails.join(", "),
+            raw.name || "", raw.email || "", raw.phone || "", raw.chapter || "", raw.team || "", entry.chapterScore,
+            entry.newsletterConsent === true ? "Yes" : entry.newsletterConsent === false ? "No" : ""
+        ]);
+
+        const row = sheet.getLastRow();
+        sheet.getRange(row, this.STATUS_COLUMN).setDataValidation(
+            SpreadsheetApp.newDataValidation().requireValueInList(this.STATUSES).build());
+        sheet.getRange(row, this.CHAPTER_COLUMN).setDataValidation(SheetData.chapterDropdown);
+        sheet.getRange(row, this.TEAM_COLUMN).setDataValidation(SheetData.teamDropdown);
+        sheet.getRange(row, this.GRADE_COLUMN).setDataValidation(SheetData.gradeDropdown);
+        sheet.getRange(row, this.CONSENT_COLUMN).setDataValidation(
+            SpreadsheetApp.newDataValidation().requireValueInList(["Yes", "No"]).build());
+    },
+
+    /**
+     * Pushes every "Approved" row through SheetHandler and WixHandler using the reviewer's corrected values
+     * Marks each row "Processed", or records the error in its Status so it can be retried
+     * A corrected chapter is remembered as an alias for the raw answer
+     * 
+     * @returns {number} - The number of entries processed
+     */
+    processApproved: function() {
+        const sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        if (!sheet || sheet.getLastRow() < 2)
+            return 0;
+
+        const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.SHEET_HEADER.length).getValues();
+        let processed = 0;
+
+        rows.forEach((values, i) => {
+            if (values[this.STATUS_COLUMN - 1] !== "Approved")
+                return;
+
+            const entry = this.toEntry(values);
+            try {
+                SheetHandler.processFormResponse(entry);
+                WixHandler.processFormResponse(entry);
+            } catch (error) {
+                console.error(`Failed to process reviewed entry for ${entry.name}:`, error.message);
+                sheet.getRange(i + 2, this.STATUS_COLUMN).setValue(`Failed: ${error.message}`);
+                return;
+            }
+
+            if (!ChangePlan.enabled) {
+                EditHandler.learnChapter(values[this.RAW_CHAPTER_COLUMN - 1], entry.chapter);
+                sheet.getRange(i + 2, this.STATUS_COLUMN).setValue("Processed");
+            }
+            processed++;
+        });
+
+        console.log(`Processed ${processed} reviewed entr${processed === 1 ? "y" : "ies"}`);
+        return processed;
+    },
+
+    /**
+     * Builds an entry from the corrected values of a "Needs Review" row
+     * A blank Newsletter Consent (the form does not ask, or the row was queued before the column existed)
+     * leaves the member's current subscription alone, as for a form response
+     * @param {array} values - The row's values
+     * @returns {Entry}
+     */
+    toEntry: function(values) {
+        const entry = new Entry();
+        const read = column => String(values[column - 1]).trim();
+
+        entry.name = read(this.NAME_COLUMN);
+        entry.email = read(this.NAME_COLUMN + 1).toLowerCase();
+        entry.phone = read(this.NAME_COLUMN + 2);
+        entry.chapter = read(this.CHAPTER_COLUMN);
+        entry.team = read(this.TEAM_COLUMN);
+        entry.grade = read(this.GRADE_COLUMN);
+        entry.title = entry.getTitle(entry.team);
+        entry.parentEmails = entry.splitEmails(read(this.GRADE_COLUMN + 1));
+        const consent = read(this.CONSENT_COLUMN).toLowerCase();
+        entry.newsletterConsent = consent === "" ? null : consent === "yes";
+        entry.issues = [];
+        return entry;
+    },
+
+    /**
+     * Example: [{field: "chapter", raw: "mity", proposed: "Food4TheBay", score: 0.35, reason: "Low-confidence chapter match"}]
+     *   --> 'Low-confidence chapter match: "mity" -> "Food4TheBay" (score 0.35)'
+     * @param {array<object>} issues - Issues found by Entry.findIssues
+     * @returns {string} - One line per issue
+     */
+    describeIssues: function(issues) {
+        return issues.map(issue => {
+            const score = issue.score !== "" ? ` (score ${Number(issue.score).toFixed(2)})` : "";
+            return `${issue.reason}: "${issue.raw}" -> "${issue.proposed}"${score}`;
+        }).join("\n");
+    },
+
+    /**
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet} - The "Needs Review" sheet, created if missing
+     */
+    getSheet: function() {
+        return SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+    }
+};
@@ -0,0 +1,101 @@
+const RunLog = {
+    // Sheet with one row per entry handled by a run, so officers can see what happened without Stackdriver
+    SHEET_NAME: "Run Log",
+    SHEET_HEADER: ["Timestamp", "Run", "Entry", "Sheet Action", "Wix Action", "Error"],
+    ERROR_COLUMN: 6,
+    // Oldest rows are deleted once the log grows past this many rows
+    MAX_ROWS: 5000,
+    // Config key holding the comma-separated emails that receive a digest when a run has failures
+    OFFICER_EMAILS_KEY: "OFFICER_EMAILS",
+
+    // Name of the current run (e.g. "Form submission"), or null outside a run
+    run: null,
+    // Rows recorded during the current run, written to the sheet when it ends
+    rows: [],
+
+    /**
+     * Starts collecting log rows for a run
+     * @param {string} run - Name of the run shown in the Run column
+     * @returns {void}
+     */
+    begin: function(run) {
+        this.run = run;
+        this.rows = [];
+    },
+
+    /**
+     * Records what a run did for one entry
+     * @param {string} entry - Who the row is about (a member's name, or a response ID if it could not be read)
+     * @param {string} sheetAction - What happened in the directory (e.g. "Added row 12"), or ""
+     * @param {string} wixAction - What happened in Wix (e.g. "Created contact"), or ""
+     * @param {Error} error - Why the entry failed, if it did
+     * @returns {void}
+     */
+    record: function(entry, sheetAction, wixAction, error) {
+        this.rows.push([new Date(), this.run || "", entry, sheetAction || "", wixAction || "", error ? error.message : ""]);
+    },
+
+    /**
+     * Ends the run: appends its rows to the "Run Log" sheet and emails a digest to the officers if anything failed
+     * Nothing is written or sent during a dry run
+     *
+     * @returns {array<array>} - The rows recorded during the run
+     */
+    end: function() {
+        const rows = this.rows;
+        const run = this.run;
+        this.run = null;
+        this.rows = [];
+
+        if (ChangePlan.enabled || !rows.length)
+            return rows;
+
+        const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.SHEET_HEADER.length).setValues(rows);
+
+        const excess = sheet.getLastRow() - 1 - this.MAX_ROWS;
+        if (excess > 0)
+            sheet.deleteRows(2, excess);
+
+        const failures = rows.filter(row => row[this.ERROR_COLUMN - 1] !== "");
+        if (failures.length)
+            this.sendDigest(run, failures);
+        return rows;
+    },
+
+    /**
+     * Emails the officers listed in OFFICER_EMAILS a summary of a run's failures
+     * A failure to send is logged rather than thrown, so it never hides the run's own errors
+     *
+     * @param {string} run - Name of the run
+     * @param {array<array>} failures - The run's rows that have an error
+     * @returns {boolean} - True if the digest was sent
+     */
+    sendDigest: function(run, failures) {
+        const recipients = String(Config.get(this.OFFICER_EMAILS_KEY, ""))
+            .split(/[,;\s]+/)
+            .filter(email => email !== "");
+        if (!recipients.length) {
+            console.warn(`${failures.length} failure(s) in ${run}, but no ${this.OFFICER_EMAILS_KEY} are configured to notify`);
+            return false;
+        }
+
+        const subject = `Food4Philly Directory: ${failures.length} failure(s) in ${run}`;
+        const body = [
+            `${failures.length} entr${failures.length === 1 ? "y" : "ies"} failed during the ${run.toLowerCase()} run:`,
+            "",
+            ...failures.map(row => `- ${row[2]}: ${row[this.ERROR_COLUMN - 1]}`),
+            "",
+            `See the "${this.SHEET_NAME}" sheet for details: ${SheetData.directory.getUrl()}`
+        ].join("\n");
+
+        try {
+            MailApp.sendEmail(recipients.join(","), subject, body);
+            console.log(`Emailed a failure digest to ${recipients.join(", ")}`);
+            return true;
+        } catch (e) {
+            console.error(`Failed to email the failure digest: ${e.message}`);
+            return false;
+        }
+    }
+};
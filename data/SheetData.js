@@ -2,16 +2,42 @@ const SheetData = {
     // Unique Google IDs to access both the Food4Philly Directory and the Membership form
     DIRECTORY_SHEET_ID: "1E62O579akZotUWhNHhoeEPbD0B0EfqnjNsd6PkXKl2U",
     MEMBERSHIP_FORM_ID: "1LhFn2vs-ynFnbn_RuanaPhLzPzqYA3Cs8S8EFAH2kmk",
+    // Name of the sheet holding one row per member
+    MEMBERS_SHEET_NAME: "Members",
+    // Header titles identifying each directory field's column on the Members sheet
+    // Each title can be overridden through the Config key shown
+    MEMBERS_FIELDS: {
+        name: { header: "Name", key: "MEMBERS_NAME_HEADER", required: true },
+        title: { header: "Title", key: "MEMBERS_TITLE_HEADER", required: false },
+        chapter: { header: "Chapter", key: "MEMBERS_CHAPTER_HEADER", required: true },
+        email: { header: "Email", key: "MEMBERS_EMAIL_HEADER", required: true },
+        phone: { header: "Phone", key: "MEMBERS_PHONE_HEADER", required: false },
+        team: { header: "Team", key: "MEMBERS_TEAM_HEADER", required: true },
+        grade: { header: "Grade", key: "MEMBERS_GRADE_HEADER", required: true },
+        parentEmails: { header: "Parent Emails", key: "MEMBERS_PARENT_EMAILS_HEADER", required: false }
+    },
     // Unique column indices to access specific data on the Directory spreadsheet 
-    MEMBERS_MEMBER_COLUMN: 1,
-    MEMBERS_CHAPTER_COLUMN: 3,
-    MEMBERS_TEAM_COLUMN: 6,
-    MEMBERS_GRADE_COLUMN: 7,
     CHAPTERS_CHAPTER_COLUMN: 1,
     GRADES_GRADE_COLUMN: 1,
     TEAMS_TEAM_COLUMN: 1,
+    // Sheet of abbreviations and nicknames for chapters, consulted before fuzzy matching
+    CHAPTER_ALIASES_SHEET_NAME: "Chapter Aliases",
+    CHAPTER_ALIASES_HEADER: ["Alias", "Chapter", "Match"],
+    // Aliases written to the Chapter Aliases sheet when it is first created
+    DEFAULT_CHAPTER_ALIASES: [
+        ["mitty", "Food4TheBay", "Contains"],
+        ["seneca valley", "Food4Pitt", "Contains"],
+        ["ais", "The Agnes Irwin School", "Exact"],
+        ["lm", "Lower Merion High School", "Exact"],
+        ["ths", "The Haverford School", "Exact"],
+        ["hhs", "Harriton High School", "Exact"]
+    ],
+    // Fuzzy chapter matches scoring below this are sent to the review queue (Config key CHAPTER_MATCH_THRESHOLD)
+    CHAPTER_MATCH_THRESHOLD: 0.4,
     // Hex code to color cell with any missing data
     MISSING_DATA_COLOR: "#f4cccc",
+    // Hex code to color the name of an entry that may duplicate an existing member
+    REVIEW_COLOR: "#fff2cc",
     
     // Spreadsheet object for the Food4Philly directory
     directory: null,
@@ -27,17 +53,139 @@ const SheetData = {
     // Arrays of all chapters and teams
     chapters: null,
     teams: null,
+    // Chapter aliases as {alias, chapter, match} objects, with exact aliases first
+    chapterAliases: null,
+    // Map of each directory field to its column on the Members sheet (1-indexed), discovered from the header row
+    memberColumns: null,
+    // Number of columns in the Members header row, including columns the script does not manage
+    memberColumnCount: 0,
 
     initialize: function() {
-        this.directory = SpreadsheetApp.openById(this.DIRECTORY_SHEET_ID);
-        this.memberSheet = this.directory.getSheetByName("Members");
+        this.open();
         this.teamSheet = this.directory.getSheetByName("Teams");
-        this.chapterSheet = this.directory.getSheetByName("Chapters");
         this.gradeSheet = this.directory.getSheetByName("Grades");
+        this.loadChapters();
         this.chapterDropdown = SheetUtils.createDropdown(this.chapterSheet, this.CHAPTERS_CHAPTER_COLUMN);
         this.teamDropdown = SheetUtils.createDropdown(this.teamSheet, this.TEAMS_TEAM_COLUMN);
         this.gradeDropdown = SheetUtils.createDropdown(this.gradeSheet, this.GRADES_GRADE_COLUMN);
-        this.chapters = SheetUtils.getColumnData(this.chapterSheet, this.CHAPTERS_CHAPTER_COLUMN);
         this.teams = SheetUtils.getColumnData(this.teamSheet, this.TEAMS_TEAM_COLUMN);
+        DirectoryIndex.build();
+    },
+
+    /**
+     * Opens the directory and reads its Config and the Members header: just enough to read a Members row
+     * Handlers that run on every edit call this (and loadChapters) instead of initialize()
+     * @returns {void}
+     */
+    open: function() {
+        this.directory = SpreadsheetApp.openById(this.DIRECTORY_SHEET_ID);
+        Config.initialize(this.directory);
+        this.memberSheet = this.directory.getSheetByName(this.MEMBERS_SHEET_NAME);
+        this.loadMemberColumns();
+    },
+
+    /**
+     * Reads the Chapters sheet and the chapter aliases used to match a submitted chapter
+     * Must be called after open()
+     * @returns {void}
+     */
+    loadChapters: function() {
+        this.chapterSheet = this.directory.getSheetByName("Chapters");
+        this.chapters = SheetUtils.getColumnData(this.chapterSheet, this.CHAPTERS_CHAPTER_COLUMN);
+        this.loadChapterAliases();
+    },
+
+    /**
+     * Loads chapter aliases from the "Chapter Aliases" sheet, creating it with the default aliases if missing
+     * Each alias matches a submitted chapter either exactly or when the submission contains it (ignoring case)
+     * 
+     * @returns {void}
+     */
+    loadChapterAliases: function() {
+        let rows = this.DEFAULT_CHAPTER_ALIASES;
+        const sheet = this.directory.getSheetByName(this.CHAPTER_ALIASES_SHEET_NAME);
+
+        if (sheet) {
+            rows = sheet.getLastRow() > 1
+                ? sheet.getRange(2, 1, sheet.getLastRow() - 1, this.CHAPTER_ALIASES_HEADER.length).getValues()
+                : [];
+        } else if (!ChangePlan.enabled) {
+            const created = SheetUtils.getOrCreateSheet(this.directory, this.CHAPTER_ALIASES_SHEET_NAME, this.CHAPTER_ALIASES_HEADER);
+            SheetUtils.replaceRows(created, rows);
+        }
+
+        const aliases = rows
+            .filter(row => String(row[0]).trim() !== "" && String(row[1]).trim() !== "")
+            .map(row => ({
+                alias: String(row[0]).trim().toLowerCase(),
+                chapter: String(row[1]).trim(),
+                match: String(row[2]).trim().toLowerCase() === "contains" ? "contains" : "exact"
+            }));
+
+        aliases
+            .filter(alias => !this.chapters.includes(alias.chapter))
+            .forEach(alias => console.warn(`Chapter alias "${alias.alias}" refers to unknown chapter "${alias.chapter}"`));
+
+        this.chapterAliases = aliases.filter(alias => alias.match === "exact")
+            .concat(aliases.filter(alias => alias.match === "contains"));
+    },
+
+    /**
+     * Records a new exact alias on the "Chapter Aliases" sheet, or repoints an existing exact alias
+     * Used to remember reviewer corrections so the same spelling matches next time
+     * 
+     * @param {string} alias - The submitted chapter text (matched ignoring case)
+     * @param {string} chapter - The chapter it should map to
+     * @returns {void}
+     */
+    addChapterAlias: function(alias, chapter) {
+        alias = String(alias).trim().toLowerCase();
+        const sheet = SheetUtils.getOrCreateSheet(this.directory, this.CHAPTER_ALIASES_SHEET_NAME, this.CHAPTER_ALIASES_HEADER);
+
+        const existing = sheet.getLastRow() > 1
+            ? sheet.getRange(2, 1, sheet.getLastRow() - 1, this.CHAPTER_ALIASES_HEADER.length).getValues()
+                .findIndex(row => String(row[0]).trim().toLowerCase() === alias && String(row[2]).trim().toLowerCase() !== "contains")
+            : -1;
+
+        if (existing !== -1)
+            sheet.getRange(existing + 2, 2).setValue(chapter);
+        else
+            sheet.appendRow([alias, chapter, "Exact"]);
+
+        this.chapterAliases = this.chapterAliases.filter(other => !(other.alias === alias && other.match === "exact"));
+        this.chapterAliases.unshift({ alias, chapter, match: "exact" });
+        console.log(`Learned chapter alias "${alias}" -> "${chapter}"`);
+    },
+
+    /**
+     * Discovers the column of every directory field from the Members sheet header row
+     * Headers are matched ignoring case and surrounding whitespace, so columns can be
+     * reordered or inserted (e.g. "Pronouns") without code changes
+     * 
+     * @returns {void}
+     * @throws {Error} - Listing every required field whose header is missing
+     */
+    loadMemberColumns: function() {
+        this.memberColumnCount = this.memberSheet.getLastColumn();
+        const header = SheetUtils.getRangeFromRow(this.memberSheet, 1)
+            .getValues()[0]
+            .map(title => String(title).trim().toLowerCase());
+
+        const missing = [];
+        this.memberColumns = {};
+
+        for (const field in this.MEMBERS_FIELDS) {
+            const { key, required } = this.MEMBERS_FIELDS[field];
+            const title = String(Config.get(key, this.MEMBERS_FIELDS[field].header)).trim();
+            const index = header.indexOf(title.toLowerCase());
+
+            if (index !== -1)
+                this.memberColumns[field] = index + 1;
+            else if (required)
+                missing.push(`"${title}" (${field})`);
+        }
+
+        if (missing.length)
+            throw new Error(`Members sheet is missing required column(s): ${missing.join(", ")}. Rename the header or set its MEMBERS_*_HEADER key in the Config sheet.`);
     }
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const SubscriptionReport = {
+    // Sheet listing contacts that were not subscribed to the newsletter, one row per email
+    SHEET_NAME: "Skipped Subscriptions",
+    SHEET_HEADER: ["Email", "Contact", "Reason", "Last Checked"],
+
+    /**
+     * Records why a contact was not subscribed to the newsletter
+     * A contact already on the sheet has their row updated, so repeated runs do not pile up rows
+     * During a dry run the skip is recorded in the ChangePlan instead
+     *
+     * @param {string} email - The contact's email address
+     * @param {string} subject - Who the contact is (e.g. the member's name)
+     * @param {string} reason - Why the contact was skipped
+     * @returns {void}
+     */
+    record: function(email, subject, reason) {
+        console.log(`Skipped newsletter subscription for ${subject}: ${reason}`);
+
+        if (ChangePlan.enabled) {
+            ChangePlan.record("Wix", "Skip subscription", email, reason);
+            return;
+        }
+
+        const sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+        const values = [email, subject, reason, new Date()];
+        const lastRow = sheet.getLastRow();
+        const emails = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => row[0]) : [];
+        const index = emails.indexOf(email);
+
+        if (index === -1)
+            sheet.appendRow(values);
+        else
+            sheet.getRange(index + 2, 1, 1, values.length).setValues([values]);
+    }
+};
@@ -0,0 +1,111 @@
+const TriggerRegistry = {
+    // Every trigger the project needs: its handler, what it does, its event, the ID of its source
+    // (null for time-driven triggers) and how to build it
+    TRIGGERS: [
+        {
+            handler: "handleFormSubmission",
+            description: "Imports each Membership Form submission",
+            eventType: "ON_FORM_SUBMIT",
+            sourceId: () => SheetData.MEMBERSHIP_FORM_ID,
+            build: builder => builder.forForm(SheetData.MEMBERSHIP_FORM_ID).onFormSubmit()
+        },
+        {
+            handler: "handleDirectoryEdit",
+            description: "Learns chapter aliases from corrections on the Members sheet",
+            eventType: "ON_EDIT",
+            sourceId: () => SheetData.DIRECTORY_SHEET_ID,
+            build: builder => builder.forSpreadsheet(SheetData.DIRECTORY_SHEET_ID).onEdit()
+        },
+        {
+            handler: "drainWixOutbox",
+            description: "Retries queued Wix changes",
+            eventType: "CLOCK",
+            sourceId: () => null,
+            build: builder => builder.timeBased().everyMinutes(WixOutbox.DRAIN_INTERVAL_MINUTES)
+        }
+    ],
+    // Script property prefix recording when each trigger handler last finished without an error
+    LAST_SUCCESS_PROPERTY_PREFIX: "LAST_SUCCESS_",
+
+    /**
+     * Makes the project's triggers match TRIGGERS, so running it again never installs a second copy
+     * Keeps one matching trigger per handler and deletes duplicates, triggers pointing at another form or
+     * spreadsheet, and triggers for handlers that no longer exist; a pending import continuation is kept
+     *
+     * @returns {object} - {installed, removed} lists of handler names
+     */
+    install: function() {
+        const continuationId = PropertiesService.getScriptProperties().getProperty(ResponseLedger.CONTINUATION_TRIGGER_PROPERTY);
+        const kept = new Set();
+        const removed = [];
+
+        ScriptApp.getProjectTriggers().forEach(trigger => {
+            const handler = trigger.getHandlerFunction();
+            const definition = this.TRIGGERS.find(other => other.handler === handler);
+
+            if (trigger.getUniqueId() === continuationId)
+                return;
+            if (definition && !kept.has(handler) && this.matches(trigger, definition)) {
+                kept.add(handler);
+                return;
+            }
+
+            ScriptApp.deleteTrigger(trigger);
+            removed.push(handler);
+            console.log(`Removed ${definition ? "duplicate or outdated" : "stale"} ${handler} trigger`);
+        });
+
+        const installed = this.TRIGGERS.filter(definition => !kept.has(definition.handler)).map(definition => {
+            definition.build(ScriptApp.newTrigger(definition.handler)).create();
+            console.log(`Installed ${definition.handler} trigger: ${definition.description}`);
+            return definition.handler;
+        });
+
+        console.log(`Triggers up to date: ${installed.length} installed, ${removed.length} removed, ${kept.size} already installed`);
+        return { installed, removed };
+    },
+
+    /**
+     * Checks that an installed trigger has the event and source its definition expects
+     * @param {GoogleAppsScript.Script.Trigger} trigger - An installed trigger
+     * @param {object} definition - The matching entry of TRIGGERS
+     * @returns {boolean}
+     */
+    matches: function(trigger, definition) {
+        return trigger.getEventType() === ScriptApp.EventType[definition.eventType] &&
+            (trigger.getTriggerSourceId() || null) === definition.sourceId();
+    },
+
+    /**
+     * Records that a trigger handler finished without an error
+     * @param {string} handler - Name of the handler function
+     * @returns {void}
+     */
+    recordSuccess: function(handler) {
+        PropertiesService.getScriptProperties()
+            .setProperty(this.LAST_SUCCESS_PROPERTY_PREFIX + handler, new Date().toISOString());
+    },
+
+    /**
+     * Reports whether each trigger is installed and when its handler last succeeded
+     * @returns {array<object>} - {handler, description, installed, count, lastSuccess} for each of TRIGGERS;
+     *     count above 1 means duplicates, lastSuccess is null if the handler never succeeded
+     */
+    getStatus: function() {
+        const triggers = ScriptApp.getProjectTriggers();
+        const properties = PropertiesService.getScriptProperties();
+
+        return this.TRIGGERS.map(definition => {
+            const count = triggers.filter(trigger =>
+                trigger.getHandlerFunction() === definition.handler && this.matches(trigger, definition)).length;
+            const lastSuccess = properties.getProperty(this.LAST_SUCCESS_PROPERTY_PREFIX + definition.handler);
+            return {
+                handler: definition.handler,
+                description: definition.description,
+                installed: count > 0,
+                count,
+                lastSuccess: lastSuccess ? new Date(lastSuccess) : null
+            };
+        });
+    }
+};
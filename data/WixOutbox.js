@@ -0,0 +1,279 @@
+const WixOutbox = {
+    // Hidden sheet holding Wix operations that failed and are waiting to be retried
+    SHEET_NAME: "Wix Outbox",
+    SHEET_HEADER: ["Queued At", "Operation", "Subject", "Arguments", "Attempts", "Last Error", "Last Attempt", "Next Attempt"],
+    // Sheet listing operations that ran out of retries, for officers to inspect and requeue
+    DEAD_LETTER_SHEET_NAME: "Wix Dead Letters",
+    DEAD_LETTER_HEADER: ["Requeue", "Queued At", "Operation", "Subject", "Arguments", "Attempts", "Last Error", "Failed At"],
+    // Column indices on the outbox sheet (1-indexed)
+    QUEUED_AT_COLUMN: 1,
+    OPERATION_COLUMN: 2,
+    SUBJECT_COLUMN: 3,
+    ARGUMENTS_COLUMN: 4,
+    ATTEMPTS_COLUMN: 5,
+    NEXT_ATTEMPT_COLUMN: 8,
+    // Entry fields stored with a queued member sync
+    ENTRY_FIELDS: ["name", "email", "phone", "chapter", "team", "grade", "title", "parentEmails", "newsletterConsent"],
+    // Failed sends before an operation is moved to the dead letters, counting the original attempt
+    MAX_ATTEMPTS: 8,
+    // How often drainWixOutbox runs; the wait before each retry doubles from here
+    DRAIN_INTERVAL_MINUTES: 15,
+    MAX_RETRY_DELAY_MS: 12 * 60 * 60 * 1000,
+
+    // Number of operations queued during this execution
+    queuedCount: 0,
+    // Whether the outbox is replaying an operation, in which case failures are thrown instead of queued
+    replaying: false,
+
+    /**
+     * Sends a WixService write, queueing it for a later retry if Wix is unavailable
+     * Errors that retrying cannot fix (e.g. a rejected payload) are thrown to the caller
+     *
+     * @param {string} operation - Name of the WixService method (e.g. "createContact" or "subscribeContact")
+     * @param {array} args - Arguments for the method
+     * @param {string} subject - Who the operation applies to, shown on the outbox sheets
+     * @returns {object|null} - The WixService result, or null if the operation was queued
+     * @throws {Error} - If the operation failed and cannot be queued
+     */
+    send: function(operation, args, subject) {
+        try {
+            return WixService[operation].apply(WixService, args);
+        } catch (e) {
+            if (!this.enqueue(operation, args, subject, e))
+                throw e;
+            return null;
+        }
+    },
+
+    /**
+     * Adds a failed operation to the outbox
+     * Nothing is queued during a dry run, while replaying, or when the error is not worth retrying
+     *
+     * @param {string} operation - Name of the operation (a WixService method, "syncMember", "retireMember" or "relabelMember")
+     * @param {array} args - Arguments for the operation
+     * @param {string} subject - Who the operation applies to
+     * @param {Error} error - Why the operation failed
+     * @returns {boolean} - True if the operation was queued
+     */
+    enqueue: function(operation, args, subject, error) {
+        if (ChangePlan.enabled || this.replaying || !this.isRetryable(error))
+            return false;
+
+        const sheet = this.getSheet();
+        const now = new Date();
+        sheet.appendRow([now, operation, subject, JSON.stringify(this.toStoredArgs(operation, args)), 1, error.message, now, this.getNextAttempt(now, 1)]);
+        this.queuedCount++;
+
+        console.warn(`Queued Wix ${operation} for ${subject} to retry later: ${error.message}`);
+        return true;
+    },
+
+    /**
+     * Queues operations that were never tried, e.g. the rest of a run's Wix changes when it nears the time limit
+     * They are written in one range write with no attempts used, and sent by the next drain
+     * Nothing is queued during a dry run
+     *
+     * @param {array<object>} operations - {operation, args, subject} of each operation to queue
+     * @param {string} reason - Why the operations were not sent, shown in the Last Error column
+     * @returns {number} - The number of operations queued
+     */
+    defer: function(operations, reason) {
+        if (ChangePlan.enabled || !operations.length)
+            return 0;
+
+        const sheet = this.getSheet();
+        const now = new Date();
+        sheet.getRange(sheet.getLastRow() + 1, 1, operations.length, this.SHEET_HEADER.length).setValues(
+            operations.map(({ operation, args, subject }) =>
+                [now, operation, subject, JSON.stringify(this.toStoredArgs(operation, args)), 0, reason, "", now]));
+        this.queuedCount += operations.length;
+
+        console.warn(`Queued ${operations.length} Wix change(s) for the next outbox drain: ${reason}`);
+        return operations.length;
+    },
+
+    /**
+     * Retries every queued operation that is due
+     * Successful operations are removed, operations out of retries move to the dead letters
+     * Stops early when nearing the Apps Script execution time limit
+     *
+     * @returns {object} - Counts of {sent, failed, dead} operations
+     */
+    drain: function() {
+        const startTime = Date.now();
+        const result = { sent: 0, failed: 0, dead: 0 };
+        const sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        if (!sheet || sheet.getLastRow() < 2)
+            return result;
+
+        const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.SHEET_HEADER.length).getValues();
+        const rowsToDelete = [];
+
+        for (let i = 0; i < rows.length; i++) {
+            if (ResponseLedger.isNearTimeLimit(startTime)) {
+                console.log(`Stopped draining the Wix outbox to stay under the time limit`);
+                break;
+            }
+
+            Progress.report(`Retrying queued change ${i + 1} of ${rows.length}`);
+            const values = rows[i];
+            const nextAttempt = new Date(values[this.NEXT_ATTEMPT_COLUMN - 1]).getTime();
+            if (nextAttempt > Date.now())
+                continue;
+
+            const operation = values[this.OPERATION_COLUMN - 1];
+            const subject = values[this.SUBJECT_COLUMN - 1];
+            const attempts = Number(values[this.ATTEMPTS_COLUMN - 1]) + 1;
+
+            try {
+                this.replay(operation, JSON.parse(values[this.ARGUMENTS_COLUMN - 1]));
+                rowsToDelete.push(i + 2);
+                result.sent++;
+                console.log(`Sent queued Wix ${operation} for ${subject}`);
+            } catch (e) {
+                const now = new Date();
+                if (!this.isRetryable(e) || attempts >= this.MAX_ATTEMPTS) {
+                    const deadLetters = this.getDeadLetterSheet();
+                    deadLetters.appendRow([false, values[this.QUEUED_AT_COLUMN - 1], operation, subject, values[this.ARGUMENTS_COLUMN - 1], attempts, e.message, now]);
+                    deadLetters.getRange(deadLetters.getLastRow(), 1).insertCheckboxes();
+                    rowsToDelete.push(i + 2);
+                    result.dead++;
+                    console.error(`Gave up on Wix ${operation} for ${subject} after ${attempts} attempt(s): ${e.message}`);
+                } else {
+                    sheet.getRange(i + 2, this.ATTEMPTS_COLUMN, 1, 4).setValues([[attempts, e.message, now, this.getNextAttempt(now, attempts)]]);
+                    result.failed++;
+                    console.warn(`Wix ${operation} for ${subject} failed again (attempt ${attempts} of ${this.MAX_ATTEMPTS}): ${e.message}`);
+                }
+            }
+        }
+
+        rowsToDelete.sort((a, b) => b - a).forEach(row => sheet.deleteRow(row));
+        console.log(`Wix outbox: ${result.sent} sent, ${result.failed} still failing, ${result.dead} moved to ${this.DEAD_LETTER_SHEET_NAME}`);
+        return result;
+    },
+
+    /**
+     * Runs a queued operation again
+     * Updates are sent at the contact's current revision, since it may have changed since the operation was queued
+     *
+     * @param {string} operation - Name of the operation
+     * @param {array} args - Arguments stored with the operation
+     * @returns {void}
+     */
+    replay: function(operation, args) {
+        this.replaying = true;
+        try {
+            if (operation === "syncMember") {
+                WixHandler.processFormResponse(Object.assign(new Entry(), args[0]));
+            } else if (operation === "retireMember") {
+                WixHandler.retireContacts(Object.assign(new Entry(), args[0]), args[1], args[2]);
+            } else if (operation === "relabelMember") {
+                WixHandler.relabelContact(Object.assign(new Entry(), args[0]));
+            } else if (operation === "updateContact") {
+                WixService.updateContact.apply(WixService, [WixService.getContact(args[0].id)].concat(args.slice(1)));
+            } else if (operation === "createContact") {
+                try {
+                    WixService.createContact.apply(WixService, args);
+                } catch (e) {
+                    // The original request may have reached Wix before failing
+                    if (!(e instanceof WixConflictError) || e.applicationCode !== "DUPLICATE_CONTACT_EXISTS")
+                        throw e;
+                }
+            } else if (typeof WixService[operation] === "function") {
+                WixService[operation].apply(WixService, args);
+            } else {
+                throw new Error(`Unknown Wix outbox operation "${operation}"`);
+            }
+        } finally {
+            this.replaying = false;
+        }
+    },
+
+    /**
+     * Moves every dead letter whose Requeue box is ticked back into the outbox with a fresh set of attempts
+     * @returns {number} - The number of operations requeued
+     */
+    requeueDeadLetters: function() {
+        const deadLetters = SheetData.directory.getSheetByName(this.DEAD_LETTER_SHEET_NAME);
+        if (!deadLetters || deadLetters.getLastRow() < 2)
+            return 0;
+
+        const rows = deadLetters.getRange(2, 1, deadLetters.getLastRow() - 1, this.DEAD_LETTER_HEADER.length).getValues();
+        const sheet = this.getSheet();
+        const now = new Date();
+        const requeued = [];
+
+        rows.forEach((values, i) => {
+            if (values[0] !== true)
+                return;
+            sheet.appendRow([values[1], values[2], values[3], values[4], 0, values[6], "", now]);
+            requeued.push(i + 2);
+        });
+
+        requeued.sort((a, b) => b - a).forEach(row => deadLetters.deleteRow(row));
+        console.log(`Requeued ${requeued.length} Wix operation(s)`);
+        return requeued.length;
+    },
+
+    /**
+     * Checks whether an operation that failed with this error could succeed later
+     * Covers rate limits, server and network errors, and rejected credentials that an officer can fix
+     *
+     * @param {Error} error - The error the operation failed with
+     * @returns {boolean}
+     */
+    isRetryable: function(error) {
+        return error instanceof WixApiError && (error.retryable || error instanceof WixAuthError);
+    },
+
+    /**
+     * Calculates when a failed operation should next be tried
+     * Example: (now, 3) --> now + 60 minutes
+     *
+     * @param {Date} now - When the operation last failed
+     * @param {number} attempts - How many times it has failed
+     * @returns {Date}
+     */
+    getNextAttempt: function(now, attempts) {
+        const delay = Math.min(this.DRAIN_INTERVAL_MINUTES * 60 * 1000 * Math.pow(2, attempts - 1), this.MAX_RETRY_DELAY_MS);
+        return new Date(now.getTime() + delay);
+    },
+
+    /**
+     * Reduces operation arguments to the JSON that is stored on the outbox sheet
+     * Contacts are stored by ID, since their revision will be stale by the time the update is retried,
+     * and entries by their directory fields
+     *
+     * @param {string} operation - Name of the operation
+     * @param {array} args - Arguments for the operation
+     * @returns {array}
+     */
+    toStoredArgs: function(operation, args) {
+        if (operation === "updateContact")
+            return [{ id: args[0].id }].concat(args.slice(1));
+        if (operation === "syncMember" || operation === "retireMember" || operation === "relabelMember")
+            return [this.ENTRY_FIELDS.reduce((fields, field) => Object.assign(fields, { [field]: args[0][field] }), {})].concat(args.slice(1));
+        return args;
+    },
+
+    /**
+     * Gets the outbox sheet, creating and hiding it on first use
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+     */
+    getSheet: function() {
+        let sheet = SheetData.directory.getSheetByName(this.SHEET_NAME);
+        if (!sheet) {
+            sheet = SheetUtils.getOrCreateSheet(SheetData.directory, this.SHEET_NAME, this.SHEET_HEADER);
+            sheet.hideSheet();
+        }
+        return sheet;
+    },
+
+    /**
+     * Gets the dead letter sheet, creating it on first use
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+     */
+    getDeadLetterSheet: function() {
+        return SheetUtils.getOrCreateSheet(SheetData.directory, this.DEAD_LETTER_SHEET_NAME, this.DEAD_LETTER_HEADER);
+    }
+};
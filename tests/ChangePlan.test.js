@@ -0,0 +1,73 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Jane Doe", "", "The Haverford School", "jane.doe@example.com", "215-555-0100", "Outreach", "Junior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+describe("ChangePlan", () => {
+    test("previewAllFormResponses records planned changes without applying them", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers({ "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Member", "Parent Emails": "" }));
+        const before = project.memberSheet.dump();
+
+        project.run("previewAllFormResponses()");
+
+        assert.deepEqual(project.memberSheet.dump(), before);
+        assert.equal(project.wix.contacts.length, 0);
+        assert.equal(Object.keys(project.wix.subscriptions).length, 0);
+        assert.equal(project.wix.requestsTo("post", "/contacts/v4/contacts").length, 0);
+
+        const plan = project.directory.getSheetByName("Pending Changes").dump();
+        assert.deepEqual(plan[0], ["Target", "Action", "Subject", "Details"]);
+        const rows = plan.slice(1).map(row => row.join(" | "));
+        assert.ok(rows.includes(`Directory | Set cell | Jane Doe | Parent Emails in row 3: "" -> "parent.one@example.com, parent.two@example.com"`));
+        assert.ok(rows.includes("Directory | Insert row | Sam Lee | New row before row 5"));
+        assert.ok(rows.includes(`Directory | Set cell | Sam Lee | Email = "sam@example.com"`));
+        assert.ok(rows.includes("Wix | Create label | Chapter: The Haverford School | "));
+        assert.ok(rows.includes("Wix | Create contact | Jane Doe | email jane.doe@example.com, phone 215-555-0100, " +
+            "labels custom.directory, custom.chapterTheHaverfordSchool, custom.teamOutreach, custom.gradeJunior"));
+        assert.equal(project.wix.labels.length, 0);
+        assert.ok(rows.includes("Wix | Create contact | Parent of Jane Doe | email parent.two@example.com, labels custom.parent, custom.studentContactIds (new contact)"));
+        assert.ok(rows.includes("Wix | Subscribe | sam@example.com | Newsletter subscription set to SUBSCRIBED"));
+        assert.ok(project.console.lines().includes("Planned new contact for Sam Lee in Wix CMS"));
+    });
+
+    test("previewSubscribeAllContacts plans one subscription per contact", () => {
+        const project = createTestProject({ initialize: false });
+        project.wix.seedContact({ name: { first: "A", last: "B" }, emails: { items: [{ email: "a@example.com" }] } });
+
+        project.run("previewSubscribeAllContacts()");
+
+        assert.equal(Object.keys(project.wix.subscriptions).length, 0);
+        assert.deepEqual(project.directory.getSheetByName("Pending Changes").dump()[1],
+            ["Wix", "Subscribe", "a@example.com", "Newsletter subscription set to SUBSCRIBED"]);
+    });
+
+    test("a new dry run replaces the previous plan and leaves dry-run mode afterwards", () => {
+        const project = createTestProject({ initialize: false });
+        project.wix.seedContact({ emails: { items: [{ email: "a@example.com" }] } });
+        project.wix.seedContact({ emails: { items: [{ email: "b@example.com" }] } });
+        project.run("previewSubscribeAllContacts()");
+        project.wix.contacts.pop();
+
+        project.run("previewSubscribeAllContacts()");
+
+        assert.equal(project.directory.getSheetByName("Pending Changes").dump().length, 2);
+        assert.equal(project.globals.ChangePlan.enabled, false);
+    });
+
+    test("a preview that fails before opening the directory reports its own error", () => {
+        const project = createTestProject({ initialize: false });
+        project.services.LockService.busy = true;
+
+        assert.throws(() => project.run("previewAllFormResponses()"), /Another run is updating the directory/);
+        assert.equal(project.directory.getSheetByName("Pending Changes"), null);
+        assert.equal(project.globals.ChangePlan.enabled, false);
+    });
+});
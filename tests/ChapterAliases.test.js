@@ -0,0 +1,68 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+function matchChapter(project, answer) {
+    return project.globals.Entry.fromFormResponse(project.form.submit(formAnswers({ "School / Chapter": answer }))).chapter;
+}
+
+describe("Chapter aliases", () => {
+    test("initialize creates the Chapter Aliases sheet with the default aliases", () => {
+        const project = createTestProject();
+
+        const rows = project.directory.getSheetByName("Chapter Aliases").dump();
+        assert.deepEqual(rows[0], ["Alias", "Chapter", "Match"]);
+        assert.deepEqual(rows[1], ["mitty", "Food4TheBay", "Contains"]);
+        assert.equal(rows.length, 7);
+
+        assert.equal(matchChapter(project, "Archbishop Mitty HS"), "Food4TheBay");
+        assert.equal(matchChapter(project, " THS "), "The Haverford School");
+    });
+
+    test("aliases added to the sheet are used without a code change", () => {
+        const project = createTestProject({ initialize: false });
+        project.directory.addSheet("Chapter Aliases", [
+            ["Alias", "Chapter", "Match"],
+            ["lmhs", "Lower Merion High School", "Exact"],
+            ["wiss", "Wissahickon High School", "contains"],
+            ["", "Food4Pitt", "Exact"]
+        ]);
+        project.globals.SheetData.initialize();
+
+        assert.equal(matchChapter(project, "LMHS"), "Lower Merion High School");
+        assert.equal(matchChapter(project, "Go Wiss!"), "Wissahickon High School");
+        assert.equal(matchChapter(project, "mitty"), "");
+        assert.equal(project.globals.SheetData.chapterAliases.length, 2);
+    });
+
+    test("exact aliases take precedence over contains aliases", () => {
+        const project = createTestProject({ initialize: false });
+        project.directory.addSheet("Chapter Aliases", [
+            ["Alias", "Chapter", "Match"],
+            ["haverford", "The Haverford School", "Contains"],
+            ["haverford high", "Harriton High School", "Exact"]
+        ]);
+        project.globals.SheetData.initialize();
+
+        assert.equal(matchChapter(project, "Haverford High"), "Harriton High School");
+        assert.equal(matchChapter(project, "Haverford School"), "The Haverford School");
+    });
+
+    test("aliases for unknown chapters are reported", () => {
+        const project = createTestProject({ initialize: false });
+        project.directory.addSheet("Chapter Aliases", [["Alias", "Chapter", "Match"], ["xyz", "Nowhere High", "Exact"]]);
+        project.globals.SheetData.initialize();
+
+        assert.ok(project.console.lines("warn").includes('Chapter alias "xyz" refers to unknown chapter "Nowhere High"'));
+    });
+
+    test("dry runs use the default aliases without creating the sheet", () => {
+        const project = createTestProject({ initialize: false });
+        project.globals.ChangePlan.begin();
+        project.globals.SheetData.initialize();
+
+        assert.equal(project.directory.getSheetByName("Chapter Aliases"), null);
+        assert.equal(matchChapter(project, "ais"), "The Agnes Irwin School");
+    });
+});
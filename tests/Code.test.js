@@ -0,0 +1,187 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+describe("Code", () => {
+    test("registerTriggers installs the form submission, directory edit and outbox triggers", () => {
+        const project = createTestProject();
+        project.run("registerTriggers()");
+
+        const triggers = project.services.ScriptApp.getProjectTriggers();
+        assert.equal(triggers.length, 3);
+        assert.equal(triggers[0].getHandlerFunction(), "handleFormSubmission");
+        assert.equal(triggers[0].getTriggerSourceId(), project.globals.SheetData.MEMBERSHIP_FORM_ID);
+        assert.equal(triggers[1].getHandlerFunction(), "handleDirectoryEdit");
+        assert.equal(triggers[1].getTriggerSourceId(), project.globals.SheetData.DIRECTORY_SHEET_ID);
+        assert.equal(triggers[2].getHandlerFunction(), "drainWixOutbox");
+        assert.equal(triggers[2].options.everyMinutes, 15);
+    });
+
+    test("registerTriggers can run again without installing duplicates", () => {
+        const project = createTestProject();
+        const { ScriptApp } = project.services;
+        project.run("registerTriggers()");
+        ScriptApp.newTrigger("handleFormSubmission").forForm(project.globals.SheetData.MEMBERSHIP_FORM_ID).onFormSubmit().create();
+        ScriptApp.newTrigger("handleFormSubmission").forForm("an-old-form").onFormSubmit().create();
+        ScriptApp.newTrigger("syncEverything").timeBased().everyHours(1).create();
+
+        const result = project.run("registerTriggers()");
+
+        assert.deepEqual([...result.installed], []);
+        assert.deepEqual([...result.removed], ["handleFormSubmission", "handleFormSubmission", "syncEverything"]);
+        assert.deepEqual(ScriptApp.getProjectTriggers().map(trigger => trigger.getHandlerFunction()),
+            ["handleFormSubmission", "handleDirectoryEdit", "drainWixOutbox"]);
+    });
+
+    test("registerTriggers replaces a trigger for another form and keeps a pending import continuation", () => {
+        const project = createTestProject();
+        const { ScriptApp } = project.services;
+        ScriptApp.newTrigger("handleFormSubmission").forForm("an-old-form").onFormSubmit().create();
+        project.globals.ResponseLedger.scheduleContinuation("addAllFormResponses");
+
+        project.run("registerTriggers()");
+
+        const triggers = ScriptApp.getProjectTriggers();
+        assert.deepEqual(triggers.map(trigger => trigger.getHandlerFunction()),
+            ["addAllFormResponses", "handleFormSubmission", "handleDirectoryEdit", "drainWixOutbox"]);
+        assert.equal(triggers[1].getTriggerSourceId(), project.globals.SheetData.MEMBERSHIP_FORM_ID);
+    });
+
+    test("getTriggerStatus reports missing triggers and when each handler last succeeded", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("registerTriggers()");
+        project.services.ScriptApp.deleteTrigger(project.services.ScriptApp.getProjectTriggers()[1]);
+        project.context.event = { response: project.form.submit(formAnswers()) };
+        project.run("handleFormSubmission(event)");
+
+        const status = project.run("getTriggerStatus()");
+
+        assert.deepEqual([...status].map(trigger => [trigger.handler, trigger.installed, trigger.lastSuccess !== null]), [
+            ["handleFormSubmission", true, true],
+            ["handleDirectoryEdit", false, false],
+            ["drainWixOutbox", true, false]
+        ]);
+        assert.ok(project.console.lines().some(line => line.startsWith("handleDirectoryEdit (") && line.includes("NOT INSTALLED, last succeeded never")));
+    });
+
+    test("handleFormSubmission updates the directory and Wix", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.context.event = { response: project.form.submit(formAnswers()) };
+
+        project.run("handleFormSubmission(event)");
+
+        assert.equal(project.memberSheet.dump()[3][0], "Jane Doe");
+        assert.ok(project.wix.findByEmail("jane.doe@example.com"));
+    });
+
+    test("addAllFormResponses processes every response on the form", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers({ "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Member", "Parent Emails": "" }));
+
+        project.run("addAllFormResponses()");
+
+        const names = project.memberSheet.dump().map(row => row[0]);
+        assert.deepEqual(names, ["Name", "Outreach", "Amy Adams", "Jane Doe", "Member", "Sam Lee"]);
+        assert.ok(project.wix.findByEmail("sam@example.com"));
+    });
+
+    test("addAllFormResponses keeps going when Wix rejects a response and retries it next run", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers({ "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Member", "Parent Emails": "" }));
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 400 });
+
+        project.run("addAllFormResponses()");
+
+        assert.ok(project.wix.findByEmail("sam@example.com"));
+        assert.equal(project.wix.findByEmail("jane.doe@example.com"), null);
+        assert.ok(project.console.lines("error").includes("1 response(s) failed and will be retried on the next run"));
+        assert.ok(!project.console.lines().includes("Created new contact for Jane Doe in Wix CMS"));
+
+        project.run("addAllFormResponses()");
+        assert.ok(project.wix.findByEmail("jane.doe@example.com"));
+        assert.equal(project.memberSheet.dump().filter(row => row[0] === "Jane Doe").length, 1);
+    });
+
+    test("imports and form submissions hold the script lock while they update the directory", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        const lock = project.services.LockService.getScriptLock();
+        project.context.event = { response: project.form.submit(formAnswers()) };
+        project.globals.SheetHandler.processFormResponse = () => {
+            assert.equal(lock.hasLock(), true);
+            return "Added row 4";
+        };
+
+        project.run("handleFormSubmission(event)");
+        project.run("addAllFormResponses()");
+
+        assert.equal(lock.acquired, 2);
+        assert.equal(lock.hasLock(), false);
+    });
+
+    test("handleFormSubmission leaves the response to a batch import when the directory is busy", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.services.LockService.busy = true;
+        project.context.event = { response: project.form.submit(formAnswers()) };
+
+        project.run("handleFormSubmission(event)");
+
+        assert.equal(project.memberSheet.getLastRow(), 4);
+        const triggers = project.services.ScriptApp.getProjectTriggers();
+        assert.equal(triggers.length, 1);
+        assert.equal(triggers[0].getHandlerFunction(), "addAllFormResponses");
+        const properties = project.services.PropertiesService.getScriptProperties();
+        assert.equal(properties.getProperty("LAST_SUCCESS_handleFormSubmission"), null, "a deferred response is not a successful run");
+
+        project.services.LockService.busy = false;
+        project.run("addAllFormResponses()");
+        assert.equal(project.memberSheet.dump()[3][0], "Jane Doe");
+    });
+
+    test("addAllFormResponses refuses to run while the directory is busy", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.services.LockService.busy = true;
+        project.form.submit(formAnswers());
+
+        assert.throws(() => project.run("addAllFormResponses()"), /Another run is updating the directory/);
+        assert.equal(project.memberSheet.getLastRow(), 4);
+    });
+
+    test("subscribeAllContacts subscribes every Wix contact", () => {
+        const project = createTestProject();
+        project.wix.seedContact({ name: { first: "A", last: "B" }, emails: { items: [{ email: "a@example.com" }] } });
+        project.wix.seedContact({ name: { first: "C", last: "D" }, emails: { items: [{ email: "c@example.com" }] } });
+
+        project.run("subscribeAllContacts()");
+
+        assert.deepEqual(Object.keys(project.wix.subscriptions).sort(), ["a@example.com", "c@example.com"]);
+    });
+
+    test("subscribeAllContacts leaves unsubscribed and bounced contacts alone and reports them", () => {
+        const project = createTestProject();
+        project.wix.seedContact({ name: { first: "A", last: "B" }, emails: { items: [{ email: "a@example.com" }] } });
+        project.wix.seedContact({ name: { first: "C", last: "D" }, emails: { items: [{ email: "c@example.com" }] } });
+        project.wix.seedContact({ name: { first: "E", last: "F" }, emails: { items: [{ email: "e@example.com" }] } });
+        project.wix.seedSubscription("a@example.com", "UNSUBSCRIBED");
+        project.wix.seedSubscription("c@example.com", "SUBSCRIBED", "BOUNCED");
+
+        project.run("subscribeAllContacts()");
+
+        assert.equal(project.wix.subscriptions["a@example.com"].subscriptionStatus, "UNSUBSCRIBED");
+        assert.equal(project.wix.subscriptions["e@example.com"].subscriptionStatus, "SUBSCRIBED");
+        assert.equal(project.wix.requestsTo("post", "/email-marketing/v1/email-subscriptions").length, 1);
+        const report = project.directory.getSheetByName("Skipped Subscriptions").dump();
+        assert.deepEqual(report.slice(1).map(row => row.slice(0, 3)), [
+            ["a@example.com", "A B", "Unsubscribed from the newsletter"],
+            ["c@example.com", "C D", "Email bounced"]
+        ]);
+    });
+});
@@ -0,0 +1,116 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Executive", "", "", "", "", "", "", ""],
+    ["Finn Kelly", "", "The Haverford School", "finn@example.com", "215-555-0000", "Executive", "Senior", ""],
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["Ben Brown", "", "The Haverford School", "Ben@Example.com ", "(215) 555-0002", "Outreach", "Senior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+/**
+ * Summarizes the index as [row, name] pairs for each lookup so it can be compared with a fresh build
+ */
+function describeIndex(DirectoryIndex) {
+    const rows = map => [...map.entries()]
+        .map(([key, records]) => [key, [...records].map(record => record.row).sort((a, b) => a - b).join(",")])
+        .sort();
+    return {
+        records: DirectoryIndex.records.map(record => [record.row, record.entry.name, record.isMember]),
+        email: rows(DirectoryIndex.byEmail),
+        phone: rows(DirectoryIndex.byPhone),
+        name: rows(DirectoryIndex.byName),
+        chapter: rows(DirectoryIndex.byChapter),
+        team: rows(DirectoryIndex.byTeam)
+    };
+}
+
+describe("DirectoryIndex", () => {
+    test("SheetData.initialize indexes members by normalized email, phone and name, and teams by block", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { DirectoryIndex } = project.globals;
+
+        assert.deepEqual([...DirectoryIndex.findByName("  ben   BROWN")].map(member => member.row), [6]);
+        assert.deepEqual([...DirectoryIndex.lookup(DirectoryIndex.byEmail, "ben@example.com")].map(record => record.row), [6]);
+        assert.deepEqual([...DirectoryIndex.lookup(DirectoryIndex.byPhone, "2155550002")].map(record => record.row), [6]);
+        assert.deepEqual([...DirectoryIndex.getTeamRows("Outreach")], [4, 5, 6]);
+        assert.deepEqual([...DirectoryIndex.getTeamRows("Member")], [7]);
+        assert.deepEqual([...DirectoryIndex.getMembers()].map(member => member.entry.name), ["Finn Kelly", "Amy Adams", "Ben Brown"]);
+    });
+
+    test("candidates are limited to members sharing the entry's email, phone or chapter", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { DirectoryIndex, Entry } = project.globals;
+        const entry = Entry.fromFormResponse(project.form.submit(formAnswers({ "Email": "amy@example.com", "Phone Number": "215-555-0000" })));
+
+        assert.deepEqual([...DirectoryIndex.findCandidates(entry)].map(member => member.row), [3, 5, 6]);
+    });
+
+    test("inserts through SheetHandler keep the index identical to a fresh build", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { DirectoryIndex, Entry, SheetHandler } = project.globals;
+
+        SheetHandler.processFormResponse(Entry.fromFormResponse(project.form.submit(formAnswers())));
+        SheetHandler.processFormResponse(Entry.fromFormResponse(project.form.submit(formAnswers({
+            "Full Name": "Gia Park", "Email": "gia@example.com", "Phone Number": "215-555-0198", "Team": "Executive"
+        }))));
+        const incremental = describeIndex(DirectoryIndex);
+
+        DirectoryIndex.build();
+        assert.deepEqual(incremental, describeIndex(DirectoryIndex));
+        assert.deepEqual(incremental.records.map(record => record[1]),
+            ["Executive", "Finn Kelly", "Gia Park", "Outreach", "Amy Adams", "Ben Brown", "Jane Doe", "Member"]);
+    });
+
+    test("a bulk import keeps the index in step with the rows it places in memory", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers({ "Full Name": "Jane Doe", "Phone Number": "215-555-0123" }));
+
+        project.run("addAllFormResponses()");
+
+        const rows = project.memberSheet.dump().map(row => row[0]);
+        assert.equal(rows.filter(name => name === "Jane Doe").length, 1);
+        const incremental = describeIndex(project.globals.DirectoryIndex);
+        project.globals.DirectoryIndex.build();
+        assert.deepEqual(incremental, describeIndex(project.globals.DirectoryIndex));
+    });
+
+    test("removing a row shifts the rows below it up", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { DirectoryIndex } = project.globals;
+
+        project.memberSheet.deleteRow(4);
+        DirectoryIndex.removeRow(4);
+        const incremental = describeIndex(DirectoryIndex);
+
+        DirectoryIndex.build();
+        assert.deepEqual(incremental, describeIndex(DirectoryIndex));
+        assert.equal(DirectoryIndex.getEntry(5).name, "Ben Brown");
+    });
+
+    test("lookups never search the sheet", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { Entry, SheetHandler } = project.globals;
+        project.memberSheet.createTextFinder = () => { throw new Error("TextFinder used"); };
+
+        SheetHandler.processFormResponse(Entry.fromFormResponse(project.form.submit(formAnswers())));
+
+        assert.equal(project.memberSheet.dump()[6][0], "Jane Doe");
+    });
+
+    test("returned entries are copies", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { DirectoryIndex } = project.globals;
+
+        DirectoryIndex.getMembers()[0].entry.grade = "Alumni";
+        DirectoryIndex.getEntry(3).name = "Someone Else";
+
+        assert.equal(DirectoryIndex.getEntry(3).grade, "Senior");
+        assert.equal(DirectoryIndex.getEntry(3).name, "Finn Kelly");
+    });
+});
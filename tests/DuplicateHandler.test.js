@@ -0,0 +1,109 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "", "Outreach", "Junior", ""],
+    ["Ben Brown", "", "The Haverford School", "ben@example.com", "215-555-0002", "Outreach", "Senior", ""],
+    ["Amy Adams", "", "Harriton High School", "amy.adams@example.com", "215-555-0001", "Outreach", "Senior", "mom@example.com"],
+    ["Member", "", "", "", "", "", "", ""],
+    ["Ben Browne", "", "The Haverford School", "", "215-555-0002", "Member", "", ""],
+    ["Cara Cole", "", "Harriton High School", "cara@example.com", "215-555-0003", "Member", "Senior", ""]
+];
+
+function audit(project) {
+    project.run("auditDuplicateMembers()");
+    return project.directory.getSheetByName("Duplicates");
+}
+
+describe("DuplicateHandler", () => {
+    test("audit clusters rows sharing an email, phone or similar name", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+
+        const sheet = audit(project);
+
+        const rows = sheet.dump();
+        assert.deepEqual(rows[0], ["Cluster", "Approve", "Status", "Row", "Name", "Email", "Phone", "Chapter", "Team", "Grade", "Match"]);
+        assert.deepEqual(rows.slice(1).map(row => [row[0], row[1], row[2], row[3], row[10]]), [
+            [1, true, "Pending", 3, ""],
+            [1, true, "Pending", 5, "name matches row 3 (100%)"],
+            [2, true, "Pending", 4, ""],
+            [2, true, "Pending", 7, "phone matches row 4 (90%)"]
+        ]);
+        assert.equal(sheet.getRange(2, 2).getDataValidation().getCriteriaType(), "CHECKBOX");
+    });
+
+    test("findClusters only scores members sharing an email, phone or chapter", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { DuplicateHandler, IdentityResolver, SheetHandler } = project.globals;
+        const score = IdentityResolver.score;
+        const scored = [];
+        IdentityResolver.score = function(entry, other) {
+            scored.push([other.name, entry.name]);
+            return score.call(this, entry, other);
+        };
+
+        const clusters = DuplicateHandler.findClusters(SheetHandler.getMembers());
+
+        assert.deepEqual(scored.map(pair => [...pair]), [
+            ["Amy Adams", "Amy Adams"],
+            ["Amy Adams", "Cara Cole"],
+            ["Ben Brown", "Ben Browne"],
+            ["Amy Adams", "Cara Cole"]
+        ]);
+        assert.deepEqual([...clusters].map(cluster => [...cluster].map(member => member.row)), [[3, 5], [4, 7]]);
+    });
+
+    test("mergeApproved keeps the first row with the newest non-empty values and deletes the rest", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.directory.addSheet("Processed Responses", [
+            ["Response ID", "Submitted", "Email", "Processed At"],
+            ["response-1", new Date("2024-01-01"), "amy.adams@example.com", new Date("2024-01-01")],
+            ["response-2", new Date("2024-06-01"), "amy@example.com", new Date("2024-06-01")]
+        ]);
+        audit(project);
+
+        project.run("mergeApprovedDuplicates()");
+
+        const rows = project.memberSheet.dump();
+        assert.deepEqual(rows.map(row => row[0]), ["Name", "Outreach", "Amy Adams", "Ben Browne", "Member", "Cara Cole"]);
+        assert.deepEqual(rows[2], ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", "mom@example.com"]);
+        assert.equal(project.memberSheet.getRange(3, 3).getDataValidation(), project.globals.SheetData.chapterDropdown);
+
+        const statuses = project.directory.getSheetByName("Duplicates").dump().slice(1).map(row => row[2]);
+        assert.deepEqual(statuses, ["Kept (merged 2 rows)", "Merged into row 3", "Kept (merged 2 rows)", "Merged into row 4"]);
+    });
+
+    test("mergeApproved skips clusters with fewer than two approved rows", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        const sheet = audit(project);
+        sheet.getRange(3, 2).setValue(false);
+        sheet.getRange(5, 2).setValue(false);
+
+        project.run("mergeApprovedDuplicates()");
+
+        assert.equal(project.memberSheet.dump().length, DIRECTORY.length + 1);
+    });
+
+    test("mergeApproved skips clusters whose rows changed after the audit", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        audit(project);
+        project.memberSheet.getRange(5, 4).setValue("changed@example.com");
+
+        project.run("mergeApprovedDuplicates()");
+
+        const names = project.memberSheet.dump().map(row => row[0]);
+        assert.deepEqual(names, ["Name", "Outreach", "Amy Adams", "Ben Browne", "Amy Adams", "Member", "Cara Cole"]);
+        const statuses = project.directory.getSheetByName("Duplicates").dump().slice(1).map(row => row[2]);
+        assert.equal(statuses[0], "Skipped: directory changed, re-run the audit");
+        assert.equal(statuses[3], "Merged into row 4");
+    });
+
+    test("audit finds nothing in a clean directory", () => {
+        const project = createTestProject({ members: [DIRECTORY[0], DIRECTORY[1], DIRECTORY[2]], initialize: false });
+
+        assert.equal(audit(project).dump().length, 1);
+    });
+});
@@ -0,0 +1,113 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Jane Doe", "Outreach Member", "Harriton High School", "jane.doe@example.com", "215-555-0100", "Outreach", "Junior", ""]
+];
+
+/**
+ * Simulates an officer typing a value into a Members cell, as the onEdit trigger reports it
+ */
+function editChapter(project, row, value) {
+    const range = project.memberSheet.getRange(row, 3);
+    const oldValue = range.getValue();
+    range.setValue(value);
+    project.context.event = { range, value, oldValue, source: project.directory };
+    project.run("handleDirectoryEdit(event)");
+}
+
+function aliasRows(project) {
+    return project.directory.getSheetByName("Chapter Aliases").dump().slice(1);
+}
+
+describe("EditHandler", () => {
+    test("a correction of the automatic chapter match is learned as an alias for the raw form answer", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        project.globals.ResponseLedger.load();
+        const response = project.form.submit(formAnswers({ "School / Chapter": "Haverford Sr High" }));
+        project.globals.ResponseLedger.record(response, project.globals.Entry.fromFormResponse(response));
+        project.memberSheet.getRange(3, 3).setValue("The Haverford School");
+
+        editChapter(project, 3, "Lower Merion High School");
+
+        assert.deepEqual([...aliasRows(project).pop()], ["haverford sr high", "Lower Merion High School", "Exact"]);
+        assert.equal(project.globals.Entry.fromFormResponse(project.form.submit(formAnswers({ "School / Chapter": "Haverford Sr High" }))).chapter, "Lower Merion High School");
+    });
+
+    test("edits that agree with the raw answer or fall outside the chapter column are ignored", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        project.globals.ResponseLedger.load();
+        const response = project.form.submit(formAnswers({ "School / Chapter": "Harriton" }));
+        project.globals.ResponseLedger.record(response, project.globals.Entry.fromFormResponse(response));
+        const before = aliasRows(project).length;
+
+        editChapter(project, 3, "Harriton High School");
+        editChapter(project, 3, "Not A Chapter");
+        const range = project.memberSheet.getRange(3, 7);
+        project.context.event = { range, value: "Senior", source: project.directory };
+        project.run("handleDirectoryEdit(event)");
+
+        assert.equal(aliasRows(project).length, before);
+    });
+
+    test("moving a member the import did not place in that chapter, or whose answer named it exactly, learns nothing", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        project.globals.ResponseLedger.load();
+        const before = aliasRows(project).length;
+
+        const fuzzy = project.form.submit(formAnswers({ "School / Chapter": "Haverford Sr High" }));
+        project.globals.ResponseLedger.record(fuzzy, project.globals.Entry.fromFormResponse(fuzzy));
+        editChapter(project, 3, "Lower Merion High School");
+
+        const exact = project.form.submit(formAnswers({ "School / Chapter": "Lower Merion High School" }));
+        project.globals.ResponseLedger.record(exact, project.globals.Entry.fromFormResponse(exact));
+        editChapter(project, 3, "Food4Pitt");
+
+        assert.equal(aliasRows(project).length, before);
+    });
+
+    test("edits outside the chapter column do not load the directory", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        const { SheetData, DirectoryIndex } = project.globals;
+
+        const other = project.directory.getSheetByName("Teams").getRange(2, 1);
+        project.context.event = { range: other, value: "Executive", source: project.directory };
+        project.run("handleDirectoryEdit(event)");
+        assert.equal(SheetData.directory, null);
+
+        const grade = project.memberSheet.getRange(3, 7);
+        project.context.event = { range: grade, value: "Senior", source: project.directory };
+        project.run("handleDirectoryEdit(event)");
+        assert.equal(SheetData.chapters, null);
+        assert.equal(project.directory.getSheetByName("Chapter Aliases"), null);
+        assert.equal(DirectoryIndex.records.length, 0);
+    });
+
+    test("a repeated correction repoints the existing alias", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        project.globals.SheetData.addChapterAlias("Haverford Sr High", "Lower Merion High School");
+        project.globals.SheetData.addChapterAlias("haverford sr high", "Harriton High School");
+
+        const learned = aliasRows(project).filter(row => row[0] === "haverford sr high");
+        assert.equal(learned.length, 1);
+        assert.equal(learned[0][1], "Harriton High School");
+        assert.equal(project.globals.SheetData.chapterAliases.filter(alias => alias.alias === "haverford sr high").length, 1);
+    });
+
+    test("approving a review with a corrected chapter learns the alias", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { ReviewQueue, Entry } = project.globals;
+        const response = project.form.submit(formAnswers({ "School / Chapter": "Pennsylvania", "Email": "sam@example.com", "Phone Number": "2155550199" }));
+        ReviewQueue.add(Entry.fromFormResponse(response), response.getTimestamp());
+
+        const sheet = project.directory.getSheetByName("Needs Review");
+        sheet.getRange(2, ReviewQueue.CHAPTER_COLUMN).setValue("Food4Pitt");
+        sheet.getRange(2, ReviewQueue.STATUS_COLUMN).setValue("Approved");
+        ReviewQueue.processApproved();
+
+        assert.deepEqual([...aliasRows(project).pop()], ["pennsylvania", "Food4Pitt", "Exact"]);
+    });
+});
@@ -0,0 +1,89 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+describe("Entry", () => {
+    test("fromFormResponse cleans every answer", () => {
+        const project = createTestProject();
+        const { Entry } = project.globals;
+
+        const entry = Entry.fromFormResponse(project.form.submit(formAnswers({ "Team": "Chapter Head" })));
+
+        assert.equal(entry.name, "Jane Doe");
+        assert.equal(entry.email, "jane.doe@example.com");
+        assert.equal(entry.phone, "215-555-0100");
+        assert.equal(entry.chapter, "The Haverford School");
+        assert.equal(entry.team, "Chapter Head");
+        assert.equal(entry.grade, "Junior");
+        assert.equal(entry.title, "Chapter Head");
+        assert.deepEqual([...entry.parentEmails], ["parent.one@example.com", "parent.two@example.com"]);
+    });
+
+    test("parseConsent only counts affirmative answers as consent", () => {
+        const project = createTestProject({ config: CONFIG.concat([["FORM_CONSENT_QUESTION", "Newsletter"]]), initialize: false });
+        project.form.addItem("Newsletter");
+        project.globals.SheetData.initialize();
+        const entry = new project.globals.Entry();
+
+        ["Yes", "yes, email me updates", "Y", "True", "I agree to receive emails", "OK!"]
+            .forEach(answer => assert.equal(entry.parseConsent(answer), true, answer));
+        ["No", "Nope", "No thanks!", "Not now", "Unsure", "Maybe later", "Yesterday", ""]
+            .forEach(answer => assert.equal(entry.parseConsent(answer), false, answer));
+    });
+
+    test("cleanName capitalizes each word and strips non-ascii characters", () => {
+        const { Entry } = createTestProject().globals;
+        assert.equal(new Entry().cleanName("fInn KElly 🍎"), "Finn Kelly");
+    });
+
+    test("cleanPhone formats ten digit numbers and blanks anything else", () => {
+        const { Entry } = createTestProject().globals;
+        const entry = new Entry();
+        assert.equal(entry.cleanPhone("123456 7890"), "123-456-7890");
+        assert.equal(entry.cleanPhone("(123) 456-7890"), "123-456-7890");
+        assert.equal(entry.cleanPhone("555-0100"), "");
+    });
+
+    test("matchChapter handles abbreviations and fuzzy matches", () => {
+        const project = createTestProject();
+        const { Entry, FuzzySet, SheetData } = project.globals;
+        const entry = new Entry();
+        const matchingSet = FuzzySet(SheetData.chapters);
+
+        assert.equal(entry.matchChapter("ths", matchingSet), "The Haverford School");
+        assert.equal(entry.matchChapter("Archbishop Mitty", matchingSet), "Food4TheBay");
+        assert.equal(entry.matchChapter("Wissahickon HS", matchingSet), "Wissahickon High School");
+        assert.equal(entry.matchChapter("zzzz", matchingSet), "");
+    });
+
+    test("cleanTeam defaults blank answers to Member and clears Unsure", () => {
+        const { Entry } = createTestProject().globals;
+        const entry = new Entry();
+        assert.equal(entry.cleanTeam(""), "Member");
+        assert.equal(entry.cleanTeam("Unsure"), "");
+        assert.equal(entry.cleanTeam("Outreach"), "Outreach");
+    });
+
+    test("fromDirectory reads a row even when some cells are blank", () => {
+        const project = createTestProject({
+            members: [["Finn Kelly", "", "The Haverford School", "finn@example.com", "", "Executive", "Senior", "mom@example.com"]]
+        });
+        const entry = project.globals.Entry.fromDirectory(2);
+
+        assert.equal(entry.name, "Finn Kelly");
+        assert.equal(entry.phone, "");
+        assert.equal(entry.team, "Executive");
+        assert.deepEqual([...entry.parentEmails], ["mom@example.com"]);
+    });
+
+    test("data orders fields to match the directory columns", () => {
+        const project = createTestProject();
+        const entry = project.globals.Entry.fromFormResponse(project.form.submit(formAnswers()));
+
+        assert.deepEqual([...entry.data()], [
+            "Jane Doe", "", "The Haverford School", "jane.doe@example.com", "215-555-0100",
+            "Outreach", "Junior", "parent.one@example.com, parent.two@example.com"
+        ]);
+    });
+});
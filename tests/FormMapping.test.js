@@ -0,0 +1,114 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+function configWith(overrides) {
+    return CONFIG.map(([key, value]) => [key, key in overrides ? overrides[key] : value]);
+}
+
+describe("FormMapping", () => {
+    test("answers are read by question title regardless of order", () => {
+        const project = createTestProject();
+        project.form.items.reverse();
+
+        const entry = project.globals.Entry.fromFormResponse(project.form.submit(formAnswers()));
+
+        assert.equal(entry.name, "Jane Doe");
+        assert.equal(entry.email, "jane.doe@example.com");
+        assert.equal(entry.chapter, "The Haverford School");
+        assert.deepEqual([...entry.parentEmails], ["parent.one@example.com", "parent.two@example.com"]);
+    });
+
+    test("unanswered optional questions do not shift later answers", () => {
+        const project = createTestProject();
+
+        const entry = project.globals.Entry.fromFormResponse(project.form.submit(formAnswers({ "Phone Number": "", "Team": "" })));
+
+        assert.equal(entry.phone, "");
+        assert.equal(entry.team, "Member");
+        assert.equal(entry.grade, "Junior");
+        assert.equal(entry.parentEmails.length, 2);
+    });
+
+    test("questions can be mapped by item ID and titles ignore case", () => {
+        const project = createTestProject({ initialize: false });
+        const nameItem = project.form.getItems()[0];
+        const configSheet = project.directory.getSheetByName("Config");
+        configSheet.getRange(2, 2).setValue(String(nameItem.getId()));
+        configSheet.getRange(3, 2).setValue("  EMAIL ");
+        project.globals.SheetData.initialize();
+
+        const entry = project.globals.Entry.fromFormResponse(project.form.submit(formAnswers()));
+
+        assert.equal(entry.name, "Jane Doe");
+        assert.equal(entry.email, "jane.doe@example.com");
+    });
+
+    test("script properties are used when the Config sheet does not set a question", () => {
+        const project = createTestProject({ config: configWith({ FORM_EMAIL_QUESTION: "" }), initialize: false });
+        project.services.PropertiesService.getScriptProperties().setProperty("FORM_EMAIL_QUESTION", "Email");
+
+        project.globals.SheetData.initialize();
+        assert.doesNotThrow(() => project.globals.FormMapping.load());
+    });
+
+    test("reading a response fails when a required question is unset and the form has no question at its position", () => {
+        const project = createTestProject({ config: configWith({ FORM_CHAPTER_QUESTION: "" }) });
+        ["School / Chapter", "Team", "Grade", "Parent Emails"].forEach(title => project.form.removeItem(title));
+
+        assert.throws(() => project.globals.Entry.fromFormResponse(project.form.submit(formAnswers())),
+            /FORM_CHAPTER_QUESTION is not set and the form has no question 4 to read chapter from/);
+    });
+
+    test("a batch import stops before any response when the form no longer has a mapped question", () => {
+        const project = createTestProject({ initialize: false });
+        project.form.submit(formAnswers());
+        project.form.removeItem("Parent Emails");
+
+        assert.throws(() => project.run("addAllFormResponses()"),
+            /FORM_PARENT_EMAILS_QUESTION refers to "Parent Emails", which is not a question on the Membership Form/);
+        assert.equal(project.directory.getSheetByName("Processed Responses"), null);
+    });
+
+    test("commands that do not read responses work while the mapping is incomplete", () => {
+        const project = createTestProject({ config: [], initialize: false });
+
+        assert.doesNotThrow(() => project.run("sortDirectory()"));
+        assert.doesNotThrow(() => project.run("scanDataQuality()"));
+        assert.equal(project.globals.FormMapping.itemIds, null);
+    });
+
+    test("questions whose key is not set are read by their position among the form's questions", () => {
+        const project = createTestProject({ config: configWith({ FORM_PHONE_QUESTION: "", FORM_CHAPTER_QUESTION: "" }) });
+        const header = project.form.addItem("About you", "SECTION_HEADER");
+        project.form.items = [header].concat(project.form.items.slice(0, -1));
+
+        const entry = project.globals.Entry.fromFormResponse(project.form.submit(formAnswers()));
+
+        assert.equal(entry.phone, "215-555-0100");
+        assert.equal(entry.chapter, "The Haverford School");
+        assert.equal(entry.name, "Jane Doe");
+    });
+
+    test("a project with an empty Config still imports a response", () => {
+        const project = createTestProject({ config: [], initialize: false });
+        project.form.submit(formAnswers());
+
+        project.run("addAllFormResponses()");
+
+        const jane = project.memberSheet.dump().find(row => row[0] === "Jane Doe");
+        assert.deepEqual(jane, ["Jane Doe", "", "The Haverford School", "jane.doe@example.com", "215-555-0100", "Outreach", "Junior", "parent.one@example.com, parent.two@example.com"]);
+    });
+
+    test("reloading the Config resets the mapping", () => {
+        const project = createTestProject();
+        const { FormMapping, SheetData } = project.globals;
+        FormMapping.load();
+        assert.notEqual(FormMapping.itemIds, null);
+
+        SheetData.open();
+
+        assert.equal(FormMapping.itemIds, null);
+    });
+});
@@ -0,0 +1,78 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject } = require("./harness/fixtures");
+
+function makeEntry(Entry, fields) {
+    return Object.assign(new Entry(), { name: "", email: "", phone: "", chapter: "" }, fields);
+}
+
+describe("IdentityResolver", () => {
+    test("resolve prefers email, then phone, then fuzzy name in the same chapter", () => {
+        const { Entry, IdentityResolver } = createTestProject().globals;
+        const members = [
+            { row: 2, entry: makeEntry(Entry, { name: "Jane Doe", email: "jane@example.com", phone: "215-555-0100", chapter: "Food4Pitt" }) },
+            { row: 3, entry: makeEntry(Entry, { name: "John Roe", email: "john@example.com", phone: "215-555-0101", chapter: "Food4Pitt" }) }
+        ];
+
+        const byEmail = IdentityResolver.resolve(makeEntry(Entry, { name: "J", email: " JANE@example.com" }), members);
+        assert.equal(byEmail.status, "match");
+        assert.equal(byEmail.row, 2);
+        assert.equal(byEmail.reason, "email");
+        assert.equal(byEmail.confidence, 1);
+
+        const byPhone = IdentityResolver.resolve(makeEntry(Entry, { name: "J", phone: "+1 (215) 555-0101" }), members);
+        assert.deepEqual([byPhone.status, byPhone.row, byPhone.reason], ["match", 3, "phone"]);
+
+        const byName = IdentityResolver.resolve(makeEntry(Entry, { name: "jane  doe", chapter: "Food4Pitt" }), members);
+        assert.deepEqual([byName.status, byName.row, byName.reason], ["match", 2, "name"]);
+    });
+
+    test("resolve ignores names in other chapters", () => {
+        const { Entry, IdentityResolver } = createTestProject().globals;
+        const members = [{ row: 2, entry: makeEntry(Entry, { name: "Jane Doe", chapter: "Food4Pitt" }) }];
+
+        const result = IdentityResolver.resolve(makeEntry(Entry, { name: "Jane Doe", chapter: "Food4TheBay" }), members);
+
+        assert.equal(result.status, "none");
+        assert.equal(result.row, -1);
+    });
+
+    test("resolve reports similar names and equally strong matches as ambiguous", () => {
+        const { Entry, IdentityResolver } = createTestProject().globals;
+        const members = [
+            { row: 2, entry: makeEntry(Entry, { name: "Katherine Smith", email: "kat@example.com", chapter: "Food4Pitt" }) },
+            { row: 3, entry: makeEntry(Entry, { name: "Sam Jones", phone: "215-555-0100", chapter: "Food4Pitt" }) }
+        ];
+
+        const similar = IdentityResolver.resolve(makeEntry(Entry, { name: "Katharine Smyth", chapter: "Food4Pitt" }), members);
+        assert.equal(similar.status, "ambiguous");
+        assert.ok(similar.confidence >= IdentityResolver.POSSIBLE_MATCH && similar.confidence < IdentityResolver.CONFIDENT_MATCH);
+
+        members.push({ row: 4, entry: makeEntry(Entry, { name: "Sue Jones", phone: "215-555-0100", chapter: "Food4Pitt" }) });
+        const sharedPhone = IdentityResolver.resolve(makeEntry(Entry, { name: "S Jones", phone: "2155550100" }), members);
+        assert.equal(sharedPhone.status, "ambiguous");
+        assert.deepEqual(sharedPhone.candidates.map(candidate => candidate.row), [3, 4]);
+    });
+
+    test("resolve matches a unique email even when another row shares the phone", () => {
+        const { Entry, IdentityResolver } = createTestProject().globals;
+        const members = [
+            { row: 2, entry: makeEntry(Entry, { name: "Sam Jones", email: "sam@example.com", phone: "215-555-0100", chapter: "Food4Pitt" }) },
+            { row: 3, entry: makeEntry(Entry, { name: "Sue Jones", email: "sue@example.com", phone: "215-555-0100", chapter: "Food4Pitt" }) }
+        ];
+
+        const result = IdentityResolver.resolve(makeEntry(Entry, { name: "Sue Jones", email: "sue@example.com", phone: "2155550100" }), members);
+
+        assert.deepEqual([result.status, result.row, result.reason], ["match", 3, "email"]);
+        assert.deepEqual(result.candidates.map(candidate => candidate.row), [3, 2]);
+    });
+
+    test("normalizers strip formatting", () => {
+        const { IdentityResolver } = createTestProject().globals;
+
+        assert.equal(IdentityResolver.normalizePhone("+1 (215) 555-0100"), "2155550100");
+        assert.equal(IdentityResolver.normalizePhone("555-0100"), "");
+        assert.equal(IdentityResolver.normalizeName("  Jane   O'Doe "), "jane odoe");
+    });
+});
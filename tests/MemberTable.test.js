@@ -0,0 +1,107 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Executive", "", "", "", "", "", "", ""],
+    ["Finn Kelly", "", "The Haverford School", "finn@example.com", "215-555-0000", "Executive", "Senior", ""],
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["Ben Brown", "", "The Haverford School", "ben@example.com", "215-555-0002", "Outreach", "Senior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+const SUBMISSIONS = [
+    {},
+    { "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Member", "Parent Emails": "" },
+    { "Full Name": "Amy Adams", "Email": "amy@example.com", "Phone Number": "215-555-0001", "School / Chapter": "Harriton", "Grade": "Senior", "Parent Emails": "" },
+    { "Full Name": "Gia Park", "Email": "gia@example.com", "Phone Number": "215-555-0198", "School / Chapter": "Harriton", "Team": "Executive", "Parent Emails": "" },
+    { "Full Name": "Amy Adamson", "Email": "adamson@example.com", "Phone Number": "215-555-0197", "School / Chapter": "Harriton", "Parent Emails": "" }
+];
+
+/**
+ * Imports every submission either through addAllFormResponses (bulk) or one response at a time
+ */
+function importAll(bulk) {
+    const project = createTestProject({ members: DIRECTORY });
+    const { Entry, SheetHandler } = project.globals;
+    const responses = SUBMISSIONS.map(answers => project.form.submit(formAnswers(answers)));
+
+    project.directory.writes = [];
+    if (bulk)
+        project.run("addAllFormResponses()");
+    else
+        responses.forEach(response => SheetHandler.processFormResponse(Entry.fromFormResponse(response)));
+    return project;
+}
+
+function snapshot(project) {
+    const sheet = project.memberSheet;
+    const range = sheet.getRange(1, 1, sheet.getLastRow(), 8);
+    return {
+        values: range.getValues(),
+        backgrounds: range.getBackgrounds().map(row => row.map(color => color || "#ffffff")),
+        notes: range.getNotes(),
+        validations: range.getDataValidations().map(row => row.map(validation => validation !== null))
+    };
+}
+
+describe("MemberTable", () => {
+    test("a bulk import leaves the Members sheet exactly as importing one response at a time", () => {
+        const bulk = importAll(true);
+        const sequential = importAll(false);
+
+        assert.deepEqual(snapshot(bulk), snapshot(sequential));
+        const names = bulk.memberSheet.dump().map(row => row[0]);
+        assert.deepEqual(names, ["Name", "Executive", "Finn Kelly", "Gia Park", "Outreach", "Amy Adams", "Amy Adamson", "Ben Brown", "Jane Doe", "Member", "Sam Lee"]);
+    });
+
+    test("a bulk import inserts once per section and rewrites only the runs of changed rows", () => {
+        const project = importAll(true);
+
+        const writes = project.directory.writes.filter(write => write.sheet === "Members");
+        assert.deepEqual(writes.map(write => write.property).slice(0, 4), ["insert", "insert", "insert", "insert"]);
+        const values = writes.filter(write => write.property === "value").map(write => [write.row, write.numRows]);
+        assert.deepEqual(values, [[4, 1], [6, 2], [9, 1], [11, 1]]);
+        assert.equal(writes.filter(write => write.property === "note").length, values.length);
+        assert.ok(project.console.lines().includes("Wrote 5 changed row(s) to the directory"));
+    });
+
+    test("rows edited while the table is loaded are not overwritten by the flush", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { MemberTable } = project.globals;
+        MemberTable.load();
+        MemberTable.getRow(4).values[1] = "Treasurer";
+        MemberTable.markChanged(4);
+        project.memberSheet.getRange(3, 2).setValue("President");
+        project.memberSheet.getRange(5, 2).setValue("Secretary");
+
+        MemberTable.flush();
+
+        assert.deepEqual(project.memberSheet.dump().slice(2, 5).map(row => row[1]), ["President", "Treasurer", "Secretary"]);
+    });
+
+    test("the ledger is only written once the directory has been flushed", () => {
+        const project = importAll(true);
+
+        const ledgerWrites = project.directory.writes.filter(write => write.sheet === "Processed Responses" && write.property === "value");
+        const lastMemberWrite = project.directory.writes.map(write => write.sheet).lastIndexOf("Members");
+        assert.equal(project.directory.getSheetByName("Processed Responses").getLastRow(), SUBMISSIONS.length + 1);
+        assert.ok(project.directory.writes.indexOf(ledgerWrites[ledgerWrites.length - 1]) > lastMemberWrite);
+    });
+
+    test("a bulk dry run sees its own planned rows but writes nothing", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers({ "Full Name": "Jane Doe", "Phone Number": "215-555-0123" }));
+        const before = project.memberSheet.dump();
+
+        const changes = project.run("previewAllFormResponses()");
+
+        assert.deepEqual(project.memberSheet.dump(), before);
+        assert.equal(project.globals.MemberTable.active, false);
+        const inserts = [...changes].filter(change => change.action === "Insert row");
+        assert.equal(inserts.length, 1);
+    });
+});
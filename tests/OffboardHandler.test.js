@@ -0,0 +1,177 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, MEMBERS_HEADER } = require("./harness/fixtures");
+
+const STUDENT_IDS = "custom.student-contact-ids";
+const PARENT_IDS = "custom.parent-contact-ids";
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", "mom@example.com"],
+    ["Ben Brown", "", "Harriton High School", "ben@example.com", "215-555-0002", "Outreach", "Senior", "mom@example.com"],
+    ["Cara Chen", "", "Food4Pitt", "cara@example.com", "", "Outreach", "Senior", "dad@example.com"],
+    ["Dan Diaz", "", "Food4Pitt", "dan@example.com", "", "Outreach", "", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+/**
+ * Seeds Wix contacts for Amy, Ben and Cara, with Amy and Ben sharing a parent and Cara having her own
+ */
+function seedWix(project) {
+    const student = (first, email, grade) => project.wix.seedContact({
+        name: { first, last: "X" },
+        emails: { items: [{ email }] },
+        labelKeys: { items: ["custom.directory", project.wix.seedLabel(`Grade: ${grade}`).key, "custom.volunteer"] }
+    });
+    const parent = (email, ...students) => {
+        const contact = project.wix.seedContact({
+            name: { first: "Parent", last: "of X" },
+            emails: { items: [{ email }] },
+            labelKeys: { items: ["custom.parent"] },
+            extendedFields: { items: { [STUDENT_IDS]: students.map(other => other.id).join(",") } }
+        });
+        students.forEach(other => other.info.extendedFields = { items: { [PARENT_IDS]: contact.id } });
+        project.wix.seedSubscription(email, "SUBSCRIBED");
+        return contact;
+    };
+
+    const amy = student("Amy", "amy@example.com", "Junior");
+    const ben = student("Ben", "ben@example.com", "Senior");
+    const cara = student("Cara", "cara@example.com", "Senior");
+    return { amy, ben, cara, mom: parent("mom@example.com", amy, ben), dad: parent("dad@example.com", cara) };
+}
+
+describe("OffboardHandler", () => {
+    test("graduateSeniors moves seniors to Alumni and advances everyone else", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const contacts = seedWix(project);
+
+        project.run("graduateSeniors()");
+
+        assert.deepEqual(project.memberSheet.dump().slice(1).map(row => [row[0], row[6]]), [
+            ["Outreach", ""], ["Amy Adams", "Senior"], ["Dan Diaz", ""], ["Member", ""]
+        ]);
+        const alumni = project.directory.getSheetByName("Alumni").dump();
+        assert.deepEqual([...alumni[0]], MEMBERS_HEADER.concat(["Left On", "Reason"]));
+        assert.deepEqual(alumni.slice(1).map(row => [row[0], row[9]]), [
+            ["Ben Brown", `Graduated ${new Date().getFullYear()}`],
+            ["Cara Chen", `Graduated ${new Date().getFullYear()}`]
+        ]);
+
+        const label = displayName => project.wix.labels.find(other => other.displayName === displayName).key;
+        assert.deepEqual([...contacts.ben.info.labelKeys.items], ["custom.volunteer", label("Alumni")]);
+        assert.deepEqual([...contacts.amy.info.labelKeys.items], [
+            "custom.volunteer", "custom.directory", label("Chapter: Harriton High School"),
+            label("Team: Outreach"), label("Grade: Senior")
+        ]);
+        assert.equal(contacts.mom.info.extendedFields.items[STUDENT_IDS], contacts.amy.id);
+        assert.deepEqual([...contacts.mom.info.labelKeys.items], ["custom.parent"]);
+        assert.equal(project.wix.subscriptions["mom@example.com"].subscriptionStatus, "SUBSCRIBED");
+        assert.deepEqual([...contacts.dad.info.labelKeys.items], []);
+        assert.equal(project.wix.subscriptions["dad@example.com"].subscriptionStatus, "UNSUBSCRIBED");
+        assert.ok(project.console.lines().includes(`Skipped Dan Diaz (row 6): grade "" is not on the Grades sheet`));
+    });
+
+    test("graduateSeniors refuses to run twice in the same year", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        project.run("graduateSeniors()");
+
+        assert.throws(() => project.run("graduateSeniors()"), /already ran/);
+        assert.equal(project.memberSheet.dump()[2][6], "Senior");
+    });
+
+    test("Wix changes that do not fit in the time limit are queued and finished by the outbox drain", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const contacts = seedWix(project);
+        project.globals.ResponseLedger.MAX_RUNTIME_MS = 0;
+
+        project.run("graduateSeniors()");
+
+        const outbox = project.directory.getSheetByName("Wix Outbox").dump().slice(1);
+        assert.deepEqual(outbox.map(row => [row[1], row[2], row[4]]), [
+            ["retireMember", "Ben Brown", 0], ["retireMember", "Cara Chen", 0], ["relabelMember", "Amy Adams", 0]
+        ]);
+        assert.equal(contacts.amy.info.labelKeys.items.length, 3);
+
+        project.globals.ResponseLedger.MAX_RUNTIME_MS = 5 * 60 * 1000;
+        assert.deepEqual({ ...project.run("drainWixOutbox()") }, { sent: 3, failed: 0, dead: 0 });
+        const label = displayName => project.wix.labels.find(other => other.displayName === displayName).key;
+        assert.deepEqual([...contacts.ben.info.labelKeys.items], ["custom.volunteer", label("Alumni")]);
+        assert.ok(contacts.amy.info.labelKeys.items.includes(label("Grade: Senior")));
+    });
+
+    test("removeSelectedMembers retires the selected members and unsubscribes them", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const contacts = seedWix(project);
+        project.services.SpreadsheetApp.setActiveRange(project.memberSheet.getRange(1, 1, 3, 2));
+        const ui = project.services.SpreadsheetApp.getUi();
+        const lock = project.services.LockService.getScriptLock();
+        const lockedDuringAlert = [];
+        const alert = ui.alert.bind(ui);
+        ui.alert = (...args) => {
+            lockedDuringAlert.push(lock.held);
+            return alert(...args);
+        };
+
+        project.run("removeSelectedMembers()");
+
+        assert.deepEqual(project.memberSheet.dump().slice(1).map(row => row[0]), ["Outreach", "Ben Brown", "Cara Chen", "Dan Diaz", "Member"]);
+        assert.equal(project.directory.getSheetByName("Alumni").dump()[1][9], "Left the organization");
+        const formerMember = project.wix.labels.find(label => label.displayName === "Former Member").key;
+        assert.deepEqual([...contacts.amy.info.labelKeys.items], ["custom.volunteer", formerMember]);
+        assert.equal(contacts.amy.info.extendedFields.items[PARENT_IDS], "");
+        assert.equal(project.wix.subscriptions["amy@example.com"].subscriptionStatus, "UNSUBSCRIBED");
+        assert.equal(contacts.mom.info.extendedFields.items[STUDENT_IDS], contacts.ben.id);
+        assert.equal(project.wix.subscriptions["mom@example.com"].subscriptionStatus, "SUBSCRIBED");
+        assert.deepEqual(ui.alerts, ["Removed 1 member(s) from the directory"]);
+        assert.deepEqual(lockedDuringAlert, [false], "the dialog is shown after the directory is unlocked");
+    });
+
+    test("a parent contact without an email is unlinked but not unsubscribed", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const contacts = seedWix(project);
+        delete contacts.dad.info.emails;
+        delete contacts.dad.primaryInfo;
+        project.services.SpreadsheetApp.setActiveRange(project.memberSheet.getRange(5, 1));
+
+        project.run("removeSelectedMembers()");
+
+        assert.equal(contacts.dad.info.extendedFields.items[STUDENT_IDS], "");
+        assert.deepEqual([...contacts.dad.info.labelKeys.items], []);
+        assert.equal(project.directory.getSheetByName("Wix Outbox"), null);
+        assert.deepEqual(project.wix.requestsTo("post", "/email-marketing/v1/email-subscriptions").map(request => request.payload.subscription.email), ["cara@example.com"]);
+    });
+
+    test("a relabel that fails while Wix is down is queued as a relabel, not a full sync", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        seedWix(project);
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 503, times: 100 });
+
+        project.run("graduateSeniors()");
+
+        const outbox = project.directory.getSheetByName("Wix Outbox").dump().slice(1);
+        assert.deepEqual(outbox.map(row => [row[1], row[2]]), [
+            ["retireMember", "Ben Brown"], ["retireMember", "Cara Chen"], ["relabelMember", "Amy Adams"]
+        ]);
+    });
+
+    test("a retirement that fails while Wix is down is queued and replayed", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const contacts = seedWix(project);
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 503, times: 100 });
+        project.services.SpreadsheetApp.setActiveRange(project.memberSheet.getRange(4, 1));
+
+        project.run("removeSelectedMembers()");
+        const outbox = project.directory.getSheetByName("Wix Outbox");
+        assert.equal(outbox.dump()[1][1], "retireMember");
+
+        project.wix.failures = [];
+        outbox.getRange(2, 8).setValue(new Date(0));
+        project.run("drainWixOutbox()");
+
+        assert.equal(outbox.getLastRow(), 1);
+        assert.equal(project.wix.subscriptions["ben@example.com"].subscriptionStatus, "UNSUBSCRIBED");
+        assert.equal(contacts.mom.info.extendedFields.items[STUDENT_IDS], contacts.amy.id);
+    });
+});
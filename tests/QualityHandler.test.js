@@ -0,0 +1,89 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Executive", "", "", "", "", "", "", ""],
+    ["Finn Kelly", "President", "The Haverford School", "finn@example.com", "215-555-0000", "Executive", "Senior", ""],
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example", "2155550001", "Outreach", "Junior", "mom@example.com"],
+    ["Ben Brown", "", "Haverford", "ben@example.com", "", "Outreach", "Sophomore", ""],
+    ["Cara Cole", "", "Harriton High School", "cara@example.com", "215-555-0003", "Advisors", "Grade 9", "dad@example"],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+function cell(project, row, column) {
+    return project.memberSheet.getRange(row, column);
+}
+
+describe("QualityHandler", () => {
+    test("scanDataQuality colors and annotates each problem cell", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        const { QualityHandler, SheetData } = project.globals;
+
+        project.run("scanDataQuality()");
+
+        assert.equal(cell(project, 5, 4).getBackground(), QualityHandler.ISSUES.invalidEmail.color);
+        assert.equal(cell(project, 5, 4).getNote(), 'Data quality: "amy@example" is not a valid email address');
+        assert.equal(cell(project, 5, 5).getBackground(), QualityHandler.ISSUES.invalidPhone.color);
+        assert.equal(cell(project, 6, 3).getBackground(), QualityHandler.ISSUES.unknownChapter.color);
+        assert.equal(cell(project, 6, 5).getBackground(), QualityHandler.ISSUES.missing.color);
+        assert.equal(QualityHandler.ISSUES.missing.color, SheetData.MISSING_DATA_COLOR, "missing values look like rows filled by fillData");
+        assert.equal(cell(project, 6, 5).getNote(), "Data quality: Phone is missing");
+        assert.equal(cell(project, 6, 8).getNote(), "Data quality: Sophomore members need a parent email");
+        assert.equal(cell(project, 7, 6).getBackground(), QualityHandler.ISSUES.unknownTeam.color);
+        assert.equal(cell(project, 7, 7).getBackground(), QualityHandler.ISSUES.unknownGrade.color);
+        assert.equal(cell(project, 7, 8).getNote(), "Data quality: Not valid email addresses: dad@example");
+        assert.equal(cell(project, 3, 8).getNote(), "", "seniors do not need a parent email");
+        assert.equal(cell(project, 2, 1).getNote(), "", "team headers are not checked");
+    });
+
+    test("the Data Quality sheet counts issues per chapter and in total", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+
+        const result = project.run("scanDataQuality()");
+
+        const summary = project.directory.getSheetByName("Data Quality").dump();
+        assert.deepEqual(summary[0], ["Chapter", "Members", "Missing value", "Invalid email", "Invalid phone", "Unknown chapter",
+            "Unknown team", "Unknown grade", "Missing parent emails", "Stale grade", "Total Issues"]);
+        assert.deepEqual(summary.slice(1), [
+            ["The Haverford School", 1, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            ["Harriton High School", 2, 0, 2, 1, 0, 1, 1, 0, 0, 5],
+            ["Haverford", 1, 1, 0, 0, 1, 0, 0, 1, 0, 3],
+            ["All chapters", 4, 1, 2, 1, 1, 1, 1, 1, 0, 8]
+        ]);
+        assert.equal(result.members, 4);
+        assert.equal(result.issues, 8);
+    });
+
+    test("fixed cells lose the scan's highlighting but keep other notes and colors", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("scanDataQuality()");
+        cell(project, 5, 1).setBackground("#fff2cc").setNote("Possible duplicate of: someone");
+        cell(project, 5, 4).setValue("amy@example.com");
+        cell(project, 5, 5).setValue("215-555-0001");
+
+        project.run("scanDataQuality()");
+
+        assert.equal(cell(project, 5, 4).getBackground(), null);
+        assert.equal(cell(project, 5, 4).getNote(), "");
+        assert.equal(cell(project, 5, 5).getNote(), "");
+        assert.equal(cell(project, 5, 1).getBackground(), "#fff2cc");
+        assert.equal(cell(project, 5, 1).getNote(), "Possible duplicate of: someone");
+    });
+
+    test("grades are stale when the member has not submitted the form within STALE_GRADE_DAYS", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.directory.addSheet("Processed Responses", [
+            ["Response ID", "Submitted", "Email", "Processed At", "Raw Chapter"],
+            ["old", new Date(Date.now() - 400 * 24 * 60 * 60 * 1000), "finn@example.com", new Date(), ""],
+            ["new", new Date(), "cara@example.com", new Date(), ""]
+        ]);
+
+        const result = project.run("scanDataQuality()");
+
+        assert.equal(result.byType.staleGrade, 1);
+        assert.match(cell(project, 3, 7).getNote(), /^Data quality: Last submitted the Membership Form on .*; the grade may be out of date$/);
+    });
+});
@@ -0,0 +1,124 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["Ben Brown", "", "Harriton High School", "ben@example.com", "215-555-0002", "Outreach", "Senior", ""],
+    ["Cara Chen", "", "Food4Pitt", "cara@example.com", "", "Outreach", "Junior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+/**
+ * Seeds Wix with contacts that have drifted from DIRECTORY:
+ * Amy matches, Ben's name and phone differ, Cara is missing, Dan is only in Wix and a parent is ignored
+ */
+function seedWix(project) {
+    const contact = (first, last, email, phone, labels) => project.wix.seedContact({
+        name: { first, last },
+        emails: { items: [{ tag: "MAIN", email }] },
+        phones: phone ? { items: [{ phone }] } : undefined,
+        labelKeys: { items: labels }
+    });
+    return {
+        amy: contact("Amy", "Adams", "Amy@Example.com", "+1 215 555 0001", ["custom.directory"]),
+        ben: contact("Benjamin", "Brown", "ben@example.com", "215-555-9999", ["custom.directory"]),
+        dan: contact("Dan", "Diaz", "dan@example.com", "2155550004", ["custom.directory", "custom.volunteer"]),
+        parent: contact("Amy Adams", "- Parent 1", "parent@example.com", "", ["custom.parent"])
+    };
+}
+
+function report(project) {
+    return project.directory.getSheetByName("Reconciliation").dump().slice(1).map(row => [...row]);
+}
+
+function choose(project, issue, field, fix) {
+    const sheet = project.directory.getSheetByName("Reconciliation");
+    const rows = report(project);
+    const index = rows.findIndex(row => row[2] === issue && row[6] === field);
+    sheet.getRange(index + 2, 1).setValue(fix);
+}
+
+describe("ReconcileHandler", () => {
+    test("reconcile reports missing contacts, missing members and field mismatches", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const wix = seedWix(project);
+
+        project.run("reconcileDirectoryWithWix()");
+
+        assert.deepEqual(report(project), [
+            ["", "Pending", "Field mismatch", "ben@example.com", 4, wix.ben.id, "Name", "Ben Brown", "Benjamin Brown"],
+            ["", "Pending", "Field mismatch", "ben@example.com", 4, wix.ben.id, "Phone", "215-555-0002", "215-555-9999"],
+            ["", "Pending", "Missing in Wix", "cara@example.com", 5, "", "", "Cara Chen", ""],
+            ["", "Pending", "Missing in directory", "dan@example.com", "", wix.dan.id, "", "", "Dan Diaz"]
+        ]);
+        assert.ok(project.console.lines().includes(
+            "Compared 3 member(s) with 4 Wix contact(s): 1 missing in Wix, 1 missing in the directory, 2 field mismatch(es)"));
+    });
+
+    test("fixes can update Wix from the directory", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const wix = seedWix(project);
+        project.run("reconcileDirectoryWithWix()");
+        choose(project, "Field mismatch", "Name", "Update Wix");
+        choose(project, "Missing in Wix", "", "Update Wix");
+        choose(project, "Missing in directory", "", "Update Wix");
+
+        project.run("applyReconciliationFixes()");
+
+        assert.deepEqual({ ...wix.ben.info.name }, { first: "Ben", last: "Brown" });
+        assert.ok(project.wix.findByEmail("cara@example.com"));
+        assert.deepEqual([...wix.dan.info.labelKeys.items], ["custom.volunteer"]);
+        assert.deepEqual(report(project).map(row => row[1]), ["Updated Wix", "Pending", "Created contact", "Removed Directory label"]);
+    });
+
+    test("a member missing from Wix reports that the sync was queued when Wix is unavailable", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        seedWix(project);
+        project.run("reconcileDirectoryWithWix()");
+        choose(project, "Missing in Wix", "", "Update Wix");
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 503, times: 100 });
+
+        project.run("applyReconciliationFixes()");
+
+        assert.equal(report(project)[2][1], "Queued sync to retry");
+        assert.equal(project.wix.findByEmail("cara@example.com"), null);
+        assert.equal(project.directory.getSheetByName("Wix Outbox").dump()[1][1], "syncMember");
+    });
+
+    test("fixes can update the directory from Wix", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        seedWix(project);
+        project.run("reconcileDirectoryWithWix()");
+        choose(project, "Field mismatch", "Phone", "Update Directory");
+        choose(project, "Missing in Wix", "", "Update Directory");
+        choose(project, "Missing in directory", "", "Update Directory");
+
+        project.run("applyReconciliationFixes()");
+
+        const rows = project.memberSheet.dump();
+        assert.deepEqual(rows.map(row => row[0]), ["Name", "Outreach", "Amy Adams", "Ben Brown", "Member", "Dan Diaz"]);
+        assert.equal(rows[3][4], "215-555-9999");
+        assert.equal(rows[5][3], "dan@example.com");
+        assert.equal(rows[5][4], "215-555-0004");
+        assert.deepEqual(report(project).map(row => row[1]), ["Pending", "Updated directory", "Moved to Alumni", "Added to directory"]);
+        const alumni = project.directory.getSheetByName("Alumni").dump();
+        assert.deepEqual(alumni[1].slice(0, 4), ["Cara Chen", "", "Food4Pitt", "cara@example.com"]);
+        assert.equal(alumni[1][9], "Left the organization");
+    });
+
+    test("fixes for rows that moved since the report are skipped", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        seedWix(project);
+        project.run("reconcileDirectoryWithWix()");
+        choose(project, "Missing in Wix", "", "Update Directory");
+        project.memberSheet.insertRowBefore(3);
+
+        project.run("applyReconciliationFixes()");
+
+        assert.equal(report(project)[2][1], "Skipped: directory changed, re-run the reconciliation");
+        assert.ok(project.memberSheet.dump().some(row => row[0] === "Cara Chen"));
+    });
+});
@@ -0,0 +1,79 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+function submitMembers(project, count, first) {
+    for (let i = first || 0; i < (first || 0) + count; i++)
+        project.form.submit(formAnswers({ "Full Name": `Member ${i}`, "Email": `member${i}@example.com`, "Phone Number": `215-555-02${String(i).padStart(2, "0")}`, "Parent Emails": "" }));
+}
+
+function memberNames(project) {
+    return project.memberSheet.dump().map(row => row[0]).filter(name => name.startsWith("Member "));
+}
+
+describe("ResponseLedger", () => {
+    test("addAllFormResponses only processes responses missing from the ledger", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        submitMembers(project, 2);
+        project.run("addAllFormResponses()");
+
+        submitMembers(project, 3, 2);
+        project.run("addAllFormResponses()");
+
+        assert.equal(memberNames(project).length, 5);
+        const ledger = project.directory.getSheetByName("Processed Responses");
+        assert.ok(ledger.isSheetHidden());
+        assert.deepEqual(ledger.dump().slice(1).map(row => row[0]),
+            ["response-1", "response-2", "response-3", "response-4", "response-5"]);
+        assert.equal(ledger.dump()[3][2], "member2@example.com");
+    });
+
+    test("addAllFormResponses checkpoints and schedules a continuation near the time limit", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        submitMembers(project, 3);
+        project.run("let clock = 0; Date.now = () => (clock += 1000);");
+        project.globals.ResponseLedger.MAX_RUNTIME_MS = 2500;
+
+        project.run("addAllFormResponses()");
+
+        assert.equal(memberNames(project).length, 1);
+        const triggers = project.services.ScriptApp.getProjectTriggers();
+        assert.equal(triggers.length, 1);
+        assert.equal(triggers[0].getHandlerFunction(), "addAllFormResponses");
+        assert.equal(triggers[0].options.after, 60000);
+
+        project.globals.ResponseLedger.MAX_RUNTIME_MS = 60000;
+        project.run("addAllFormResponses()");
+
+        assert.equal(memberNames(project).length, 3);
+        assert.equal(project.services.ScriptApp.getProjectTriggers().length, 0);
+        assert.equal(project.services.PropertiesService.getScriptProperties().getProperty("CONTINUATION_TRIGGER_ID"), null);
+    });
+
+    test("handleFormSubmission records the response and skips it when already processed", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.context.event = { response: project.form.submit(formAnswers()) };
+
+        project.run("handleFormSubmission(event)");
+        project.run("addAllFormResponses()");
+        project.run("handleFormSubmission(event)");
+
+        assert.equal(project.memberSheet.dump().filter(row => row[0] === "Jane Doe").length, 1);
+        assert.ok(project.console.lines().includes("Response response-1 was already processed"));
+    });
+
+    test("a dry run does not write to the ledger", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        submitMembers(project, 1);
+
+        project.run("previewAllFormResponses()");
+
+        assert.equal(project.directory.getSheetByName("Processed Responses"), null);
+    });
+});
@@ -0,0 +1,108 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+function submitAndHandle(project, answers) {
+    project.context.event = { response: project.form.submit(formAnswers(answers)) };
+    project.run("handleFormSubmission(event)");
+    return project.directory.getSheetByName("Needs Review");
+}
+
+describe("ReviewQueue", () => {
+    test("fromFormResponse flags low-confidence chapters, bad phones, invalid emails and Unsure teams", () => {
+        const project = createTestProject();
+        const { Entry } = project.globals;
+
+        const clean = Entry.fromFormResponse(project.form.submit(formAnswers()));
+        assert.equal(clean.issues.length, 0);
+
+        const entry = Entry.fromFormResponse(project.form.submit(formAnswers({
+            "School / Chapter": "Some Academy", "Phone Number": "555-0100", "Email": "jane at example", "Team": "Unsure"
+        })));
+        assert.deepEqual([...entry.issues.map(issue => issue.field)], ["chapter", "phone", "email", "team"]);
+        assert.equal(entry.issues[1].raw, "555-0100");
+        assert.equal(entry.issues[3].reason, "Team marked Unsure");
+    });
+
+    test("the chapter threshold is configurable", () => {
+        const project = createTestProject();
+        const { Entry, Config } = project.globals;
+        Config.values.CHAPTER_MATCH_THRESHOLD = 0.9;
+
+        const entry = Entry.fromFormResponse(project.form.submit(formAnswers()));
+
+        assert.equal(entry.issues[0].reason, "Low-confidence chapter match");
+        assert.equal(entry.issues[0].proposed, "The Haverford School");
+    });
+
+    test("submissions with issues go to the Needs Review sheet instead of the directory and Wix", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+
+        const sheet = submitAndHandle(project, { "Phone Number": "555-0100", "School / Chapter": "zzzz" });
+
+        assert.equal(project.memberSheet.dump().length, DIRECTORY.length + 1);
+        assert.equal(project.wix.contacts.length, 0);
+        const row = sheet.dump()[1];
+        assert.equal(row[0], "Pending");
+        assert.equal(row[2], 'No matching chapter: "zzzz" -> "" (score 0.00)\nPhone number is not 10 digits: "555-0100" -> ""');
+        assert.deepEqual(row.slice(3, 10), ["Jane Doe", "jane.doe@example.com", "", "", "Outreach", "Junior", "parent.one@example.com, parent.two@example.com"]);
+        assert.deepEqual(row.slice(10), ["jane doe", "Jane.Doe@Example.com ", "555-0100", "zzzz", "Outreach", 0, ""]);
+        assert.equal(sheet.getRange(2, 7).getDataValidation(), project.globals.SheetData.chapterDropdown);
+        assert.equal(project.directory.getSheetByName("Processed Responses").getLastRow(), 2);
+    });
+
+    test("processApprovedReviews pushes corrected entries through the directory and Wix", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        const sheet = submitAndHandle(project, { "School / Chapter": "zzzz", "Team": "Unsure" });
+        submitAndHandle(project, { "Full Name": "Sam Lee", "Email": "sam@example.com", "Team": "Unsure" });
+        sheet.getRange(2, 7).setValue("Harriton High School");
+        sheet.getRange(2, 8).setValue("Outreach");
+        sheet.getRange(2, 1).setValue("Approved");
+
+        project.run("processApprovedReviews()");
+
+        const rows = project.memberSheet.dump();
+        assert.deepEqual(rows[3].slice(0, 7), ["Jane Doe", "", "Harriton High School", "jane.doe@example.com", "215-555-0100", "Outreach", "Junior"]);
+        assert.ok(project.wix.findByEmail("jane.doe@example.com"));
+        assert.equal(project.wix.findByEmail("sam@example.com"), null);
+        assert.deepEqual(sheet.dump().slice(1).map(row => row[0]), ["Processed", "Pending"]);
+    });
+
+    test("an approved entry keeps the member's answer to the consent question", () => {
+        const project = createTestProject({
+            members: DIRECTORY,
+            config: CONFIG.concat([["FORM_CONSENT_QUESTION", "Newsletter"]]),
+            initialize: false
+        });
+        project.form.addItem("Newsletter");
+        const sheet = submitAndHandle(project, { "Team": "Unsure", "Newsletter": "No" });
+        submitAndHandle(project, {
+            "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Unsure", "Newsletter": "Yes", "Parent Emails": ""
+        });
+        assert.deepEqual(sheet.dump().slice(1).map(row => row[16]), ["No", "Yes"]);
+        [2, 3].forEach(row => sheet.getRange(row, 8).setValue("Outreach"));
+        [2, 3].forEach(row => sheet.getRange(row, 1).setValue("Approved"));
+
+        project.run("processApprovedReviews()");
+
+        assert.ok(project.wix.findByEmail("jane.doe@example.com"));
+        assert.notEqual(project.wix.subscriptions["jane.doe@example.com"]?.subscriptionStatus, "SUBSCRIBED");
+        assert.equal(project.wix.subscriptions["sam@example.com"].subscriptionStatus, "SUBSCRIBED");
+    });
+
+    test("onOpen adds the Directory menu", () => {
+        const project = createTestProject();
+        project.run("onOpen()");
+
+        const menu = project.services.SpreadsheetApp.getUi().menus[0];
+        assert.equal(menu.name, "Directory");
+        assert.ok(menu.items.some(item => item.functionName === "processApprovedReviews"));
+    });
+});
@@ -0,0 +1,151 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Chapter Head", "", "", "", "", "", "", ""],
+    ["Hana Park", "", "The Haverford School", "Hana@Example.com", "215-555-0001", "Chapter Head", "Senior", ""],
+    ["Ivy Chen", "", "Harriton High School", "ivy@example.com", "215-555-0002", "Chapter Head", "Junior", "mom@example.com"],
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0003", "Outreach", "Sophomore", "dad@example.com, mom@example.com"],
+    ["Member", "", "", "", "", "", "", ""],
+    ["Ben Brown", "", "The Haverford School", "ben@example.com", "215-555-0004", "Member", "Freshman", ""]
+];
+
+function rosterFor(project, chapter) {
+    const row = project.directory.getSheetByName("Chapter Rosters").dump().find(row => row[0] === chapter);
+    const spreadsheet = project.services.SpreadsheetApp.openById(row[1]);
+    return { row, spreadsheet, file: project.services.DriveApp.getFileById(row[1]) };
+}
+
+describe("RosterHandler", () => {
+    test("exportChapterRosters creates a roster for each chapter with members", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+
+        const result = project.run("exportChapterRosters()");
+
+        assert.deepEqual({ ...result }, { refreshed: 2, unchanged: 0, removed: 0, failed: 0 });
+        const { row, spreadsheet } = rosterFor(project, "Harriton High School");
+        assert.equal(spreadsheet.getName(), "Food4Philly Directory - Harriton High School Roster");
+        assert.equal(row[2], spreadsheet.getUrl());
+        assert.deepEqual(spreadsheet.getSheetByName("Roster").dump(), [
+            ["Name", "Title", "Email", "Team", "Grade"],
+            ["Ivy Chen", "", "ivy@example.com", "Chapter Head", "Junior"],
+            ["Amy Adams", "", "amy@example.com", "Outreach", "Sophomore"]
+        ]);
+        assert.equal(project.directory.getSheetByName("Chapter Rosters").getLastRow(), 3, "chapters without members get no roster");
+    });
+
+    test("rosters are shared with the chapter's Chapter Heads", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+
+        project.run("exportChapterRosters()");
+
+        assert.deepEqual([...rosterFor(project, "The Haverford School").file.viewers], ["hana@example.com"]);
+        assert.deepEqual([...rosterFor(project, "Harriton High School").file.viewers], ["ivy@example.com"]);
+        assert.equal(rosterFor(project, "The Haverford School").row[3], "hana@example.com");
+    });
+
+    test("rosters that have not changed are not rewritten", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        const roster = rosterFor(project, "Harriton High School").spreadsheet.getSheetByName("Roster");
+        roster.getRange(2, 1).setValue("edited by hand");
+
+        const result = project.run("exportChapterRosters()");
+
+        assert.deepEqual({ ...result }, { refreshed: 0, unchanged: 2, removed: 0, failed: 0 });
+        assert.equal(roster.getRange(2, 1).getValue(), "edited by hand");
+        assert.equal(project.services.SpreadsheetApp.created, 2);
+    });
+
+    test("the Chapter Rosters sheet is not rewritten when every roster is current", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        project.directory.writes.length = 0;
+
+        project.run("exportChapterRosters()");
+
+        assert.deepEqual(project.directory.writes.filter(write => write.sheet === "Chapter Rosters"), []);
+    });
+
+    test("phones and parent emails are only copied when ROSTER_CONTACT_DETAILS is Yes", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        project.directory.getSheetByName("Config").appendRow(["ROSTER_CONTACT_DETAILS", "Yes"]);
+
+        project.run("exportChapterRosters()");
+
+        assert.deepEqual(rosterFor(project, "Harriton High School").spreadsheet.getSheetByName("Roster").dump(), [
+            ["Name", "Title", "Email", "Phone", "Team", "Grade", "Parent Emails"],
+            ["Ivy Chen", "", "ivy@example.com", "215-555-0002", "Chapter Head", "Junior", "mom@example.com"],
+            ["Amy Adams", "", "amy@example.com", "215-555-0003", "Outreach", "Sophomore", "dad@example.com, mom@example.com"]
+        ]);
+    });
+
+    test("the roster of a chapter removed from the Chapters sheet is emptied, unshared and dropped", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        const { spreadsheet, file } = rosterFor(project, "Harriton High School");
+        const chapters = project.directory.getSheetByName("Chapters");
+        chapters.deleteRows(chapters.dump().findIndex(row => row[0] === "Harriton High School") + 1, 1);
+
+        const result = project.run("exportChapterRosters()");
+
+        assert.deepEqual({ ...result }, { refreshed: 0, unchanged: 1, removed: 1, failed: 0 });
+        assert.deepEqual(spreadsheet.getSheetByName("Roster").dump(), [["Name", "Title", "Email", "Team", "Grade"]]);
+        assert.deepEqual([...file.viewers], []);
+        assert.deepEqual(project.directory.getSheetByName("Chapter Rosters").dump().slice(1).map(row => row[0]), ["The Haverford School"]);
+    });
+
+    test("a demoted Chapter Head loses access while viewers added by hand keep it", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        const { file } = rosterFor(project, "Harriton High School");
+        file.addViewers(["advisor@example.com"]);
+        project.memberSheet.getRange(4, 6).setValue("Outreach");
+
+        project.run("exportChapterRosters()");
+
+        assert.deepEqual([...file.viewers], ["advisor@example.com"]);
+        assert.equal(rosterFor(project, "Harriton High School").row[3], "");
+    });
+
+    test("a chapter whose members all left has its roster emptied", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        project.memberSheet.deleteRows(6, 1);
+        project.memberSheet.deleteRows(4, 1);
+
+        project.run("exportChapterRosters()");
+
+        const { spreadsheet, file } = rosterFor(project, "Harriton High School");
+        assert.deepEqual(spreadsheet.getSheetByName("Roster").dump(), [["Name", "Title", "Email", "Team", "Grade"]]);
+        assert.deepEqual([...file.viewers], []);
+    });
+
+    test("new rosters are moved to the ROSTER_FOLDER_ID folder", () => {
+        const project = createTestProject({
+            members: DIRECTORY,
+            config: CONFIG.concat([["ROSTER_FOLDER_ID", "folder-1"]]),
+            initialize: false
+        });
+
+        project.run("exportChapterRosters()");
+
+        assert.equal(rosterFor(project, "The Haverford School").file.folder, "folder-1");
+    });
+
+    test("handleFormSubmission refreshes the new member's chapter roster", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.run("exportChapterRosters()");
+        project.context.event = { response: project.form.submit(formAnswers()) };
+
+        project.run("handleFormSubmission(event)");
+
+        const names = rosterFor(project, "The Haverford School").spreadsheet.getSheetByName("Roster").dump().map(row => row[0]);
+        assert.ok(names.includes("Jane Doe"));
+        assert.equal(project.services.SpreadsheetApp.created, 2);
+    });
+});
@@ -0,0 +1,82 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+const MEMBERS = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+const SAM = { "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Member", "Parent Emails": "" };
+
+describe("RunLog", () => {
+    test("handleFormSubmission logs what it did to the sheet and Wix", () => {
+        const project = createTestProject({ members: MEMBERS, initialize: false });
+        project.context.event = { response: project.form.submit(formAnswers()) };
+
+        project.run("handleFormSubmission(event)");
+
+        const log = project.directory.getSheetByName("Run Log").dump();
+        assert.deepEqual(log[0], ["Timestamp", "Run", "Entry", "Sheet Action", "Wix Action", "Error"]);
+        assert.deepEqual(log[1].slice(1), ["Form submission", "Jane Doe", "Added row 3", "Created contact", ""]);
+        assert.equal(project.services.MailApp.sent.length, 0);
+    });
+
+    test("a batch import with failures emails a digest to the officers", () => {
+        const project = createTestProject({
+            members: MEMBERS,
+            config: CONFIG.concat([["OFFICER_EMAILS", "president@example.com, secretary@example.com"]]),
+            initialize: false
+        });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers(SAM));
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 400 });
+
+        project.run("addAllFormResponses()");
+
+        const log = project.directory.getSheetByName("Run Log").dump().slice(1);
+        assert.deepEqual(log.map(row => [row[1], row[2], row[5] !== ""]), [
+            ["Batch import", "Jane Doe", true],
+            ["Batch import", "Sam Lee", false]
+        ]);
+        const mail = project.services.MailApp.sent;
+        assert.equal(mail.length, 1);
+        assert.equal(mail[0].recipient, "president@example.com,secretary@example.com");
+        assert.equal(mail[0].subject, "Food4Philly Directory: 1 failure(s) in Batch import");
+        assert.match(mail[0].body, /- Jane Doe: /);
+        assert.match(mail[0].body, /Run Log/);
+    });
+
+    test("failures are only logged when no officer emails are configured", () => {
+        const project = createTestProject({ members: MEMBERS, initialize: false });
+        project.form.submit(formAnswers());
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 400 });
+
+        project.run("addAllFormResponses()");
+
+        assert.equal(project.services.MailApp.sent.length, 0);
+        assert.ok(project.console.lines("warn").includes("1 failure(s) in Batch import, but no OFFICER_EMAILS are configured to notify"));
+    });
+
+    test("a digest that cannot be sent is logged instead of thrown", () => {
+        const project = createTestProject({ config: CONFIG.concat([["OFFICER_EMAILS", "president@example.com"]]) });
+        project.services.MailApp.failure = "Service invoked too many times for one day: email";
+
+        project.run(`RunLog.begin("Subscription sweep"); RunLog.record("Sam Lee", "", "Subscribe", new Error("Bad request"))`);
+        const rows = project.run("RunLog.end()");
+
+        assert.equal(rows.length, 1);
+        assert.ok(project.console.lines("error").includes("Failed to email the failure digest: Service invoked too many times for one day: email"));
+    });
+
+    test("a dry run writes nothing to the Run Log", () => {
+        const project = createTestProject({ members: MEMBERS, initialize: false });
+        project.form.submit(formAnswers());
+
+        project.run("previewAllFormResponses()");
+
+        assert.equal(project.directory.getSheetByName("Run Log"), null);
+        assert.equal(project.services.MailApp.sent.length, 0);
+    });
+});
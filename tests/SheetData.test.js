@@ -0,0 +1,87 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+const REORDERED_HEADER = ["Name", "Pronouns", "Email", "Chapter", "Team", "Grade", "Graduation Year", "Phone", "Parent Emails", "Title"];
+
+const REORDERED_DIRECTORY = [
+    ["Outreach", "", "", "", "", "", "", "", "", ""],
+    ["Amy Adams", "she/her", "amy@example.com", "Harriton High School", "Outreach", "Junior", 2026, "215-555-0001", "", ""],
+    ["Member", "", "", "", "", "", "", "", "", ""]
+];
+
+describe("SheetData", () => {
+    test("initialize discovers member columns from the header row", () => {
+        const project = createTestProject({ membersHeader: REORDERED_HEADER, members: REORDERED_DIRECTORY });
+        const { SheetData } = project.globals;
+
+        assert.deepEqual({ ...SheetData.memberColumns }, {
+            name: 1, email: 3, chapter: 4, team: 5, grade: 6, phone: 8, parentEmails: 9, title: 10
+        });
+        assert.equal(SheetData.memberColumnCount, 10);
+    });
+
+    test("entries read and write the right columns when columns are inserted and reordered", () => {
+        const project = createTestProject({ membersHeader: REORDERED_HEADER, members: REORDERED_DIRECTORY });
+        const { Entry, SheetHandler, SheetData } = project.globals;
+
+        const existing = Entry.fromDirectory(3);
+        assert.equal(existing.email, "amy@example.com");
+        assert.equal(existing.phone, "215-555-0001");
+
+        SheetHandler.processFormResponse(Entry.fromFormResponse(project.form.submit(formAnswers())));
+        SheetHandler.processFormResponse(Entry.fromFormResponse(project.form.submit(formAnswers({
+            "Full Name": "Amy Adams", "Email": "amy@example.com", "Phone Number": "215-555-0001",
+            "School / Chapter": "Harriton", "Grade": "Junior", "Parent Emails": "mom@example.com"
+        }))));
+
+        const rows = project.memberSheet.dump();
+        assert.deepEqual(rows[2], ["Amy Adams", "she/her", "amy@example.com", "Harriton High School", "Outreach", "Junior", 2026, "215-555-0001", "mom@example.com", ""]);
+
+        const janeRow = rows.findIndex(row => row[0] === "Jane Doe") + 1;
+        assert.equal(janeRow, 4);
+        const range = project.memberSheet.getRange(janeRow, 1, 1, 10);
+        assert.deepEqual(range.getValues()[0], [
+            "Jane Doe", "", "jane.doe@example.com", "The Haverford School", "Outreach", "Junior", "",
+            "215-555-0100", "parent.one@example.com, parent.two@example.com", ""
+        ]);
+        const backgrounds = range.getBackgrounds()[0];
+        assert.equal(backgrounds[1], "#ffffff");
+        assert.equal(backgrounds[6], "#ffffff");
+        assert.equal(backgrounds[9], SheetData.MISSING_DATA_COLOR);
+        const validations = range.getDataValidations()[0];
+        assert.equal(validations[3], SheetData.chapterDropdown);
+        assert.equal(validations[4], SheetData.teamDropdown);
+        assert.equal(validations[5], SheetData.gradeDropdown);
+        assert.equal(validations[0], null);
+    });
+
+    test("headers are matched ignoring case and can be renamed through Config", () => {
+        const header = ["name", "Title", "School", "EMAIL", "Phone", "Team", "Grade", "Parent Emails"];
+        const project = createTestProject({
+            membersHeader: header,
+            config: CONFIG.concat([["MEMBERS_CHAPTER_HEADER", "School"]])
+        });
+
+        assert.equal(project.globals.SheetData.memberColumns.chapter, 3);
+        assert.equal(project.globals.SheetData.memberColumns.email, 4);
+    });
+
+    test("optional columns may be missing", () => {
+        const project = createTestProject({ membersHeader: ["Name", "Chapter", "Email", "Team", "Grade"] });
+        const { Entry, SheetData } = project.globals;
+
+        const entry = Entry.fromFormResponse(project.form.submit(formAnswers()));
+
+        assert.deepEqual([...entry.data()], ["Jane Doe", "The Haverford School", "jane.doe@example.com", "Outreach", "Junior"]);
+        assert.equal(SheetData.memberColumns.phone, undefined);
+    });
+
+    test("initialize fails when a required column is missing", () => {
+        const project = createTestProject({ membersHeader: ["Name", "Title", "Email", "Phone", "Team"], initialize: false });
+
+        assert.throws(() => project.globals.SheetData.initialize(),
+            /Members sheet is missing required column\(s\): "Chapter" \(chapter\), "Grade" \(grade\)/);
+    });
+});
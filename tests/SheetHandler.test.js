@@ -0,0 +1,141 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const DIRECTORY = [
+    ["Executive", "", "", "", "", "", "", ""],
+    ["Finn Kelly", "", "The Haverford School", "finn@example.com", "215-555-0000", "Executive", "Senior", ""],
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["Ben Brown", "", "The Haverford School", "ben@example.com", "215-555-0002", "Outreach", "Senior", ""],
+    ["Cara Cole", "", "Harriton High School", "cara@example.com", "215-555-0003", "Outreach", "Senior", ""],
+    ["Member", "", "", "", "", "", "", ""]
+];
+
+function submit(project, answers) {
+    return project.globals.Entry.fromFormResponse(project.form.submit(formAnswers(answers)));
+}
+
+describe("SheetHandler", () => {
+    test("processFormResponse inserts a new member after their chapter within their team", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const entry = submit(project);
+
+        project.globals.SheetHandler.processFormResponse(entry);
+
+        const rows = project.memberSheet.dump();
+        assert.equal(rows.length, DIRECTORY.length + 2);
+        assert.equal(rows[6][0], "Jane Doe");
+        assert.equal(rows[5][0], "Ben Brown");
+        assert.ok(project.console.lines().includes("Added new entry for Jane Doe to the directory"));
+    });
+
+    test("processFormResponse falls back to the last row of the team when the chapter is new", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const entry = submit(project, { "School / Chapter": "Wissahickon HS" });
+
+        project.globals.SheetHandler.processFormResponse(entry);
+
+        assert.equal(project.memberSheet.dump()[7][0], "Jane Doe");
+    });
+
+    test("processFormResponse updates an identical existing entry in place", () => {
+        const existing = ["Jane Doe", "", "The Haverford School", "jane.doe@example.com", "215-555-0100", "Outreach", "Junior", ""];
+        const project = createTestProject({ members: DIRECTORY.concat([existing]) });
+        const entry = submit(project);
+
+        project.globals.SheetHandler.processFormResponse(entry);
+
+        const rows = project.memberSheet.dump();
+        assert.equal(rows.length, DIRECTORY.length + 2);
+        assert.equal(rows[8][7], "parent.one@example.com, parent.two@example.com");
+        assert.ok(project.console.lines().includes("Updated existing entry for Jane Doe in the directory (matched by email)"));
+    });
+
+    test("fillData keeps existing values, flags missing ones and applies dropdowns", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { SheetHandler, SheetData } = project.globals;
+
+        SheetHandler.fillData(["Finn Kelly", "", "The Haverford School", "", "215-555-9999", "Executive", "Senior", ""], 3);
+
+        const range = project.memberSheet.getRange(3, 1, 1, 8);
+        assert.deepEqual(range.getValues()[0], ["Finn Kelly", "", "The Haverford School", "finn@example.com", "215-555-9999", "Executive", "Senior", ""]);
+        assert.equal(range.getBackgrounds()[0][1], SheetData.MISSING_DATA_COLOR);
+        assert.equal(range.getBackgrounds()[0][3], "#ffffff");
+        assert.equal(range.getDataValidations()[0][2], SheetData.chapterDropdown);
+        assert.equal(range.getDataValidations()[0][5], SheetData.teamDropdown);
+        assert.equal(range.getDataValidations()[0][6], SheetData.gradeDropdown);
+    });
+
+    test("processFormResponse updates a member whose phone, grade and team changed", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const entry = submit(project, { "Full Name": "Amy Adams", "Email": "AMY@example.com", "School / Chapter": "Harriton", "Team": "Executive", "Grade": "Senior" });
+
+        project.globals.SheetHandler.processFormResponse(entry);
+
+        const rows = project.memberSheet.dump();
+        assert.equal(rows.length, DIRECTORY.length + 1);
+        assert.deepEqual(rows[4].slice(0, 7), ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0100", "Executive", "Senior"]);
+    });
+
+    test("processFormResponse adds and flags a member whose match is uncertain", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { SheetHandler, SheetData } = project.globals;
+        const entry = submit(project, { "Full Name": "Amy Adamson", "Email": "adamson@example.com", "School / Chapter": "Harriton" });
+
+        SheetHandler.processFormResponse(entry);
+
+        const rows = project.memberSheet.dump();
+        const row = rows.findIndex(values => values[0] === "Amy Adamson") + 1;
+        assert.equal(rows.length, DIRECTORY.length + 2);
+        const nameCell = project.memberSheet.getRange(row, 1);
+        assert.equal(nameCell.getBackground(), SheetData.REVIEW_COLOR);
+        assert.match(nameCell.getNote(), /^Possible duplicate of: Amy Adams <amy@example.com> \(name match, 82%\)$/);
+    });
+
+    test("findIndexOf matches by email, phone, then name within the chapter", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { SheetHandler } = project.globals;
+
+        assert.equal(SheetHandler.findIndexOf(submit(project, { "Full Name": "Someone", "Email": "cara@example.com" })), 7);
+        assert.equal(SheetHandler.findIndexOf(submit(project, { "Full Name": "Someone", "Phone Number": "2155550002" })), 6);
+        assert.equal(SheetHandler.findIndexOf(submit(project, { "Full Name": "finn kelly" })), 3);
+        assert.equal(SheetHandler.findIndexOf(submit(project, { "Full Name": "Finn Kelly", "School / Chapter": "Harriton" })), -1);
+    });
+
+    test("findAvailableRow falls back to the end of the directory when the team has no section", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const entry = submit(project, { "Team": "Chapter Head" });
+
+        assert.equal(project.globals.SheetHandler.findAvailableRow(entry), DIRECTORY.length + 2);
+    });
+
+    test("processFormResponse adds a member of a team with no section at the end of the directory", () => {
+        const project = createTestProject({ members: DIRECTORY });
+        const { SheetHandler, DirectoryIndex } = project.globals;
+
+        SheetHandler.processFormResponse(submit(project, { "Team": "Chapter Head" }));
+        SheetHandler.processFormResponse(submit(project, { "Full Name": "Sam Lee", "Email": "sam@example.com", "Phone Number": "215-555-0199", "Team": "Chapter Head" }));
+
+        const rows = project.memberSheet.dump();
+        assert.deepEqual(rows.slice(-2).map(row => row[0]), ["Jane Doe", "Sam Lee"]);
+        assert.equal(DirectoryIndex.getEntry(rows.length).name, "Sam Lee");
+        assert.ok(project.console.lines().some(line => line.includes("The Chapter Head team has no section in the directory")));
+
+        project.run("sortDirectory()");
+        const sorted = project.memberSheet.dump().map(row => row[0]);
+        assert.deepEqual(sorted.slice(sorted.indexOf("Chapter Head"), sorted.indexOf("Chapter Head") + 3), ["Chapter Head", "Jane Doe", "Sam Lee"]);
+    });
+
+    test("a batch import adds a member of a team with no section at the end of the directory", () => {
+        const project = createTestProject({ members: DIRECTORY, initialize: false });
+        project.form.submit(formAnswers({ "Team": "Chapter Head" }));
+
+        project.run("addAllFormResponses()");
+
+        const rows = project.memberSheet.dump();
+        assert.equal(rows[rows.length - 1][0], "Jane Doe");
+        assert.equal(rows[rows.length - 1][5], "Chapter Head");
+    });
+});
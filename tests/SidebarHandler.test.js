@@ -0,0 +1,59 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+describe("SidebarHandler", () => {
+    test("showSidebar opens the sidebar and every button maps to an action", () => {
+        const project = createTestProject();
+
+        project.run("showSidebar()");
+
+        const sidebar = project.services.SpreadsheetApp.getUi().sidebars[0];
+        assert.equal(sidebar.getTitle(), "Directory Tools");
+        const buttons = [...sidebar.getContent().matchAll(/data-action="(\w+)"/g)].map(match => match[1]);
+        assert.deepEqual(buttons.sort(), Object.keys(project.globals.SidebarHandler.ACTIONS).sort());
+    });
+
+    test("onOpen adds the sidebar and the bulk operations to the Directory menu", () => {
+        const project = createTestProject();
+        project.run("onOpen()");
+
+        const functions = project.services.SpreadsheetApp.getUi().menus[0].items.map(item => item.functionName);
+        ["showSidebar", "addAllFormResponses", "previewAllFormResponses", "subscribeAllContacts", "registerTriggers"]
+            .forEach(name => assert.ok(functions.includes(name), name));
+    });
+
+    test("runSidebarAction returns a summary and publishes the final progress", () => {
+        const project = createTestProject({ members: [["Outreach", "", "", "", "", "", "", ""]] });
+        project.form.submit(formAnswers());
+        project.form.submit(formAnswers({ "Full Name": "Sam Doe", "Email": "sam.doe@example.com" }));
+
+        const summary = project.run(`runSidebarAction("importResponses")`);
+
+        assert.equal(summary, "Imported 2 response(s)");
+        assert.deepEqual({ ...project.run("getSidebarProgress()") }, {
+            action: "Import new responses", status: "done", message: "", summary: "Imported 2 response(s)"
+        });
+    });
+
+    test("a failed action is reported to the sidebar and rethrown", () => {
+        const project = createTestProject();
+        project.run("graduateSeniors()");
+
+        assert.throws(() => project.run(`runSidebarAction("graduateSeniors")`), /already ran/);
+        const progress = project.run("getSidebarProgress()");
+        assert.equal(progress.status, "failed");
+        assert.match(progress.summary, /already ran/);
+        assert.throws(() => project.run(`runSidebarAction("deleteEverything")`), /Unknown sidebar action/);
+    });
+
+    test("progress is only published for actions started from the sidebar", () => {
+        const project = createTestProject({ members: [["Outreach", "", "", "", "", "", "", ""]] });
+        project.form.submit(formAnswers());
+
+        project.run("addAllFormResponses()");
+
+        assert.equal(project.run("getSidebarProgress()"), null);
+    });
+});
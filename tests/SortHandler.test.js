@@ -0,0 +1,124 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, MEMBERS_HEADER } = require("./harness/fixtures");
+
+const SHUFFLED = [
+    ["Outreach", "", "", "", "", "", "", ""],
+    ["ben brown", "", "The Haverford School", "ben@example.com", "215-555-0002", "Outreach", "Senior", ""],
+    ["Finn Kelly", "", "The Haverford School", "finn@example.com", "215-555-0000", "Executive", "Senior", ""],
+    ["Amy Adams", "", "Harriton High School", "amy@example.com", "215-555-0001", "Outreach", "Junior", ""],
+    ["", "", "", "", "", "", "", ""],
+    ["Abe Ash", "", "The Haverford School", "abe@example.com", "215-555-0003", "Outreach", "Junior", ""],
+    ["Executive", "", "", "", "", "", "", ""],
+    ["Sam Lee", "", "Food4Pitt", "sam@example.com", "215-555-0004", "", "Junior", ""],
+    ["Pat Poe", "", "Food4Pitt", "pat@example.com", "215-555-0005", "Advisor", "Senior", ""]
+];
+
+describe("SortHandler", () => {
+    test("sortDirectory orders members by team, chapter and name and adds missing team headers", () => {
+        const project = createTestProject({ members: SHUFFLED, initialize: false });
+
+        const result = project.run("sortDirectory()");
+
+        assert.deepEqual(project.memberSheet.dump().map(row => row[0]), [
+            "Name",
+            "Executive", "Finn Kelly",
+            "Chapter Head",
+            "Outreach", "Abe Ash", "ben brown", "Amy Adams",
+            "Member", "Sam Lee",
+            "Pat Poe"
+        ]);
+        assert.equal(result.members, 6);
+        assert.equal(result.headersAdded, 2);
+        assert.ok(project.console.lines("warn").includes("1 member(s) are on teams missing from the Teams sheet and were placed after the last section: Pat Poe (Advisor)"));
+    });
+
+    test("rows keep their backgrounds, dropdowns and notes when they move", () => {
+        const project = createTestProject({ members: SHUFFLED, initialize: false });
+        const sheet = project.memberSheet;
+        sheet.getRange(1 + 3, 1).setBackground("#fff2cc").setNote("Possible duplicate of: someone");
+        sheet.getRange(1 + 3, 3).setDataValidation("chapter dropdown");
+        sheet.getRange(1 + 1, 1, 1, 8).setBackground("#cfe2f3");
+        sheet.getRange(1 + 7, 1, 1, 8).setBackground("#cfe2f3");
+
+        project.run("sortDirectory()");
+
+        const rows = sheet.dump().map(row => row[0]);
+        const finn = rows.indexOf("Finn Kelly") + 1;
+        assert.equal(sheet.getRange(finn, 1).getBackground(), "#fff2cc");
+        assert.equal(sheet.getRange(finn, 1).getNote(), "Possible duplicate of: someone");
+        assert.equal(sheet.getRange(finn, 3).getDataValidation(), "chapter dropdown");
+        assert.equal(sheet.getRange(finn, 2).getBackground(), "#ffffff");
+
+        const executive = rows.indexOf("Executive") + 1;
+        assert.equal(sheet.getRange(executive, 1).getBackground(), "#cfe2f3");
+        const chapterHead = rows.indexOf("Chapter Head") + 1;
+        assert.equal(sheet.getRange(chapterHead, 1).getBackground(), "#cfe2f3");
+    });
+
+    test("formulas in columns the script does not manage move with their rows", () => {
+        const members = SHUFFLED.map(row => row.concat(""));
+        const project = createTestProject({ members, membersHeader: MEMBERS_HEADER.concat("Dues"), initialize: false });
+        const sheet = project.memberSheet;
+        sheet.getRange(1 + 3, 9).setFormula("=IF(RC[-5]=\"\",\"\",\"paid\")");
+
+        project.run("sortDirectory()");
+
+        const finn = sheet.dump().map(row => row[0]).indexOf("Finn Kelly") + 1;
+        assert.notEqual(finn, 1 + 3);
+        assert.equal(sheet.getRange(finn, 9).getFormulaR1C1(), "=IF(RC[-5]=\"\",\"\",\"paid\")");
+        assert.equal(sheet.getRange(1 + 3, 9).getFormulaR1C1(), "");
+    });
+
+    test("a repeated section header is moved to the end and highlighted for review", () => {
+        const members = SHUFFLED.concat([
+            ["Outreach", "", "", "", "", "", "", ""],
+            ["Cal Cole", "", "Harriton High School", "cal@example.com", "215-555-0006", "Outreach", "Junior", ""]
+        ]);
+        const project = createTestProject({ members, initialize: false });
+
+        project.run("sortDirectory()");
+
+        const rows = project.memberSheet.dump().map(row => row[0]);
+        assert.deepEqual(rows.slice(-2), ["Pat Poe", "Outreach"]);
+        assert.equal(rows.filter(name => name === "Outreach").length, 2);
+        assert.ok(rows.indexOf("Cal Cole") < rows.indexOf("Member"));
+        const duplicate = project.memberSheet.getRange(rows.length, 1);
+        assert.equal(duplicate.getBackground(), "#fff2cc");
+        assert.match(duplicate.getNote(), /^Duplicate Outreach section header, moved here from row 11/);
+        assert.ok(project.console.lines("warn").includes("Row 11 is a second Outreach section header; it was moved to the end of the directory and highlighted for review"));
+    });
+
+    test("after a re-sort, new members are placed in the repaired sections", () => {
+        const project = createTestProject({ members: SHUFFLED, initialize: false });
+        project.run("sortDirectory()");
+        project.form.submit(formAnswers({ "Team": "Chapter Head" }));
+
+        project.run("addAllFormResponses()");
+
+        const rows = project.memberSheet.dump().map(row => row[0]);
+        assert.equal(rows[rows.indexOf("Chapter Head") + 1], "Jane Doe");
+    });
+
+    test("sorting an ordered directory moves nothing", () => {
+        const project = createTestProject({ members: SHUFFLED, initialize: false });
+        project.run("sortDirectory()");
+        const sorted = project.memberSheet.dump();
+
+        const result = project.run("sortDirectory()");
+
+        assert.deepEqual(project.memberSheet.dump(), sorted);
+        assert.equal(result.moved, 0);
+        assert.equal(result.headersAdded, 0);
+    });
+
+    test("sortDirectory does not touch the directory while another run holds the lock", () => {
+        const project = createTestProject({ members: SHUFFLED, initialize: false });
+        const before = project.memberSheet.dump();
+        project.services.LockService.busy = true;
+
+        assert.throws(() => project.run("sortDirectory()"), /Another run is updating the directory/);
+        assert.deepEqual(project.memberSheet.dump(), before);
+    });
+});
@@ -0,0 +1,196 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers, CONFIG } = require("./harness/fixtures");
+
+const STUDENT_IDS = "custom.student-contact-ids";
+const PARENT_IDS = "custom.parent-contact-ids";
+
+/**
+ * Seeds a parent contact linked to the given students, and links each student back to it
+ */
+function linkedParent(project, email, ...students) {
+    const parent = project.wix.seedContact({
+        name: { first: "Parent", last: "of Someone" },
+        emails: { items: [{ email }] },
+        labelKeys: { items: ["custom.parent"] },
+        extendedFields: { items: { [STUDENT_IDS]: students.map(student => student.id).join(",") } }
+    });
+    students.forEach(student => {
+        student.info.extendedFields = { items: { [PARENT_IDS]: parent.id } };
+    });
+    return parent;
+}
+
+function submit(project, answers) {
+    return project.globals.Entry.fromFormResponse(project.form.submit(formAnswers(answers)));
+}
+
+describe("WixHandler", () => {
+    test("processFormResponse creates and subscribes the member and each parent", () => {
+        const project = createTestProject();
+        const entry = submit(project);
+
+        project.globals.WixHandler.processFormResponse(entry);
+
+        const member = project.wix.findByEmail("jane.doe@example.com");
+        assert.deepEqual(member.info.labelKeys.items, [
+            "custom.directory", "custom.chapter-the-haverford-school", "custom.team-outreach", "custom.grade-junior"
+        ]);
+        assert.deepEqual(project.wix.labels.map(label => label.displayName), ["Chapter: The Haverford School", "Team: Outreach", "Grade: Junior"]);
+        const parentOne = project.wix.findByEmail("parent.one@example.com");
+        const parentTwo = project.wix.findByEmail("parent.two@example.com");
+        assert.deepEqual({ ...parentOne.info.name }, { first: "Parent", last: "of Jane Doe" });
+        assert.deepEqual([...parentOne.info.labelKeys.items], ["custom.parent"]);
+        assert.equal(parentOne.info.extendedFields.items[STUDENT_IDS], member.id);
+        assert.equal(parentTwo.info.extendedFields.items[STUDENT_IDS], member.id);
+        assert.equal(member.info.extendedFields.items[PARENT_IDS], `${parentOne.id},${parentTwo.id}`);
+        assert.deepEqual(Object.keys(project.wix.subscriptions).sort(), [
+            "jane.doe@example.com", "parent.one@example.com", "parent.two@example.com"
+        ]);
+        assert.ok(project.console.lines().includes("Created new contact for Jane Doe in Wix CMS"));
+    });
+
+    test("a member with no email and no contact is skipped instead of failing", () => {
+        const project = createTestProject();
+        const entry = submit(project, { "Email": "", "Phone Number": "215-555-0177" });
+
+        const result = project.globals.WixHandler.processFormResponse(entry);
+
+        assert.equal(result, "Skipped contact: no email");
+        assert.equal(project.wix.requestsTo("post", "/contacts/v4/contacts").length, 0);
+        assert.ok(project.console.lines("warn").includes("Jane Doe has no email, so no Wix contact was created"));
+    });
+
+    test("a changed parent email updates the linked parent contact instead of creating a new one", () => {
+        const project = createTestProject();
+        const member = project.wix.seedContact({
+            name: { first: "Jane", last: "Doe" },
+            emails: { items: [{ email: "jane.doe@example.com" }] }
+        });
+        const parent = linkedParent(project, "old.parent@example.com", member);
+
+        project.globals.WixHandler.processFormResponse(submit(project));
+
+        assert.equal(member.revision, 2);
+        assert.equal(member.info.phones.items[0].phone, "215-555-0100");
+        assert.equal(parent.info.emails.items[0].email, "parent.one@example.com");
+        assert.equal(parent.info.extendedFields.items[STUDENT_IDS], member.id);
+        const parentTwo = project.wix.findByEmail("parent.two@example.com");
+        assert.equal(member.info.extendedFields.items[PARENT_IDS], `${parent.id},${parentTwo.id}`);
+        assert.equal(project.wix.contacts.length, 3);
+        assert.ok(project.console.lines().includes("Changed parent email of Jane Doe from old.parent@example.com to parent.one@example.com"));
+        assert.ok(project.console.lines().includes("Updated existing contact for Jane Doe in Wix CMS"));
+    });
+
+    test("updateContacts leaves a linked parent alone when the email is unchanged", () => {
+        const project = createTestProject();
+        const member = project.wix.seedContact({ name: { first: "Jane", last: "Doe" }, emails: { items: [{ email: "jane.doe@example.com" }] } });
+        const parent = linkedParent(project, "parent.one@example.com", member);
+
+        project.globals.WixHandler.updateContacts(submit(project, { "Parent Emails": "parent.one@example.com" }), member);
+
+        assert.equal(parent.revision, 1);
+    });
+
+    test("a parent shared by siblings keeps one contact linked to both", () => {
+        const project = createTestProject();
+        const sibling = project.wix.seedContact({ name: { first: "Sam", last: "Doe" }, emails: { items: [{ email: "sam.doe@example.com" }] } });
+        const parent = linkedParent(project, "parent.one@example.com", sibling);
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Parent Emails": "parent.one@example.com" }));
+
+        const member = project.wix.findByEmail("jane.doe@example.com");
+        assert.equal(project.wix.contacts.length, 3);
+        assert.equal(parent.info.extendedFields.items[STUDENT_IDS], `${sibling.id},${member.id}`);
+        assert.equal(member.info.extendedFields.items[PARENT_IDS], parent.id);
+    });
+
+    test("a parent removed from the form is unlinked but kept when it has other children", () => {
+        const project = createTestProject();
+        const sibling = project.wix.seedContact({ name: { first: "Sam", last: "Doe" }, emails: { items: [{ email: "sam.doe@example.com" }] } });
+        const member = project.wix.seedContact({ name: { first: "Jane", last: "Doe" }, emails: { items: [{ email: "jane.doe@example.com" }] } });
+        const parent = linkedParent(project, "shared.parent@example.com", sibling, member);
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Parent Emails": "parent.one@example.com" }));
+
+        assert.equal(parent.info.emails.items[0].email, "shared.parent@example.com");
+        assert.equal(parent.info.extendedFields.items[STUDENT_IDS], sibling.id);
+        const parentOne = project.wix.findByEmail("parent.one@example.com");
+        assert.equal(member.info.extendedFields.items[PARENT_IDS], parentOne.id);
+    });
+
+    test("updates replace stale chapter and team labels and keep labels added in Wix", () => {
+        const project = createTestProject();
+        const oldChapter = project.wix.seedLabel("Chapter: Food4Pitt");
+        const oldTeam = project.wix.seedLabel("Team: Member");
+        const oldTitle = project.wix.seedLabel("Title: Member");
+        const member = project.wix.seedContact({
+            name: { first: "Jane", last: "Doe" },
+            emails: { items: [{ email: "jane.doe@example.com" }] },
+            labelKeys: { items: ["custom.directory", oldChapter.key, oldTeam.key, oldTitle.key, "custom.volunteer"] }
+        });
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Team": "Chapter Head", "Parent Emails": "" }));
+
+        assert.deepEqual(member.info.labelKeys.items, [
+            "custom.volunteer", "custom.directory", "custom.chapter-the-haverford-school",
+            "custom.team-chapter-head", "custom.grade-junior", "custom.title-chapter-head"
+        ]);
+        assert.equal(project.wix.requestsTo("get", "/contacts/v4/labels").length, 1);
+    });
+
+    test("members and parents who unsubscribed are not subscribed again", () => {
+        const project = createTestProject();
+        project.wix.seedSubscription("jane.doe@example.com", "UNSUBSCRIBED");
+        project.wix.seedSubscription("parent.one@example.com", "NOT_SET", "SPAM_COMPLAINT");
+
+        project.globals.WixHandler.processFormResponse(submit(project));
+
+        assert.equal(project.wix.subscriptions["jane.doe@example.com"].subscriptionStatus, "UNSUBSCRIBED");
+        assert.equal(project.wix.subscriptions["parent.one@example.com"].subscriptionStatus, "NOT_SET");
+        assert.equal(project.wix.subscriptions["parent.two@example.com"].subscriptionStatus, "SUBSCRIBED");
+        const report = project.directory.getSheetByName("Skipped Subscriptions").dump();
+        assert.deepEqual(report.slice(1).map(row => row.slice(0, 3)), [
+            ["jane.doe@example.com", "Jane Doe", "Unsubscribed from the newsletter"],
+            ["parent.one@example.com", "parent.one@example.com", "Reported the newsletter as spam"]
+        ]);
+    });
+
+    test("the consent question is honored over the current subscription", () => {
+        const project = createTestProject({ config: CONFIG.concat([["FORM_CONSENT_QUESTION", "Newsletter"]]), initialize: false });
+        project.form.addItem("Newsletter");
+        project.globals.SheetData.initialize();
+        project.wix.seedSubscription("jane.doe@example.com", "SUBSCRIBED");
+        project.wix.seedSubscription("sam.doe@example.com", "UNSUBSCRIBED");
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Newsletter": "No thanks", "Parent Emails": "" }));
+        project.globals.WixHandler.processFormResponse(submit(project, {
+            "Full Name": "Sam Doe", "Email": "sam.doe@example.com", "Newsletter": "Yes", "Parent Emails": ""
+        }));
+
+        assert.equal(project.wix.subscriptions["jane.doe@example.com"].subscriptionStatus, "UNSUBSCRIBED");
+        assert.equal(project.wix.subscriptions["sam.doe@example.com"].subscriptionStatus, "SUBSCRIBED");
+        assert.equal(project.directory.getSheetByName("Skipped Subscriptions").dump()[1][2], "Declined on the Membership Form");
+    });
+
+    test("a repeated skip updates the contact's report row", () => {
+        const project = createTestProject();
+        project.wix.seedSubscription("jane.doe@example.com", "UNSUBSCRIBED");
+
+        project.globals.WixHandler.subscribe("jane.doe@example.com", "Jane Doe", null);
+        project.globals.WixHandler.subscribe("jane.doe@example.com", "Jane Doe", null);
+
+        assert.equal(project.directory.getSheetByName("Skipped Subscriptions").dump().length, 2);
+    });
+
+    test("a label lookup that fails while Wix is down queues the member sync", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/labels", status: 503, times: 100 });
+
+        project.globals.WixHandler.processFormResponse(submit(project));
+
+        assert.equal(project.wix.contacts.length, 0);
+        assert.equal(project.directory.getSheetByName("Wix Outbox").dump()[1][1], "syncMember");
+    });
+});
@@ -0,0 +1,159 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject, formAnswers } = require("./harness/fixtures");
+
+const ALWAYS = 100;
+
+function submit(project, answers) {
+    return project.globals.Entry.fromFormResponse(project.form.submit(formAnswers(answers)));
+}
+
+function outboxRows(project) {
+    const sheet = project.directory.getSheetByName("Wix Outbox");
+    return sheet ? sheet.dump().slice(1) : [];
+}
+
+/**
+ * Makes every queued operation due now
+ */
+function makeDue(project) {
+    const sheet = project.directory.getSheetByName("Wix Outbox");
+    for (let row = 2; row <= sheet.getLastRow(); row++)
+        sheet.getRange(row, 8).setValue(new Date(0));
+}
+
+describe("WixOutbox", () => {
+    test("writes that fail while Wix is down are queued on a hidden sheet", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/email-marketing/v1/email-subscriptions", status: 503, times: ALWAYS });
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Parent Emails": "" }));
+
+        assert.ok(project.wix.findByEmail("jane.doe@example.com"));
+        const rows = outboxRows(project);
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0][1], "subscribeContact");
+        assert.equal(rows[0][2], "Jane Doe");
+        assert.equal(rows[0][3], '["jane.doe@example.com"]');
+        assert.equal(rows[0][4], 1);
+        assert.match(rows[0][5], /status 503/);
+        assert.ok(project.directory.getSheetByName("Wix Outbox").isSheetHidden());
+        assert.ok(project.console.lines("warn").includes("Queued 1 Wix change(s) for Jane Doe to retry later"));
+    });
+
+    test("writes that cannot be retried before the time limit are queued instead of waiting", () => {
+        const project = createTestProject();
+        const { WixService, ResponseLedger } = project.globals;
+        WixService.executionStart = Date.now() - ResponseLedger.MAX_RUNTIME_MS;
+        project.wix.queueFailure({ method: "post", path: "/email-marketing/v1/email-subscriptions", status: 503 });
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Parent Emails": "" }));
+
+        assert.deepEqual(project.services.Utilities.sleeps, []);
+        assert.deepEqual(outboxRows(project).map(row => row[1]), ["subscribeContact"]);
+    });
+
+    test("drain sends due operations and removes them from the outbox", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/email-marketing/v1/email-subscriptions", status: 503, times: 5 });
+        project.globals.WixHandler.processFormResponse(submit(project, { "Parent Emails": "" }));
+
+        assert.deepEqual({ ...project.globals.WixOutbox.drain() }, { sent: 0, failed: 0, dead: 0 });
+
+        makeDue(project);
+        assert.deepEqual({ ...project.globals.WixOutbox.drain() }, { sent: 1, failed: 0, dead: 0 });
+        assert.equal(project.wix.subscriptions["jane.doe@example.com"].subscriptionStatus, "SUBSCRIBED");
+        assert.equal(outboxRows(project).length, 0);
+    });
+
+    test("a failed lookup queues the whole member sync, which the drain replays", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 500, times: 5 });
+
+        project.globals.WixHandler.processFormResponse(submit(project));
+
+        assert.equal(outboxRows(project)[0][1], "syncMember");
+        assert.equal(JSON.parse(outboxRows(project)[0][3])[0].parentEmails.length, 2);
+
+        makeDue(project);
+        project.globals.WixOutbox.drain();
+        assert.ok(project.wix.findByEmail("jane.doe@example.com"));
+        assert.ok(project.wix.findByEmail("parent.two@example.com"));
+        assert.equal(outboxRows(project).length, 0);
+    });
+
+    test("queued updates are retried at the contact's current revision", () => {
+        const project = createTestProject();
+        const contact = project.wix.seedContact({ name: { first: "Jane", last: "Doe" }, emails: { items: [{ email: "jane.doe@example.com" }] } });
+        project.wix.queueFailure({ method: "patch", status: 502, times: 5 });
+
+        project.globals.WixHandler.processFormResponse(submit(project, { "Parent Emails": "" }));
+        assert.equal(JSON.parse(outboxRows(project)[0][3])[0].id, contact.id);
+
+        contact.revision = 7;
+        makeDue(project);
+        project.globals.WixOutbox.drain();
+
+        assert.equal(contact.revision, 8);
+        assert.equal(contact.info.phones.items[0].phone, "215-555-0100");
+    });
+
+    test("operations that keep failing back off and then move to the dead letters", () => {
+        const project = createTestProject();
+        const { WixOutbox } = project.globals;
+        project.wix.queueFailure({ method: "post", path: "/email-marketing/v1/email-subscriptions", status: 503, times: ALWAYS });
+        WixOutbox.send("subscribeContact", ["jane@example.com"], "Jane Doe");
+
+        makeDue(project);
+        assert.deepEqual({ ...WixOutbox.drain() }, { sent: 0, failed: 1, dead: 0 });
+        const row = outboxRows(project)[0];
+        assert.equal(row[4], 2);
+        assert.equal(new Date(row[7]).getTime() - new Date(row[6]).getTime(), 30 * 60 * 1000);
+
+        for (let attempt = 3; attempt <= WixOutbox.MAX_ATTEMPTS; attempt++) {
+            makeDue(project);
+            WixOutbox.drain();
+        }
+
+        assert.equal(outboxRows(project).length, 0);
+        const deadLetters = project.directory.getSheetByName("Wix Dead Letters").dump();
+        assert.equal(deadLetters.length, 2);
+        assert.deepEqual([...deadLetters[1].slice(0, 6)].map((value, i) => i === 1 ? typeof value : value),
+            [false, "object", "subscribeContact", "Jane Doe", '["jane@example.com"]', WixOutbox.MAX_ATTEMPTS]);
+    });
+
+    test("errors retrying cannot fix are not queued", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/email-marketing/v1/email-subscriptions", status: 400 });
+
+        assert.throws(() => project.globals.WixOutbox.send("subscribeContact", ["jane@example.com"], "Jane Doe"), /status 400/);
+        assert.equal(outboxRows(project).length, 0);
+    });
+
+    test("ticked dead letters are requeued with fresh attempts", () => {
+        const project = createTestProject();
+        const { WixOutbox } = project.globals;
+        const deadLetters = WixOutbox.getDeadLetterSheet();
+        deadLetters.appendRow([true, new Date(), "subscribeContact", "Jane Doe", '["jane@example.com"]', 8, "Wix down", new Date()]);
+        deadLetters.appendRow([false, new Date(), "subscribeContact", "Sam Lee", '["sam@example.com"]', 8, "Wix down", new Date()]);
+
+        assert.equal(WixOutbox.requeueDeadLetters(), 1);
+        assert.equal(deadLetters.dump().length, 2);
+        assert.equal(outboxRows(project)[0][4], 0);
+
+        WixOutbox.drain();
+        assert.equal(project.wix.subscriptions["jane@example.com"].subscriptionStatus, "SUBSCRIBED");
+    });
+
+    test("handleFormSubmission records the response once the Wix changes are queued", () => {
+        const project = createTestProject({ members: [["Outreach", "", "", "", "", "", "", ""]], initialize: false });
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 503, times: ALWAYS });
+        project.context.event = { response: project.form.submit(formAnswers()) };
+
+        project.run("handleFormSubmission(event)");
+
+        assert.equal(outboxRows(project).length, 1);
+        assert.equal(project.directory.getSheetByName("Processed Responses").getLastRow(), 2);
+    });
+});
@@ -0,0 +1,170 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestProject } = require("./harness/fixtures");
+
+describe("WixService", () => {
+    test("getAccessToken caches the token until it nears expiry", () => {
+        const project = createTestProject();
+        const { WixService } = project.globals;
+
+        const token = WixService.getAccessToken();
+        assert.equal(WixService.getAccessToken(), token);
+        assert.equal(project.wix.requestsTo("post", "/oauth2/token").length, 1);
+
+        WixService.accessTokenExpiryTime = Date.now();
+        WixService.getAccessToken();
+        assert.equal(project.wix.requestsTo("post", "/oauth2/token").length, 2);
+    });
+
+    test("getAccessToken throws when credentials are rejected", () => {
+        const project = createTestProject();
+        project.services.PropertiesService.getScriptProperties().deleteProperty("WIX_APP_SECRET");
+
+        assert.throws(() => project.globals.WixService.getAccessToken(), /Failed to obtain Wix access token/);
+    });
+
+    test("createContact sends name, email, phone and labels", () => {
+        const project = createTestProject();
+        const { WixService } = project.globals;
+
+        const response = WixService.createContact("Jane Doe", "jane@example.com", "215-555-0100", ["custom.directory", null]);
+
+        assert.equal(response.code, 200);
+        const contact = project.wix.findByEmail("jane@example.com");
+        assert.deepEqual(contact.info.name, { first: "Jane", last: "Doe" });
+        assert.equal(contact.info.phones.items[0].phone, "215-555-0100");
+        assert.deepEqual(contact.info.labelKeys.items, ["custom.directory"]);
+    });
+
+    test("createContact does nothing without an email", () => {
+        const project = createTestProject();
+        assert.equal(project.globals.WixService.createContact("Jane Doe", "", "", []), undefined);
+        assert.equal(project.wix.requests.length, 0);
+    });
+
+    test("server errors are retried with exponential backoff", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts", status: 503, times: 2 });
+
+        const response = project.globals.WixService.createContact("Jane Doe", "jane@example.com", "", []);
+
+        assert.equal(response.code, 200);
+        assert.deepEqual(project.services.Utilities.sleeps, [1000, 2000]);
+        assert.ok(project.wix.findByEmail("jane@example.com"));
+    });
+
+    test("rate-limited requests wait as long as Retry-After asks", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts", status: 429, headers: { "Retry-After": "7" } });
+
+        project.globals.WixService.createContact("Jane Doe", "jane@example.com", "", []);
+
+        assert.deepEqual(project.services.Utilities.sleeps, [7000]);
+    });
+
+    test("requests are not retried when the wait would pass the execution's time limit", () => {
+        const project = createTestProject();
+        const { WixService, ResponseLedger } = project.globals;
+        WixService.executionStart = Date.now() - ResponseLedger.MAX_RUNTIME_MS + 30 * 1000;
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts", status: 429, headers: { "Retry-After": "60" } });
+
+        assert.throws(
+            () => WixService.createContact("Jane Doe", "jane@example.com", "", []),
+            error => error.code === 429 && error.retryable
+        );
+        assert.equal(project.wix.requestsTo("post", "/contacts/v4/contacts").length, 1);
+        assert.deepEqual(project.services.Utilities.sleeps, []);
+        assert.ok(project.console.lines("warn").some(line => line.includes("would pass the execution's time limit")));
+    });
+
+    test("getRetryDelay reads X-RateLimit-Reset and caps the delay", () => {
+        const { WixService } = createTestProject().globals;
+
+        assert.equal(WixService.getRetryDelay(3, {}), 4000);
+        assert.equal(WixService.getRetryDelay(1, { "x-ratelimit-reset": "2" }), 2000);
+        assert.equal(WixService.getRetryDelay(1, { "Retry-After": "3600" }), WixService.MAX_RETRY_DELAY_MS);
+        assert.equal(WixService.getRetryDelay(10, {}), WixService.MAX_RETRY_DELAY_MS);
+    });
+
+    test("requests throw a typed error once retries run out", () => {
+        const project = createTestProject();
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts", status: 500, times: 10 });
+
+        assert.throws(
+            () => project.globals.WixService.createContact("Jane Doe", "jane@example.com", "", []),
+            error => error.name === "WixServerError" && error.code === 500 && error.retryable
+        );
+        assert.equal(project.wix.requestsTo("post", "/contacts/v4/contacts").length, project.globals.WixService.MAX_ATTEMPTS);
+        assert.ok(project.console.lines("error").some(line => line.startsWith("Wix API Error:")));
+    });
+
+    test("client errors are not retried", () => {
+        const project = createTestProject();
+        project.wix.seedContact({ emails: { items: [{ email: "jane@example.com" }] } });
+
+        assert.throws(
+            () => project.globals.WixService.createContact("Jane Doe", "jane@example.com", "", []),
+            error => error.name === "WixConflictError" && error.applicationCode === "DUPLICATE_CONTACT_EXISTS"
+        );
+        assert.equal(project.wix.requestsTo("post", "/contacts/v4/contacts").length, 1);
+        assert.equal(project.services.Utilities.sleeps.length, 0);
+    });
+
+    test("a rejected token is refreshed once and the request resent", () => {
+        const project = createTestProject();
+        const { WixService } = project.globals;
+        WixService.getAccessToken();
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 401 });
+
+        assert.equal(WixService.queryContact(null, "nobody@example.com", null), null);
+        assert.equal(project.wix.tokensIssued, 2);
+
+        project.wix.queueFailure({ method: "post", path: "/contacts/v4/contacts/query", status: 401, times: 2 });
+        assert.throws(() => WixService.queryContact(null, "nobody@example.com", null), error => error.name === "WixAuthError");
+    });
+
+    test("updateContact patches the contact at its current revision", () => {
+        const project = createTestProject();
+        const contact = project.wix.seedContact({ name: { first: "Jane", last: "Doe" }, emails: { items: [{ email: "jane@example.com" }] } });
+
+        const response = project.globals.WixService.updateContact(contact, "Jane Smith", "jane@example.com", "215-555-0100", []);
+
+        assert.equal(response.code, 200);
+        assert.equal(contact.info.name.last, "Smith");
+        assert.equal(contact.revision, 2);
+    });
+
+    test("queryContact searches by name, then email, then phone", () => {
+        const project = createTestProject();
+        const { WixService } = project.globals;
+        const contact = project.wix.seedContact({
+            name: { first: "Jane", last: "Doe" },
+            emails: { items: [{ email: "jane@example.com" }] },
+            phones: { items: [{ phone: "215-555-0100" }] }
+        });
+
+        assert.equal(WixService.queryContact("Jane Doe", null, null).id, contact.id);
+        assert.equal(WixService.queryContact("Someone Else", "jane@example.com", null).id, contact.id);
+        assert.equal(WixService.queryContact(null, null, "215-555-0100").id, contact.id);
+        assert.equal(WixService.queryContact("Someone Else", "other@example.com", "000-000-0000"), null);
+    });
+
+    test("queryAllContacts follows paging until every contact is loaded", () => {
+        const project = createTestProject();
+        for (let i = 0; i < 250; i++)
+            project.wix.seedContact({ emails: { items: [{ email: `member${i}@example.com` }] } });
+
+        const contacts = project.globals.WixService.queryAllContacts();
+
+        assert.equal(contacts.length, 250);
+        assert.equal(project.wix.requestsTo("post", "/contacts/v4/contacts/query").length, 3);
+    });
+
+    test("subscribeContact subscribes the email to the newsletter", () => {
+        const project = createTestProject();
+        project.globals.WixService.subscribeContact("jane@example.com");
+
+        assert.equal(project.wix.subscriptions["jane@example.com"].subscriptionStatus, "SUBSCRIBED");
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * In-memory stand-in for the parts of FormApp used by the project
+ * Questions are added by title and responses are submitted as {title: answer} objects
+ */
+
+class FakeItem {
+    constructor(id, title, type) {
+        this.id = id;
+        this.title = title;
+        this.type = type || "TEXT";
+    }
+
+    getId() { return this.id; }
+    getTitle() { return this.title; }
+    getType() { return this.type; }
+    getIndex() { return this.index; }
+}
+
+class FakeItemResponse {
+    constructor(item, response) {
+        this.item = item;
+        this.response = response;
+    }
+
+    getItem() { return this.item; }
+    getResponse() { return this.response; }
+}
+
+class FakeFormResponse {
+    constructor(id, timestamp, itemResponses, respondentEmail) {
+        this.id = id;
+        this.timestamp = timestamp;
+        this.itemResponses = itemResponses;
+        this.respondentEmail = respondentEmail || "";
+    }
+
+    getId() { return this.id; }
+    getTimestamp() { return this.timestamp; }
+    getItemResponses() { return this.itemResponses.slice(); }
+    getRespondentEmail() { return this.respondentEmail; }
+
+    getResponseForItem(item) {
+        return this.itemResponses.find(itemResponse => itemResponse.getItem().getId() === item.getId()) || null;
+    }
+}
+
+class FakeForm {
+    constructor(id) {
+        this.id = id;
+        this.items = [];
+        this.responses = [];
+        this.nextItemId = 1000;
+    }
+
+    getId() { return this.id; }
+    getItems() { return this.items.slice(); }
+    getResponses() { return this.responses.slice(); }
+
+    getItemById(id) {
+        return this.items.find(item => String(item.getId()) === String(id)) || null;
+    }
+
+    getResponse(id) {
+        const response = this.responses.find(other => other.getId() === id);
+        if (!response)
+            throw new Error(`No response with ID ${id}`);
+        return response;
+    }
+
+    /**
+     * Test helper that appends a question to the form
+     * @param {string} title - Question title
+     * @param {string} type - Item type (TEXT, MULTIPLE_CHOICE, ...)
+     * @returns {FakeItem}
+     */
+    addItem(title, type) {
+        const item = new FakeItem(this.nextItemId++, title, type);
+        item.index = this.items.length;
+        this.items.push(item);
+        return item;
+    }
+
+    /**
+     * Test helper that removes a question from the form
+     * @param {string} title - Question title
+     */
+    removeItem(title) {
+        this.items = this.items.filter(item => item.getTitle() !== title);
+    }
+
+    /**
+     * Test helper that records a response, omitting unanswered questions like Google Forms does
+     * @param {object} answers - Map of question title to answer
+     * @param {Date} timestamp - Submission time (defaults to now)
+     * @returns {FakeFormResponse}
+     */
+    submit(answers, timestamp) {
+        const itemResponses = this.items
+            .filter(item => answers[item.getTitle()] !== undefined && answers[item.getTitle()] !== "")
+            .map(item => new FakeItemResponse(item, answers[item.getTitle()]));
+
+        const response = new FakeFormResponse(
+            `response-${this.responses.length + 1}`,
+            timestamp || new Date(Date.UTC(2024, 0, 1) + this.responses.length * 60000),
+            itemResponses
+        );
+        this.responses.push(response);
+        return response;
+    }
+}
+
+class FakeFormApp {
+    constructor() {
+        this.forms = {};
+    }
+
+    openById(id) {
+        const form = this.forms[id];
+        if (!form)
+            throw new Error(`No item with the given ID could be found. (${id})`);
+        return form;
+    }
+
+    /**
+     * Test helper that registers an empty form under the given ID
+     * @param {string} id - Form ID used by openById
+     * @returns {FakeForm}
+     */
+    addForm(id) {
+        const form = new FakeForm(id);
+        this.forms[id] = form;
+        return form;
+    }
+}
+
+module.exports = {
+    FakeFormApp,
+    FakeForm,
+    FakeFormResponse,
+    FakeItemResponse,
+    FakeItem
+};
@@ -0,0 +1,368 @@
+/**
+ * In-memory stand-ins for the smaller Apps Script services used by the project
+ * (PropertiesService, CacheService, HtmlService, ScriptApp, Utilities, MailApp, DriveApp, LockService and Logger)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+class FakeProperties {
+    constructor() {
+        this.values = {};
+    }
+
+    getProperty(key) {
+        return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+    }
+
+    setProperty(key, value) {
+        this.values[key] = String(value);
+        return this;
+    }
+
+    deleteProperty(key) {
+        delete this.values[key];
+        return this;
+    }
+
+    getProperties() {
+        return Object.assign({}, this.values);
+    }
+
+    setProperties(properties) {
+        Object.keys(properties).forEach(key => this.setProperty(key, properties[key]));
+        return this;
+    }
+
+    getKeys() {
+        return Object.keys(this.values);
+    }
+}
+
+class FakePropertiesService {
+    constructor() {
+        this.scriptProperties = new FakeProperties();
+        this.userProperties = new FakeProperties();
+    }
+
+    getScriptProperties() { return this.scriptProperties; }
+    getUserProperties() { return this.userProperties; }
+}
+
+class FakeCache {
+    constructor() {
+        this.values = {};
+    }
+
+    get(key) {
+        return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+    }
+
+    put(key, value, expirationInSeconds) {
+        this.values[key] = String(value);
+    }
+
+    remove(key) {
+        delete this.values[key];
+    }
+}
+
+class FakeCacheService {
+    constructor() {
+        this.scriptCache = new FakeCache();
+        this.userCache = new FakeCache();
+    }
+
+    getScriptCache() { return this.scriptCache; }
+    getUserCache() { return this.userCache; }
+}
+
+class FakeHtmlOutput {
+    constructor(file, content) {
+        this.file = file;
+        this.content = content;
+        this.title = "";
+    }
+
+    setTitle(title) { this.title = title; return this; }
+    getTitle() { return this.title; }
+    getContent() { return this.content; }
+}
+
+/**
+ * Serves the project's .html files the way Apps Script does, by name without the extension
+ */
+class FakeHtmlService {
+    constructor(root) {
+        this.root = root;
+    }
+
+    createHtmlOutputFromFile(name) {
+        const file = path.join(this.root, `${name}.html`);
+        if (!fs.existsSync(file))
+            throw new Error(`No HTML file named ${name} was found.`);
+        return new FakeHtmlOutput(name, fs.readFileSync(file, "utf8"));
+    }
+}
+
+class FakeTrigger {
+    constructor(id, handler, eventType, source) {
+        this.id = id;
+        this.handler = handler;
+        this.eventType = eventType;
+        this.source = source;
+    }
+
+    getUniqueId() { return this.id; }
+    getHandlerFunction() { return this.handler; }
+    getEventType() { return this.eventType; }
+    getTriggerSource() { return this.source.type; }
+    getTriggerSourceId() { return this.source.id || null; }
+}
+
+class FakeTriggerBuilder {
+    constructor(scriptApp, handler) {
+        this.scriptApp = scriptApp;
+        this.handler = handler;
+        this.eventType = null;
+        this.source = { type: "CLOCK" };
+        this.options = {};
+    }
+
+    forForm(form) {
+        this.source = { type: "FORMS", id: typeof form === "string" ? form : form.getId() };
+        return this;
+    }
+
+    forSpreadsheet(spreadsheet) {
+        this.source = { type: "SPREADSHEETS", id: typeof spreadsheet === "string" ? spreadsheet : spreadsheet.getId() };
+        return this;
+    }
+
+    onFormSubmit() { this.eventType = "ON_FORM_SUBMIT"; return this; }
+    onEdit() { this.eventType = "ON_EDIT"; return this; }
+    onOpen() { this.eventType = "ON_OPEN"; return this; }
+    timeBased() { this.eventType = "CLOCK"; return this; }
+    after(milliseconds) { this.options.after = milliseconds; return this; }
+    everyMinutes(minutes) { this.options.everyMinutes = minutes; return this; }
+    everyHours(hours) { this.options.everyHours = hours; return this; }
+    everyDays(days) { this.options.everyDays = days; return this; }
+    atHour(hour) { this.options.atHour = hour; return this; }
+    onMonthDay(day) { this.options.onMonthDay = day; return this; }
+    inTimezone() { return this; }
+
+    create() {
+        const trigger = new FakeTrigger(`trigger-${++this.scriptApp.created}`, this.handler, this.eventType, this.source);
+        trigger.options = this.options;
+        this.scriptApp.triggers.push(trigger);
+        return trigger;
+    }
+}
+
+class FakeScriptApp {
+    constructor() {
+        this.triggers = [];
+        this.created = 0;
+        this.EventType = {
+            ON_FORM_SUBMIT: "ON_FORM_SUBMIT",
+            ON_EDIT: "ON_EDIT",
+            ON_OPEN: "ON_OPEN",
+            CLOCK: "CLOCK"
+        };
+        this.TriggerSource = {
+            FORMS: "FORMS",
+            SPREADSHEETS: "SPREADSHEETS",
+            CLOCK: "CLOCK"
+        };
+    }
+
+    newTrigger(handler) {
+        return new FakeTriggerBuilder(this, handler);
+    }
+
+    getProjectTriggers() {
+        return this.triggers.slice();
+    }
+
+    deleteTrigger(trigger) {
+        this.triggers = this.triggers.filter(other => other.getUniqueId() !== trigger.getUniqueId());
+    }
+}
+
+class FakeUtilities {
+    constructor() {
+        this.sleeps = [];
+        this.DigestAlgorithm = { MD5: "MD5", SHA_256: "SHA_256" };
+    }
+
+    sleep(milliseconds) {
+        this.sleeps.push(milliseconds);
+    }
+
+    formatDate(date, timeZone, format) {
+        return date.toISOString();
+    }
+
+    computeDigest(algorithm, value) {
+        const hash = crypto.createHash(algorithm === "MD5" ? "md5" : "sha256").update(String(value), "utf8").digest();
+        return Array.from(hash, byte => byte > 127 ? byte - 256 : byte);
+    }
+
+    base64Encode(bytes) {
+        return Buffer.from(bytes.map(byte => byte & 255)).toString("base64");
+    }
+
+    getUuid() {
+        this.uuids = (this.uuids || 0) + 1;
+        return `00000000-0000-0000-0000-${String(this.uuids).padStart(12, "0")}`;
+    }
+}
+
+class FakeDriveUser {
+    constructor(email) {
+        this.email = email;
+    }
+
+    getEmail() { return this.email; }
+}
+
+class FakeDriveFile {
+    constructor(id) {
+        this.id = id;
+        this.viewers = [];
+        this.folder = null;
+    }
+
+    getId() { return this.id; }
+    getViewers() { return this.viewers.map(email => new FakeDriveUser(email)); }
+
+    addViewers(emails) {
+        emails.forEach(email => {
+            if (!this.viewers.includes(email))
+                this.viewers.push(email);
+        });
+        return this;
+    }
+
+    removeViewer(email) {
+        this.viewers = this.viewers.filter(other => other !== email);
+        return this;
+    }
+
+    moveTo(folder) {
+        this.folder = folder.getId();
+        return this;
+    }
+}
+
+/**
+ * DriveApp replacement tracking sharing and folders of files by ID
+ * Files are created on first access, so any spreadsheet ID from FakeSpreadsheetApp can be looked up
+ */
+class FakeDriveApp {
+    constructor() {
+        this.files = {};
+    }
+
+    getFileById(id) {
+        if (!this.files[id])
+            this.files[id] = new FakeDriveFile(id);
+        return this.files[id];
+    }
+
+    getFolderById(id) {
+        return { getId: () => id };
+    }
+}
+
+/**
+ * MailApp replacement that records every email instead of sending it
+ */
+class FakeMailApp {
+    constructor() {
+        this.sent = [];
+        this.failure = null;
+    }
+
+    sendEmail(recipient, subject, body) {
+        if (this.failure)
+            throw new Error(this.failure);
+        this.sent.push({ recipient, subject, body });
+    }
+}
+
+/**
+ * Script lock that records whether it is held
+ * Set busy on the LockService to simulate another execution holding the lock
+ */
+class FakeLock {
+    constructor(service) {
+        this.service = service;
+        this.held = false;
+        this.acquired = 0;
+    }
+
+    tryLock(timeoutInMillis) {
+        if (this.service.busy)
+            return false;
+        this.held = true;
+        this.acquired++;
+        return true;
+    }
+
+    hasLock() { return this.held; }
+    releaseLock() { this.held = false; }
+}
+
+class FakeLockService {
+    constructor() {
+        this.busy = false;
+        this.scriptLock = new FakeLock(this);
+    }
+
+    getScriptLock() { return this.scriptLock; }
+}
+
+/**
+ * Console replacement that records every message so tests can assert on logging
+ */
+class FakeConsole {
+    constructor() {
+        this.messages = [];
+    }
+
+    record(level, args) {
+        this.messages.push({ level, message: args.map(arg => typeof arg === "string" ? arg : JSON.stringify(arg)).join(" ") });
+    }
+
+    log(...args) { this.record("log", args); }
+    info(...args) { this.record("info", args); }
+    warn(...args) { this.record("warn", args); }
+    error(...args) { this.record("error", args); }
+
+    /**
+     * @param {string} level - Optional level to filter by
+     * @returns {array<string>} - Recorded messages
+     */
+    lines(level) {
+        return this.messages
+            .filter(message => !level || message.level === level)
+            .map(message => message.message);
+    }
+}
+
+module.exports = {
+    FakeProperties,
+    FakePropertiesService,
+    FakeCache,
+    FakeCacheService,
+    FakeHtmlService,
+    FakeScriptApp,
+    FakeTrigger,
+    FakeUtilities,
+    FakeMailApp,
+    FakeDriveApp,
+    FakeLockService,
+    FakeConsole
+};
@@ -0,0 +1,525 @@
+/**
+ * In-memory stand-in for the parts of SpreadsheetApp used by the project
+ * Every sheet is a grid of cells holding a value, background, data validation and note
+ */
+
+const DEFAULT_BACKGROUND = "#ffffff";
+
+function createCell() {
+    return { value: "", formula: "", background: DEFAULT_BACKGROUND, validation: null, note: "" };
+}
+
+function assertCellValue(value) {
+    const type = typeof value;
+    if (value === null || type === "string" || type === "number" || type === "boolean" || value instanceof Date)
+        return;
+    if (value && typeof value.getTime === "function")
+        return;
+    throw new Error(`Cannot store value of type ${Array.isArray(value) ? "array" : type} in a cell: ${JSON.stringify(value)}`);
+}
+
+class FakeDataValidation {
+    constructor(criteria, args) {
+        this.criteria = criteria;
+        this.args = args;
+    }
+
+    getCriteriaType() {
+        return this.criteria;
+    }
+
+    getCriteriaValues() {
+        return this.args;
+    }
+}
+
+class FakeDataValidationBuilder {
+    constructor() {
+        this.criteria = null;
+        this.args = [];
+    }
+
+    requireValueInRange(range) {
+        this.criteria = "VALUE_IN_RANGE";
+        this.args = [range];
+        return this;
+    }
+
+    requireValueInList(values) {
+        this.criteria = "VALUE_IN_LIST";
+        this.args = [values];
+        return this;
+    }
+
+    requireCheckbox() {
+        this.criteria = "CHECKBOX";
+        this.args = [];
+        return this;
+    }
+
+    setAllowInvalid() {
+        return this;
+    }
+
+    build() {
+        return new FakeDataValidation(this.criteria, this.args);
+    }
+}
+
+class FakeRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        if (row < 1 || column < 1)
+            throw new Error(`Range starting at (${row}, ${column}) is out of bounds`);
+        if (numRows < 1)
+            throw new Error("The number of rows in the range must be at least 1.");
+        if (numColumns < 1)
+            throw new Error("The number of columns in the range must be at least 1.");
+
+        this.sheet = sheet;
+        this.row = row;
+        this.column = column;
+        this.numRows = numRows;
+        this.numColumns = numColumns;
+    }
+
+    getRow() { return this.row; }
+    getColumn() { return this.column; }
+    getLastRow() { return this.row + this.numRows - 1; }
+    getLastColumn() { return this.column + this.numColumns - 1; }
+    getNumRows() { return this.numRows; }
+    getNumColumns() { return this.numColumns; }
+    getSheet() { return this.sheet; }
+
+    read(property) {
+        const result = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const row = [];
+            for (let c = 0; c < this.numColumns; c++)
+                row.push(this.sheet.cell(this.row + r, this.column + c)[property]);
+            result.push(row);
+        }
+        return result;
+    }
+
+    write(property, grid) {
+        if (!Array.isArray(grid) || grid.length !== this.numRows)
+            throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${grid.length} but the range has ${this.numRows}.`);
+
+        grid.forEach((row, r) => {
+            if (!Array.isArray(row) || row.length !== this.numColumns)
+                throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${row.length} but the range has ${this.numColumns}.`);
+
+            row.forEach((value, c) => {
+                const cell = this.sheet.cell(this.row + r, this.column + c, true);
+                if (property === "value") {
+                    assertCellValue(value);
+                    // As in Sheets, a string starting with "=" is entered as a formula; the fake does not evaluate it
+                    cell.formula = typeof value === "string" && value.startsWith("=") ? value : "";
+                }
+                cell[property] = value;
+            });
+        });
+        this.sheet.spreadsheet.recordWrite(this.sheet, property, { row: this.row, numRows: this.numRows });
+        return this;
+    }
+
+    fill(property, value) {
+        return this.write(property, Array.from({ length: this.numRows }, () => Array(this.numColumns).fill(value)));
+    }
+
+    getValues() { return this.read("value"); }
+    getDisplayValues() { return this.read("value").map(row => row.map(value => String(value))); }
+    getBackgrounds() { return this.read("background"); }
+    getDataValidations() { return this.read("validation"); }
+    getNotes() { return this.read("note"); }
+    getFormulas() { return this.read("formula"); }
+    // The fake does not translate between A1 and R1C1 notation
+    getFormulasR1C1() { return this.read("formula"); }
+    getValue() { return this.getValues()[0][0]; }
+    getBackground() { return this.getBackgrounds()[0][0]; }
+    getNote() { return this.getNotes()[0][0]; }
+    getFormulaR1C1() { return this.getFormulasR1C1()[0][0]; }
+    getDataValidation() { return this.getDataValidations()[0][0]; }
+
+    setValues(values) { return this.write("value", values); }
+    setBackgrounds(backgrounds) { return this.write("background", backgrounds); }
+    setDataValidations(validations) { return this.write("validation", validations); }
+    setNotes(notes) { return this.write("note", notes); }
+    setValue(value) { return this.fill("value", value); }
+    setBackground(color) { return this.fill("background", color || DEFAULT_BACKGROUND); }
+    setNote(note) { return this.fill("note", note || ""); }
+    setDataValidation(validation) { return this.fill("validation", validation); }
+
+    /**
+     * Sets a formula without evaluating it: the cell keeps its current value as the formula's result
+     * @param {string} formula - The formula, starting with "="
+     */
+    setFormula(formula) { return this.fill("formula", formula); }
+    setFormulaR1C1(formula) { return this.fill("formula", formula); }
+
+    clearContent() { return this.fill("value", ""); }
+
+    clear() {
+        this.fill("value", "");
+        this.fill("background", DEFAULT_BACKGROUND);
+        this.fill("validation", null);
+        return this.fill("note", "");
+    }
+
+    insertCheckboxes() {
+        return this.fill("validation", new FakeDataValidation("CHECKBOX", []));
+    }
+
+    setFontWeight() { return this; }
+    setWrap() { return this; }
+}
+
+class FakeTextFinder {
+    constructor(sheet, text) {
+        this.sheet = sheet;
+        this.text = String(text);
+        this.caseSensitive = false;
+        this.entireCell = false;
+        this.matches = null;
+        this.position = -1;
+    }
+
+    matchCase(matchCase) {
+        this.caseSensitive = matchCase;
+        return this;
+    }
+
+    matchEntireCell(entireCell) {
+        this.entireCell = entireCell;
+        return this;
+    }
+
+    isMatch(value) {
+        let cell = String(value);
+        let text = this.text;
+        if (!this.caseSensitive) {
+            cell = cell.toLowerCase();
+            text = text.toLowerCase();
+        }
+        return this.entireCell ? cell === text : text !== "" && cell.includes(text);
+    }
+
+    findAll() {
+        const matches = [];
+        this.sheet.cells.forEach((row, r) => {
+            row.forEach((cell, c) => {
+                if (cell.value !== "" && this.isMatch(cell.value))
+                    matches.push(new FakeRange(this.sheet, r + 1, c + 1, 1, 1));
+            });
+        });
+        return matches;
+    }
+
+    findNext() {
+        if (this.matches === null)
+            this.matches = this.findAll();
+        this.position++;
+        return this.getCurrentMatch();
+    }
+
+    getCurrentMatch() {
+        return (this.matches && this.matches[this.position]) || null;
+    }
+}
+
+class FakeSheet {
+    constructor(spreadsheet, name) {
+        this.spreadsheet = spreadsheet;
+        this.name = name;
+        this.cells = [];
+        this.hidden = false;
+        this.frozenRows = 0;
+    }
+
+    cell(row, column, create) {
+        if (!create && (!this.cells[row - 1] || !this.cells[row - 1][column - 1]))
+            return createCell();
+
+        while (this.cells.length < row)
+            this.cells.push([]);
+        const cells = this.cells[row - 1];
+        while (cells.length < column)
+            cells.push(createCell());
+        return cells[column - 1];
+    }
+
+    getName() { return this.name; }
+    setName(name) { this.name = name; return this; }
+    getParent() { return this.spreadsheet; }
+
+    getLastRow() {
+        for (let r = this.cells.length - 1; r >= 0; r--) {
+            if (this.cells[r].some(cell => cell.value !== ""))
+                return r + 1;
+        }
+        return 0;
+    }
+
+    getLastColumn() {
+        let last = 0;
+        this.cells.forEach(row => {
+            row.forEach((cell, c) => {
+                if (cell.value !== "")
+                    last = Math.max(last, c + 1);
+            });
+        });
+        return last;
+    }
+
+    getMaxRows() { return Math.max(this.cells.length, 1000); }
+    getMaxColumns() { return Math.max(...this.cells.map(row => row.length), 26); }
+
+    getRange(row, column, numRows, numColumns) {
+        return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+    }
+
+    getDataRange() {
+        return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+    }
+
+    insertRowBefore(row) {
+        return this.insertRowsBefore(row, 1);
+    }
+
+    insertRowsBefore(row, count) {
+        if (row < 1)
+            throw new Error(`Those rows are out of bounds. (row ${row})`);
+        while (this.cells.length < row - 1)
+            this.cells.push([]);
+        this.cells.splice(row - 1, 0, ...Array.from({ length: count }, () => []));
+        this.spreadsheet.recordWrite(this, "insert");
+        return this;
+    }
+
+    insertRowAfter(row) {
+        return this.insertRowsBefore(row + 1, 1);
+    }
+
+    insertRowsAfter(row, count) {
+        return this.insertRowsBefore(row + 1, count);
+    }
+
+    deleteRow(row) {
+        return this.deleteRows(row, 1);
+    }
+
+    deleteRows(row, count) {
+        if (row < 1)
+            throw new Error(`Those rows are out of bounds. (row ${row})`);
+        this.cells.splice(row - 1, count);
+        this.spreadsheet.recordWrite(this, "delete");
+        return this;
+    }
+
+    appendRow(values) {
+        const row = this.getLastRow() + 1;
+        this.getRange(row, 1, 1, values.length).setValues([values]);
+        return this;
+    }
+
+    clear() {
+        this.cells = [];
+        return this;
+    }
+
+    clearContents() {
+        this.cells.forEach(row => row.forEach(cell => { cell.value = ""; }));
+        return this;
+    }
+
+    createTextFinder(text) {
+        return new FakeTextFinder(this, text);
+    }
+
+    hideSheet() { this.hidden = true; return this; }
+    showSheet() { this.hidden = false; return this; }
+    isSheetHidden() { return this.hidden; }
+    setFrozenRows(rows) { this.frozenRows = rows; return this; }
+    getFrozenRows() { return this.frozenRows; }
+    autoResizeColumns() { return this; }
+
+    /**
+     * Test helper returning every value on the sheet as a 2D array
+     * @returns {array<array>}
+     */
+    dump() {
+        const lastRow = this.getLastRow();
+        const lastColumn = this.getLastColumn();
+        if (lastRow === 0 || lastColumn === 0)
+            return [];
+        return this.getRange(1, 1, lastRow, lastColumn).getValues();
+    }
+}
+
+class FakeSpreadsheet {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name || id;
+        this.sheets = [];
+        this.writes = [];
+    }
+
+    getId() { return this.id; }
+    getName() { return this.name; }
+    getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+    getSheets() { return this.sheets.slice(); }
+
+    getSheetByName(name) {
+        return this.sheets.find(sheet => sheet.name === name) || null;
+    }
+
+    insertSheet(name) {
+        if (this.getSheetByName(name))
+            throw new Error(`A sheet with the name "${name}" already exists.`);
+        const sheet = new FakeSheet(this, name);
+        this.sheets.push(sheet);
+        return sheet;
+    }
+
+    deleteSheet(sheet) {
+        this.sheets = this.sheets.filter(other => other !== sheet);
+    }
+
+    recordWrite(sheet, property, range) {
+        this.writes.push(Object.assign({ sheet: sheet.name, property }, range));
+    }
+
+    /**
+     * Test helper that creates a sheet and fills it with rows of values
+     * @param {string} name - Name of the sheet
+     * @param {array<array>} rows - Values to write starting at A1
+     * @returns {FakeSheet}
+     */
+    addSheet(name, rows) {
+        const sheet = this.insertSheet(name);
+        (rows || []).forEach((row, r) => {
+            row.forEach((value, c) => {
+                sheet.cell(r + 1, c + 1, true).value = value;
+            });
+        });
+        return sheet;
+    }
+}
+
+class FakeMenu {
+    constructor(ui, name) {
+        this.ui = ui;
+        this.name = name;
+        this.items = [];
+    }
+
+    addItem(caption, functionName) {
+        this.items.push({ caption, functionName });
+        return this;
+    }
+
+    addSeparator() {
+        this.items.push({ separator: true });
+        return this;
+    }
+
+    addSubMenu(menu) {
+        this.items.push({ caption: menu.name, subMenu: menu });
+        return this;
+    }
+
+    addToUi() {
+        this.ui.menus.push(this);
+    }
+}
+
+class FakeUi {
+    constructor() {
+        this.menus = [];
+        this.alerts = [];
+        this.sidebars = [];
+        this.ButtonSet = { OK: "OK", OK_CANCEL: "OK_CANCEL", YES_NO: "YES_NO" };
+        this.Button = { OK: "OK", CANCEL: "CANCEL", YES: "YES", NO: "NO" };
+    }
+
+    createMenu(name) {
+        return new FakeMenu(this, name);
+    }
+
+    alert(title, prompt) {
+        this.alerts.push(prompt === undefined ? title : `${title}: ${prompt}`);
+        return this.Button.OK;
+    }
+
+    showSidebar(output) {
+        this.sidebars.push(output);
+    }
+}
+
+class FakeSpreadsheetApp {
+    constructor() {
+        this.spreadsheets = {};
+        this.created = 0;
+        this.ui = new FakeUi();
+        this.activeRange = null;
+    }
+
+    getUi() {
+        return this.ui;
+    }
+
+    getActiveRange() {
+        return this.activeRange;
+    }
+
+    /**
+     * Test helper that selects a range, as if the user had highlighted it
+     * @param {FakeRange} range - The range to select
+     */
+    setActiveRange(range) {
+        this.activeRange = range;
+        return range;
+    }
+
+    openById(id) {
+        const spreadsheet = this.spreadsheets[id];
+        if (!spreadsheet)
+            throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp. (${id})`);
+        return spreadsheet;
+    }
+
+    create(name) {
+        this.created++;
+        const spreadsheet = this.addSpreadsheet(`spreadsheet-${this.created}`, name);
+        spreadsheet.insertSheet("Sheet1");
+        return spreadsheet;
+    }
+
+    newDataValidation() {
+        return new FakeDataValidationBuilder();
+    }
+
+    flush() {}
+
+    /**
+     * Test helper that registers an empty spreadsheet under the given ID
+     * @param {string} id - Spreadsheet ID used by openById
+     * @param {string} name - Display name of the spreadsheet
+     * @returns {FakeSpreadsheet}
+     */
+    addSpreadsheet(id, name) {
+        const spreadsheet = new FakeSpreadsheet(id, name);
+        this.spreadsheets[id] = spreadsheet;
+        return spreadsheet;
+    }
+}
+
+module.exports = {
+    DEFAULT_BACKGROUND,
+    FakeSpreadsheetApp,
+    FakeSpreadsheet,
+    FakeSheet,
+    FakeRange,
+    FakeDataValidation,
+    FakeUi
+};
@@ -0,0 +1,350 @@
+/**
+ * In-memory imitation of the Wix REST endpoints the project talks to
+ * Implements OAuth client credentials, Contacts v4 (contacts, labels and extended fields) and Email Subscriptions v1
+ * and exposes a UrlFetchApp stand-in that routes requests to it
+ */
+
+const WIX_BASE_URL = "https://www.wixapis.com";
+
+class FakeHTTPResponse {
+    constructor(status, body, headers) {
+        this.status = status;
+        this.body = typeof body === "string" ? body : JSON.stringify(body || {});
+        this.headers = headers || {};
+    }
+
+    getResponseCode() { return this.status; }
+    getContentText() { return this.body; }
+    getHeaders() { return Object.assign({}, this.headers); }
+    getAllHeaders() { return this.getHeaders(); }
+}
+
+/**
+ * Resolves a dotted Wix filter path against a contact, flattening "items" arrays
+ * Example: "info.emails.email" --> ["a@b.com", "c@d.com"]
+ */
+function resolvePath(object, path) {
+    let values = [object];
+    for (const key of path.split(".")) {
+        const next = [];
+        values.forEach(value => {
+            if (value == null)
+                return;
+            if (Array.isArray(value.items) && value[key] === undefined)
+                value.items.forEach(item => next.push(item == null ? undefined : item[key]));
+            else if (Array.isArray(value))
+                value.forEach(item => next.push(item == null ? undefined : item[key]));
+            else
+                next.push(value[key]);
+        });
+        values = next;
+    }
+    return values.flatMap(value => (value && Array.isArray(value.items)) ? value.items : value);
+}
+
+function matchesCondition(values, condition) {
+    if (condition !== null && typeof condition === "object" && !Array.isArray(condition)) {
+        return Object.keys(condition).every(operator => {
+            const operand = condition[operator];
+            switch (operator) {
+                case "$eq": return values.includes(operand);
+                case "$ne": return !values.includes(operand);
+                case "$in": return values.some(value => operand.includes(value));
+                case "$hasSome": return values.some(value => operand.includes(value));
+                case "$hasAll": return operand.every(value => values.includes(value));
+                case "$exists": return operand ? values.some(value => value !== undefined) : values.every(value => value === undefined);
+                default: throw new Error(`Unsupported filter operator ${operator}`);
+            }
+        });
+    }
+    return values.includes(condition);
+}
+
+class FakeWixServer {
+    constructor() {
+        this.contacts = [];
+        this.labels = [];
+        this.extendedFields = [];
+        this.subscriptions = {};
+        this.requests = [];
+        this.failures = [];
+        this.nextContactId = 1;
+        this.tokensIssued = 0;
+        this.routes = [
+            ["post", /^\/oauth2\/token$/, this.issueToken],
+            ["post", /^\/contacts\/v4\/contacts\/query$/, this.queryContacts],
+            ["post", /^\/contacts\/v4\/contacts$/, this.createContact],
+            ["get", /^\/contacts\/v4\/contacts\/([^/?]+)$/, this.getContact],
+            ["patch", /^\/contacts\/v4\/contacts\/([^/?]+)$/, this.updateContact],
+            ["post", /^\/email-marketing\/v1\/email-subscriptions$/, this.upsertSubscription],
+            ["post", /^\/email-marketing\/v1\/email-subscriptions\/query$/, this.querySubscriptions],
+            ["get", /^\/contacts\/v4\/labels$/, this.listLabels],
+            ["post", /^\/contacts\/v4\/labels$/, this.findOrCreateLabel],
+            ["get", /^\/contacts\/v4\/extended-fields$/, this.listExtendedFields],
+            ["post", /^\/contacts\/v4\/extended-fields$/, this.findOrCreateExtendedField]
+        ];
+    }
+
+    /**
+     * Queues a failure that is returned instead of the next request matching the path
+     * @param {object} failure - {status, body, headers, method, path (string or RegExp), times}
+     */
+    queueFailure(failure) {
+        this.failures.push(Object.assign({ times: 1, body: { message: "Injected failure" } }, failure));
+    }
+
+    /**
+     * Adds a contact directly to the fake CRM, bypassing the API
+     * @param {object} info - Wix contact info ({name, emails, phones, labelKeys})
+     * @returns {object} - The stored contact
+     */
+    seedContact(info) {
+        const contact = {
+            id: `contact-${this.nextContactId++}`,
+            revision: 1,
+            info: JSON.parse(JSON.stringify(info))
+        };
+        this.refreshPrimaryInfo(contact);
+        this.contacts.push(contact);
+        return contact;
+    }
+
+    /**
+     * Adds a label directly to the fake CRM, bypassing the API
+     * @param {string} displayName - The label's display name
+     * @param {string} key - The label key (derived from the display name by default)
+     * @returns {object} - The stored label
+     */
+    seedLabel(displayName, key) {
+        const label = {
+            key: key || "custom." + displayName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+            displayName,
+            labelType: "USER_DEFINED"
+        };
+        this.labels.push(label);
+        return label;
+    }
+
+    /**
+     * Sets the newsletter subscription of an email directly, bypassing the API
+     * @param {string} email - The email address
+     * @param {string} subscriptionStatus - e.g. "UNSUBSCRIBED"
+     * @param {string} deliverabilityStatus - e.g. "BOUNCED" (defaults to "VALID")
+     * @returns {object} - The stored subscription
+     */
+    seedSubscription(email, subscriptionStatus, deliverabilityStatus) {
+        const subscription = { email, subscriptionStatus, deliverabilityStatus: deliverabilityStatus || "VALID" };
+        this.subscriptions[email] = subscription;
+        this.contacts.forEach(contact => this.refreshPrimaryInfo(contact));
+        return subscription;
+    }
+
+    findByEmail(email) {
+        return this.contacts.find(contact => resolvePath(contact, "info.emails.email").includes(email)) || null;
+    }
+
+    findById(id) {
+        return this.contacts.find(contact => contact.id === id) || null;
+    }
+
+    refreshPrimaryInfo(contact) {
+        const email = resolvePath(contact, "info.emails.email")[0];
+        const phone = resolvePath(contact, "info.phones.phone")[0];
+        contact.primaryInfo = { email, phone };
+        contact.primaryEmail = email ? {
+            email,
+            subscriptionStatus: (this.subscriptions[email] || {}).subscriptionStatus || "NOT_SET",
+            deliverabilityStatus: (this.subscriptions[email] || {}).deliverabilityStatus || "NOT_SET"
+        } : undefined;
+    }
+
+    handle(url, params) {
+        if (!url.startsWith(WIX_BASE_URL))
+            throw new Error(`Unexpected request to ${url}`);
+
+        const method = (params.method || "get").toLowerCase();
+        const fullPath = url.substring(WIX_BASE_URL.length);
+        const [path, queryString] = fullPath.split("?");
+        const payload = params.payload ? JSON.parse(params.payload) : null;
+        const query = new URLSearchParams(queryString || "");
+        const request = { method, path, query, payload, headers: params.headers || {} };
+        this.requests.push(request);
+
+        const failure = this.failures.find(other =>
+            (!other.method || other.method === method) &&
+            (!other.path || (other.path instanceof RegExp ? other.path.test(path) : other.path === path)));
+        if (failure) {
+            if (--failure.times <= 0)
+                this.failures.splice(this.failures.indexOf(failure), 1);
+            return new FakeHTTPResponse(failure.status, failure.body, failure.headers);
+        }
+
+        if (path !== "/oauth2/token" && !this.isAuthorized(request))
+            return new FakeHTTPResponse(401, { message: "Unauthorized" });
+
+        for (const [routeMethod, pattern, handler] of this.routes) {
+            const match = path.match(pattern);
+            if (routeMethod === method && match)
+                return handler.call(this, request, ...match.slice(1));
+        }
+
+        return new FakeHTTPResponse(404, { message: `No route for ${method.toUpperCase()} ${path}` });
+    }
+
+    isAuthorized(request) {
+        const authorization = request.headers.Authorization || request.headers.authorization || "";
+        return /^Bearer token-\d+$/.test(authorization);
+    }
+
+    issueToken(request) {
+        const { client_id, client_secret } = request.payload || {};
+        if (!client_id || !client_secret)
+            return new FakeHTTPResponse(400, { message: "Missing client credentials" });
+        return new FakeHTTPResponse(200, { access_token: `token-${++this.tokensIssued}`, expires_in: 14400 });
+    }
+
+    createContact(request) {
+        const info = request.payload.info || {};
+        const email = resolvePath({ info }, "info.emails.email")[0];
+
+        if (!request.payload.allowDuplicates && email && this.findByEmail(email)) {
+            return new FakeHTTPResponse(409, {
+                message: "Contact with this email already exists",
+                details: { applicationError: { code: "DUPLICATE_CONTACT_EXISTS", data: { duplicateContactId: this.findByEmail(email).id } } }
+            });
+        }
+
+        return new FakeHTTPResponse(200, { contact: this.seedContact(info) });
+    }
+
+    getContact(request, id) {
+        const contact = this.findById(id);
+        if (!contact)
+            return new FakeHTTPResponse(404, { message: `Contact ${id} not found` });
+        return new FakeHTTPResponse(200, { contact });
+    }
+
+    updateContact(request, id) {
+        const contact = this.findById(id);
+        if (!contact)
+            return new FakeHTTPResponse(404, { message: `Contact ${id} not found` });
+        if (request.payload.revision !== contact.revision)
+            return new FakeHTTPResponse(409, { message: "Revision mismatch", details: { applicationError: { code: "CONTACT_ALREADY_CHANGED" } } });
+
+        Object.assign(contact.info, JSON.parse(JSON.stringify(request.payload.info || {})));
+        contact.revision++;
+        this.refreshPrimaryInfo(contact);
+        return new FakeHTTPResponse(200, { contact });
+    }
+
+    queryContacts(request) {
+        const query = request.payload.query || {};
+        const filter = query.filter || {};
+        const limit = (query.paging && query.paging.limit) || 50;
+        const offset = (query.paging && query.paging.offset) || 0;
+
+        const matches = this.contacts.filter(contact =>
+            Object.keys(filter).every(path => matchesCondition(resolvePath(contact, path), filter[path])));
+        const page = matches.slice(offset, offset + limit);
+
+        return new FakeHTTPResponse(200, {
+            contacts: page,
+            pagingMetadata: { count: page.length, offset, total: matches.length, hasNext: offset + page.length < matches.length }
+        });
+    }
+
+    listLabels(request) {
+        const limit = Number(request.query.get("paging.limit")) || 50;
+        const offset = Number(request.query.get("paging.offset")) || 0;
+        const page = this.labels.slice(offset, offset + limit);
+        return new FakeHTTPResponse(200, {
+            labels: page,
+            pagingMetadata: { count: page.length, offset, total: this.labels.length, hasNext: offset + page.length < this.labels.length }
+        });
+    }
+
+    findOrCreateLabel(request) {
+        const displayName = request.payload.displayName;
+        if (!displayName)
+            return new FakeHTTPResponse(400, { message: "displayName is required" });
+
+        const existing = this.labels.find(label => label.displayName === displayName);
+        if (existing)
+            return new FakeHTTPResponse(200, { label: existing, newLabel: false });
+        return new FakeHTTPResponse(200, { label: this.seedLabel(displayName), newLabel: true });
+    }
+
+    listExtendedFields(request) {
+        const limit = Number(request.query.get("paging.limit")) || 50;
+        const offset = Number(request.query.get("paging.offset")) || 0;
+        const page = this.extendedFields.slice(offset, offset + limit);
+        return new FakeHTTPResponse(200, {
+            fields: page,
+            pagingMetadata: { count: page.length, offset, total: this.extendedFields.length, hasNext: offset + page.length < this.extendedFields.length }
+        });
+    }
+
+    findOrCreateExtendedField(request) {
+        const { displayName, dataType } = request.payload;
+        if (!displayName || !dataType)
+            return new FakeHTTPResponse(400, { message: "displayName and dataType are required" });
+
+        const existing = this.extendedFields.find(field => field.displayName === displayName);
+        if (existing)
+            return new FakeHTTPResponse(200, { field: existing, newField: false });
+
+        const field = {
+            key: "custom." + displayName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+            displayName,
+            dataType,
+            fieldType: "USER_DEFINED"
+        };
+        this.extendedFields.push(field);
+        return new FakeHTTPResponse(200, { field, newField: true });
+    }
+
+    upsertSubscription(request) {
+        const subscription = Object.assign({}, this.subscriptions[request.payload.subscription.email], request.payload.subscription);
+        this.subscriptions[subscription.email] = subscription;
+        this.contacts.forEach(contact => this.refreshPrimaryInfo(contact));
+        return new FakeHTTPResponse(200, { subscription });
+    }
+
+    querySubscriptions(request) {
+        const emails = request.payload.filter.email.$in;
+        const subscriptions = emails.filter(email => this.subscriptions[email]).map(email => this.subscriptions[email]);
+        return new FakeHTTPResponse(200, { subscriptions });
+    }
+
+    /**
+     * @param {string} method - HTTP method
+     * @param {string|RegExp} path - Path or pattern to match
+     * @returns {array<object>} - Recorded requests matching the method and path
+     */
+    requestsTo(method, path) {
+        return this.requests.filter(request =>
+            request.method === method &&
+            (path instanceof RegExp ? path.test(request.path) : request.path === path));
+    }
+}
+
+class FakeUrlFetchApp {
+    constructor(server) {
+        this.server = server;
+    }
+
+    fetch(url, params) {
+        const response = this.server.handle(url, params || {});
+        const code = response.getResponseCode();
+        if (!(params && params.muteHttpExceptions) && code >= 400)
+            throw new Error(`Request failed for ${url} returned code ${code}. Truncated server response: ${response.getContentText()}`);
+        return response;
+    }
+}
+
+module.exports = {
+    FakeWixServer,
+    FakeUrlFetchApp,
+    FakeHTTPResponse,
+    WIX_BASE_URL
+};
@@ -0,0 +1,110 @@
+/**
+ * Builds a loaded project with a realistic directory spreadsheet, Membership Form
+ * and Wix credentials so tests only need to describe what differs from the defaults
+ */
+
+const { loadProject } = require("./loadProject");
+
+const MEMBERS_HEADER = ["Name", "Title", "Chapter", "Email", "Phone", "Team", "Grade", "Parent Emails"];
+
+const CHAPTERS = [
+    "The Haverford School",
+    "The Agnes Irwin School",
+    "Lower Merion High School",
+    "Harriton High School",
+    "Wissahickon High School",
+    "Food4TheBay",
+    "Food4Pitt"
+];
+
+const TEAMS = ["Executive", "Chapter Head", "Outreach", "Member"];
+
+const GRADES = ["Freshman", "Sophomore", "Junior", "Senior"];
+
+const FORM_QUESTIONS = [
+    "Full Name",
+    "Email",
+    "Phone Number",
+    "School / Chapter",
+    "Team",
+    "Grade",
+    "Parent Emails"
+];
+
+const CONFIG = [
+    ["FORM_NAME_QUESTION", "Full Name"],
+    ["FORM_EMAIL_QUESTION", "Email"],
+    ["FORM_PHONE_QUESTION", "Phone Number"],
+    ["FORM_CHAPTER_QUESTION", "School / Chapter"],
+    ["FORM_TEAM_QUESTION", "Team"],
+    ["FORM_GRADE_QUESTION", "Grade"],
+    ["FORM_PARENT_EMAILS_QUESTION", "Parent Emails"]
+];
+
+/**
+ * Creates a project whose SpreadsheetApp and FormApp contain the directory and form
+ * @param {object} options
+ * @param {array<array>} options.members - Rows to place under the Members header
+ * @param {array<string>} options.membersHeader - Header row of the Members sheet (defaults to MEMBERS_HEADER)
+ * @param {array<string>} options.chapters - Chapter names (defaults to CHAPTERS)
+ * @param {array<string>} options.teams - Team names (defaults to TEAMS)
+ * @param {array<string>} options.grades - Grade names (defaults to GRADES)
+ * @param {array<array>} options.config - Key/value rows for the Config sheet (defaults to CONFIG)
+ * @param {boolean} options.initialize - Whether to call SheetData.initialize() (default true)
+ * @returns {object} - The loaded project plus {directory, memberSheet, form}
+ */
+function createTestProject(options) {
+    options = options || {};
+    const project = loadProject();
+    const { SheetData } = project.globals;
+    const { SpreadsheetApp, FormApp, PropertiesService } = project.services;
+
+    const directory = SpreadsheetApp.addSpreadsheet(SheetData.DIRECTORY_SHEET_ID, "Food4Philly Directory");
+    const memberSheet = directory.addSheet("Members", [options.membersHeader || MEMBERS_HEADER].concat(options.members || []));
+    directory.addSheet("Chapters", [["Chapter"]].concat((options.chapters || CHAPTERS).map(chapter => [chapter])));
+    directory.addSheet("Teams", [["Team"]].concat((options.teams || TEAMS).map(team => [team])));
+    directory.addSheet("Grades", [["Grade"]].concat((options.grades || GRADES).map(grade => [grade])));
+    directory.addSheet("Config", [["Key", "Value"]].concat(options.config || CONFIG));
+
+    const form = FormApp.addForm(SheetData.MEMBERSHIP_FORM_ID);
+    FORM_QUESTIONS.forEach(title => form.addItem(title));
+
+    PropertiesService.getScriptProperties().setProperties({
+        WIX_APP_ID: "test-app",
+        WIX_APP_SECRET: "test-secret",
+        WIX_INSTANCE_ID: "test-instance"
+    });
+
+    if (options.initialize !== false)
+        SheetData.initialize();
+
+    return Object.assign(project, { directory, memberSheet, form });
+}
+
+/**
+ * Builds form answers keyed by question title
+ * @param {object} answers - Overrides for the default answers
+ * @returns {object}
+ */
+function formAnswers(answers) {
+    return Object.assign({
+        "Full Name": "jane doe",
+        "Email": "Jane.Doe@Example.com ",
+        "Phone Number": "(215) 555 0100",
+        "School / Chapter": "Haverford",
+        "Team": "Outreach",
+        "Grade": "Junior",
+        "Parent Emails": "Parent.One@example.com, parent.two@example.com"
+    }, answers || {});
+}
+
+module.exports = {
+    createTestProject,
+    formAnswers,
+    MEMBERS_HEADER,
+    CHAPTERS,
+    TEAMS,
+    GRADES,
+    FORM_QUESTIONS,
+    CONFIG
+};
@@ -0,0 +1,86 @@
+/**
+ * Loads every Apps Script source file of the project into a single V8 context
+ * whose globals are backed by the in-memory service fakes, mirroring how
+ * Apps Script shares one global scope between all files of a project
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { FakeSpreadsheetApp } = require("./FakeSpreadsheetApp");
+const { FakeFormApp } = require("./FakeFormApp");
+const { FakePropertiesService, FakeCacheService, FakeHtmlService, FakeScriptApp, FakeUtilities, FakeMailApp, FakeDriveApp, FakeLockService, FakeConsole } = require("./FakeServices");
+const { FakeWixServer, FakeUrlFetchApp } = require("./FakeWixServer");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..", "..");
+const IGNORED_DIRECTORIES = ["tests", "node_modules", ".git"];
+
+/**
+ * Lists the project's Apps Script sources in a stable order
+ * @returns {array<string>} - Absolute paths of every .js file outside the ignored directories
+ */
+function listSourceFiles(directory) {
+    directory = directory || PROJECT_ROOT;
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(dirent => {
+            const fullPath = path.join(directory, dirent.name);
+            if (dirent.isDirectory())
+                return IGNORED_DIRECTORIES.includes(dirent.name) ? [] : listSourceFiles(fullPath);
+            return dirent.name.endsWith(".js") ? [fullPath] : [];
+        });
+}
+
+/**
+ * Creates a fresh project instance backed by new fakes
+ * @returns {object} - {globals, services, console, wix, run}
+ *   globals proxies every top-level declaration of the project (SheetData, Entry, ...)
+ *   services exposes the fakes so tests can arrange and inspect state
+ */
+function loadProject() {
+    const wix = new FakeWixServer();
+    const services = {
+        SpreadsheetApp: new FakeSpreadsheetApp(),
+        FormApp: new FakeFormApp(),
+        PropertiesService: new FakePropertiesService(),
+        CacheService: new FakeCacheService(),
+        HtmlService: new FakeHtmlService(PROJECT_ROOT),
+        ScriptApp: new FakeScriptApp(),
+        Utilities: new FakeUtilities(),
+        MailApp: new FakeMailApp(),
+        DriveApp: new FakeDriveApp(),
+        LockService: new FakeLockService(),
+        UrlFetchApp: new FakeUrlFetchApp(wix)
+    };
+    const fakeConsole = new FakeConsole();
+
+    const context = vm.createContext(Object.assign({ console: fakeConsole }, services));
+
+    for (const file of listSourceFiles()) {
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: path.relative(PROJECT_ROOT, file) });
+    }
+
+    const globals = new Proxy({}, {
+        get: (target, name) => vm.runInContext(String(name), context)
+    });
+
+    return {
+        globals,
+        services,
+        wix,
+        console: fakeConsole,
+        context,
+        /**
+         * Evaluates an expression inside the project context
+         * @param {string} code - Source to run, e.g. "addAllFormResponses()"
+         */
+        run: code => vm.runInContext(code, context)
+    };
+}
+
+module.exports = {
+    loadProject,
+    listSourceFiles,
+    PROJECT_ROOT
+};
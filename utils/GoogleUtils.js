@@ -63,6 +63,45 @@ const SheetUtils = {
             .filter(value => value !== "");
     },
 
+    /**
+     * Returns the sheet with the given name, creating it with a bold header row if it does not exist
+     * 
+     * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet containing the sheet
+     * @param {string} name - The name of the sheet
+     * @param {array} header - Column titles written to the first row of a newly created sheet
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet} - The existing or newly created sheet
+     */
+    getOrCreateSheet: function(spreadsheet, name, header) {
+        const existing = spreadsheet.getSheetByName(name);
+        if (existing)
+            return existing;
+
+        const sheet = spreadsheet.insertSheet(name);
+        if (header && header.length) {
+            sheet.getRange(1, 1, 1, header.length)
+                .setValues([header])
+                .setFontWeight("bold");
+            sheet.setFrozenRows(1);
+        }
+        return sheet;
+    },
+
+    /**
+     * Replaces every row below the header of a sheet with new values
+     * 
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to overwrite
+     * @param {array<array>} rows - The rows to write, all with the same number of columns
+     * @returns {void}
+     */
+    replaceRows: function(sheet, rows) {
+        const lastRow = sheet.getLastRow();
+        if (lastRow > 1)
+            sheet.getRange(2, 1, lastRow - 1, Math.max(sheet.getLastColumn(), 1)).clearContent();
+
+        if (rows.length)
+            sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    },
+
     /**
      * Creates a data validation dropdown for a specified range in the spreadsheet
      * Ensures that cells can only contain values from the specified source range
@@ -0,0 +1,117 @@
+/**
+ * Matches a submitted entry against the members already in the directory
+ * Identifies a member by email, then normalized phone, then fuzzy name within the same chapter,
+ * so a member who changes their phone, grade or team is updated instead of added twice
+ */
+const IdentityResolver = {
+    // Confidence assigned to each kind of match
+    EMAIL_CONFIDENCE: 1,
+    PHONE_CONFIDENCE: 0.9,
+    // Matches at or above this confidence update the existing row
+    CONFIDENT_MATCH: 0.9,
+    // Matches at or above this confidence (but below CONFIDENT_MATCH) are flagged for review
+    POSSIBLE_MATCH: 0.7,
+
+    /**
+     * Finds the existing member a new entry most likely refers to
+     * A match is confident when only one member scores at least CONFIDENT_MATCH, when exactly one of them
+     * shares the entry's email (siblings often share a parent's phone), or when the best scores strictly
+     * higher than every other; otherwise the result is ambiguous
+     * 
+     * @param {Entry} entry - The submitted entry
+     * @param {array<object>} members - Existing members as {row, entry} objects
+     * @returns {object} - {status: "match" | "ambiguous" | "none", row, confidence, reason, candidates}
+     *   candidates lists every member scoring at least POSSIBLE_MATCH, best first
+     */
+    resolve: function(entry, members) {
+        const candidates = members
+            .map(member => Object.assign({ row: member.row, entry: member.entry }, this.score(entry, member.entry)))
+            .filter(candidate => candidate.confidence >= this.POSSIBLE_MATCH)
+            .sort((a, b) => (b.confidence - a.confidence) || ((b.reason === "email") - (a.reason === "email")));
+
+        if (candidates.length === 0)
+            return { status: "none", row: -1, confidence: 0, reason: "", candidates };
+
+        const best = candidates[0];
+        const confident = candidates.filter(candidate => candidate.confidence >= this.CONFIDENT_MATCH);
+        const emailMatches = confident.filter(candidate => candidate.reason === "email");
+        const status = (confident.length === 1 || emailMatches.length === 1 ||
+            (confident.length > 1 && confident[0].confidence > confident[1].confidence)) ? "match" : "ambiguous";
+
+        return { status, row: best.row, confidence: best.confidence, reason: best.reason, candidates };
+    },
+
+    /**
+     * Scores how likely two entries are the same member
+     * @param {Entry} entry - The submitted entry
+     * @param {Entry} other - An existing directory entry
+     * @returns {object} - {confidence: 0 to 1, reason: "email" | "phone" | "name" | ""}
+     */
+    score: function(entry, other) {
+        if (entry.email && this.normalizeEmail(entry.email) === this.normalizeEmail(other.email))
+            return { confidence: this.EMAIL_CONFIDENCE, reason: "email" };
+
+        const phone = this.normalizePhone(entry.phone);
+        if (phone && phone === this.normalizePhone(other.phone))
+            return { confidence: this.PHONE_CONFIDENCE, reason: "phone" };
+
+        if (entry.chapter && entry.chapter === other.chapter) {
+            const confidence = this.nameSimilarity(entry.name, other.name);
+            if (confidence > 0)
+                return { confidence, reason: "name" };
+        }
+
+        return { confidence: 0, reason: "" };
+    },
+
+    /**
+     * Compares two names using fuzzy string matching
+     * @param {string} name - First name to compare
+     * @param {string} other - Second name to compare
+     * @returns {number} - Similarity from 0 (unrelated) to 1 (identical after normalizing)
+     */
+    nameSimilarity: function(name, other) {
+        const a = this.normalizeName(name);
+        const b = this.normalizeName(other);
+        if (!a || !b)
+            return 0;
+        if (a === b)
+            return 1;
+
+        const matches = FuzzySet([b]).get(a);
+        return matches ? matches[0][0] : 0;
+    },
+
+    /**
+     * Example: " Jane.Doe@Example.com " --> "jane.doe@example.com"
+     * @param {string} email
+     * @returns {string}
+     */
+    normalizeEmail: function(email) {
+        return String(email || "").trim().toLowerCase();
+    },
+
+    /**
+     * Reduces a phone number to its last ten digits
+     * Example: "+1 (215) 555-0100" --> "2155550100"
+     * @param {string} phone
+     * @returns {string} - Ten digits, or "" if the number is too short to identify anyone
+     */
+    normalizePhone: function(phone) {
+        const digits = String(phone || "").replace(/\D/g, "");
+        return digits.length >= 10 ? digits.slice(-10) : "";
+    },
+
+    /**
+     * Example: "  Jane   O'Doe " --> "jane odoe"
+     * @param {string} name
+     * @returns {string}
+     */
+    normalizeName: function(name) {
+        return String(name || "")
+            .toLowerCase()
+            .replace(/[^a-z0-9 ]/g, "")
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+};
@@ -0,0 +1,125 @@
+/**
+ * Error thrown when a Wix API request fails
+ * Carries the HTTP status and response body so callers can decide how to react
+ */
+class WixApiError extends Error {
+    /**
+     * @param {string} message - Description of the failure
+     * @param {number} code - HTTP status code (0 if the request never got a response)
+     * @param {string} body - Response body text
+     * @param {string} endpoint - The API endpoint path that was requested
+     */
+    constructor(message, code, body, endpoint) {
+        super(message);
+        this.name = "WixApiError";
+        this.code = code;
+        this.body = body || "";
+        this.endpoint = endpoint || "";
+    }
+
+    /**
+     * Whether the same request may succeed if sent again later
+     * @returns {boolean}
+     */
+    get retryable() {
+        return this.code === 0;
+    }
+
+    /**
+     * Reads the Wix application error code from the response body
+     * Example: '{"details":{"applicationError":{"code":"DUPLICATE_CONTACT_EXISTS"}}}' --> "DUPLICATE_CONTACT_EXISTS"
+     *
+     * @returns {string} - The application error code, or "" if the body has none
+     */
+    get applicationCode() {
+        try {
+            return JSON.parse(this.body)?.details?.applicationError?.code || "";
+        } catch (e) {
+            return "";
+        }
+    }
+
+    /**
+     * Reads the data Wix attached to the application error
+     * Example: a duplicate contact error --> {duplicateContactId: "..."}
+     *
+     * @returns {object} - The application error data, or {} if the body has none
+     */
+    get applicationData() {
+        try {
+            return JSON.parse(this.body)?.details?.applicationError?.data || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Builds the error subclass matching an HTTP status code
+     * @param {number} code - HTTP status code
+     * @param {string} body - Response body text
+     * @param {string} endpoint - The API endpoint path that was requested
+     * @returns {WixApiError}
+     */
+    static fromResponse(code, body, endpoint) {
+        const message = `Wix API request to ${endpoint} failed with status ${code}: ${body}`;
+
+        if (code === 401 || code === 403)
+            return new WixAuthError(message, code, body, endpoint);
+        if (code === 409)
+            return new WixConflictError(message, code, body, endpoint);
+        if (code === 429)
+            return new WixRateLimitError(message, code, body, endpoint);
+        if (code >= 500)
+            return new WixServerError(message, code, body, endpoint);
+        return new WixApiError(message, code, body, endpoint);
+    }
+}
+
+/**
+ * The access token was missing, expired or rejected
+ */
+class WixAuthError extends WixApiError {
+    constructor(message, code, body, endpoint) {
+        super(message, code, body, endpoint);
+        this.name = "WixAuthError";
+    }
+}
+
+/**
+ * The request conflicts with the current state of the contact,
+ * e.g. a duplicate email on create or a stale revision on update
+ */
+class WixConflictError extends WixApiError {
+    constructor(message, code, body, endpoint) {
+        super(message, code, body, endpoint);
+        this.name = "WixConflictError";
+    }
+}
+
+/**
+ * Too many requests were sent; Wix asks the caller to slow down
+ */
+class WixRateLimitError extends WixApiError {
+    constructor(message, code, body, endpoint) {
+        super(message, code, body, endpoint);
+        this.name = "WixRateLimitError";
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Wix failed to handle a valid request (5xx)
+ */
+class WixServerError extends WixApiError {
+    constructor(message, code, body, endpoint) {
+        super(message, code, body, endpoint);
+        this.name = "WixServerError";
+    }
+
+    get retryable() {
+        return true;
+    }
+}
@@ -4,9 +4,20 @@
  * Handles token caching to minimize API calls and improve performance
  */
 const WixService = {
-
+    BASE_URL: "https://www.wixapis.com",
+    // Attempts per request before giving up on rate-limit, server and network errors
+    MAX_ATTEMPTS: 5,
+    BASE_RETRY_DELAY_MS: 1000,
+    MAX_RETRY_DELAY_MS: 60000,
+
+    // When this execution started; Apps Script loads the project afresh for every execution
+    executionStart: Date.now(),
     accessToken: "",
     accessTokenExpiryTime: 0,
+    // Map of label display name to label key, loaded on first use
+    labels: null,
+    // Map of extended field display name to field key, loaded on first use
+    extendedFields: null,
 
     /**
      * Obtains a valid OAuth2 access token for Wix API authentication
@@ -14,13 +25,14 @@ const WixService = {
      * Retrieves credentials from Google Apps Script properties
      * 
      * @static
+     * @param {boolean} forceRefresh - Requests a new token even if the cached one has not expired
      * @returns {string} - Valid access token for Wix API requests
-     * @throws {Error} - If token retrieval fails or API returns an error
+     * @throws {WixAuthError} - If token retrieval fails or API returns an error
      */
-    getAccessToken: function() {
+    getAccessToken: function(forceRefresh) {
         const now = Date.now();
 
-        if (WixService.accessToken && now < WixService.accessTokenExpiryTime - 60000) {
+        if (!forceRefresh && WixService.accessToken && now < WixService.accessTokenExpiryTime - 60000) {
             return WixService.accessToken;
         }
 
@@ -34,7 +46,7 @@ const WixService = {
         };
 
         const response = UrlFetchApp.fetch(
-            "https://www.wixapis.com/oauth2/token",
+            this.BASE_URL + "/oauth2/token",
             {
                 method: "post",
                 contentType: "application/json",
@@ -43,10 +55,14 @@ const WixService = {
             }
         );
 
-        const data = JSON.parse(response.getContentText());
+        let data = {};
+        try {
+            data = JSON.parse(response.getContentText());
+        } catch (e) {}
 
         if (!data.access_token) {
-            throw new Error("Failed to obtain Wix access token: " + response.getContentText());
+            throw new WixAuthError("Failed to obtain Wix access token: " + response.getContentText(),
+                response.getResponseCode(), response.getContentText(), "/oauth2/token");
         }
 
         this.accessToken = data.access_token;
@@ -56,110 +72,172 @@ const WixService = {
     },
 
     /**
-     * Makes an authenticated POST request to the Wix API
-     * Automatically obtains an access token and includes it in the authorization header
-     * Handles API responses with error logging for failed requests
+     * Sends an authenticated request to the Wix API
+     * Rate-limited (429) and server (5xx) responses and network failures are retried with exponential backoff,
+     * waiting as long as the Retry-After or X-RateLimit-Reset header asks when one is present
+     * A request is not retried if the wait would run past the execution's deadline (see getDeadline)
+     * A 401 refreshes the access token once and resends the request
      * 
      * @static
+     * @param {string} method - HTTP method ("get", "post" or "patch")
      * @param {string} endpoint - The API endpoint path (e.g., "/contacts/v4/contacts")
-     * @param {object} payload - The request body data to send as JSON
+     * @param {object} payload - The request body data to send as JSON (optional)
      * @returns {object} - Object containing {code: responseCode, body: responseText}
+     * @throws {WixApiError} - The typed error for the last failed attempt
      */
-    wixPost: function(endpoint, payload) {
-        const token = this.getAccessToken();
+    request: function(method, endpoint, payload) {
+        let refreshToken = false;
+        let refreshedToken = false;
 
-        const response = UrlFetchApp.fetch(
-            "https://www.wixapis.com" + endpoint,
-            {
-                method: "post",
-                contentType: "application/json",
+        for (let attempt = 1; ; attempt++) {
+            const params = {
+                method: method,
                 headers: {
-                    Authorization: "Bearer " + token
+                    Authorization: "Bearer " + this.getAccessToken(refreshToken)
                 },
-                payload: JSON.stringify(payload),
                 muteHttpExceptions: true
+            };
+            if (payload !== undefined) {
+                params.contentType = "application/json";
+                params.payload = JSON.stringify(payload);
             }
-        );
 
-        const code = response.getResponseCode();
-        const text = response.getContentText();
+            let response;
+            try {
+                response = UrlFetchApp.fetch(this.BASE_URL + endpoint, params);
+            } catch (e) {
+                const error = new WixApiError(`Wix API request to ${endpoint} failed: ${e.message}`, 0, "", endpoint);
+                if (attempt >= this.MAX_ATTEMPTS || !this.backOff(error, attempt, null))
+                    throw error;
+                continue;
+            }
+
+            refreshToken = false;
+            const code = response.getResponseCode();
+            const text = response.getContentText();
+            if (code >= 200 && code < 300)
+                return { code, body: text };
+
+            const error = WixApiError.fromResponse(code, text, endpoint);
+
+            if (code === 401 && !refreshedToken) {
+                console.warn(`Wix rejected the access token for ${endpoint}; requesting a new one`);
+                refreshToken = refreshedToken = true;
+                attempt--;
+                continue;
+            }
+
+            if (!error.retryable || attempt >= this.MAX_ATTEMPTS) {
+                console.error("Wix API Error:", error.message);
+                throw error;
+            }
+
+            if (!this.backOff(error, attempt, response))
+                throw error;
+        }
+    },
+
+    /**
+     * Waits before retrying a failed request, unless the wait would run past the deadline
+     * @param {WixApiError} error - The error of the failed attempt
+     * @param {number} attempt - The attempt that failed (1-indexed)
+     * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - The failed response, or null after a network failure
+     * @returns {boolean} - False if the request should not be retried
+     */
+    backOff: function(error, attempt, response) {
+        const delay = this.getRetryDelay(attempt, response ? response.getAllHeaders() : {});
+        if (Date.now() + delay > this.getDeadline()) {
+            console.warn(`${error.message}; not retrying, as waiting ${delay} ms would pass the execution's time limit`);
+            return false;
+        }
+
+        console.warn(`${error.message}; retrying in ${delay} ms (attempt ${attempt + 1} of ${this.MAX_ATTEMPTS})`);
+        Utilities.sleep(delay);
+        return true;
+    },
 
-        if (code !== 200 && code !== 201) {
-            console.error("Wix API Error:", text);
+    /**
+     * The time after which failed requests are no longer retried
+     * Batches stop at the same limit (ResponseLedger.isNearTimeLimit), so retries never push a run past
+     * the Apps Script execution limit; the caller queues the failed change in the WixOutbox instead
+     * @returns {number} - Milliseconds since epoch
+     */
+    getDeadline: function() {
+        return this.executionStart + ResponseLedger.MAX_RUNTIME_MS;
+    },
+
+    /**
+     * Calculates how long to wait before the next attempt
+     * Honors Retry-After (seconds or an HTTP date) and X-RateLimit-Reset (seconds, or a Unix time in seconds),
+     * otherwise doubles the delay after every attempt
+     * Example: (3, {}) --> 4000
+     * 
+     * @param {number} attempt - The attempt that failed (1-indexed)
+     * @param {object} headers - The response headers
+     * @returns {number} - Delay in milliseconds, capped at MAX_RETRY_DELAY_MS
+     */
+    getRetryDelay: function(attempt, headers) {
+        const header = name => {
+            const key = Object.keys(headers || {}).find(other => other.toLowerCase() === name);
+            return key === undefined ? null : String(headers[key]).trim();
+        };
+
+        let delay = this.BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+
+        const retryAfter = header("retry-after");
+        const reset = header("x-ratelimit-reset");
+        if (retryAfter !== null && retryAfter !== "") {
+            delay = /^\d+(\.\d+)?$/.test(retryAfter)
+                ? Number(retryAfter) * 1000
+                : new Date(retryAfter).getTime() - Date.now();
+        } else if (reset !== null && /^\d+(\.\d+)?$/.test(reset)) {
+            const seconds = Number(reset);
+            delay = seconds > 1000000000 ? seconds * 1000 - Date.now() : seconds * 1000;
         }
 
-        return { code, body: text };
+        if (!(delay >= 0))
+            delay = 0;
+        return Math.min(Math.ceil(delay), this.MAX_RETRY_DELAY_MS);
+    },
+
+    /**
+     * Makes an authenticated POST request to the Wix API
+     * 
+     * @static
+     * @param {string} endpoint - The API endpoint path (e.g., "/contacts/v4/contacts")
+     * @param {object} payload - The request body data to send as JSON
+     * @returns {object} - Object containing {code: responseCode, body: responseText}
+     * @throws {WixApiError} - If the request still fails after retrying
+     */
+    wixPost: function(endpoint, payload) {
+        return this.request("post", endpoint, payload);
     },
 
     /**
      * Makes an authenticated GET request to the Wix API
-     * Automatically obtains an access token and includes it in the authorization header
-     * Handles API responses with error logging for failed requests
      * 
      * @static
      * @param {string} endpoint - The API endpoint path (e.g., "/contacts/v4/contacts")
      * @returns {object} - Object containing {code: responseCode, body: responseText}
+     * @throws {WixApiError} - If the request still fails after retrying
      */
     wixGet: function(endpoint) {
-        const token = this.getAccessToken();
-        const response = UrlFetchApp.fetch(
-            "https://www.wixapis.com" + endpoint,
-            {   
-                method: "get",
-                headers: {
-                    Authorization: "Bearer " + token
-                },
-                muteHttpExceptions: true
-            }
-        );
-
-        const code = response.getResponseCode();
-        const text = response.getContentText();
-
-        if (code !== 200) {
-            console.error("Wix API Error:", text);
-        }
-
-        return { code, body: text };
+        return this.request("get", endpoint);
     },
 
     /**
      * Makes an authenticated PATCH request to the Wix API
-     * Automatically obtains an access token and includes it in the authorization header
-     * Handles API responses with error logging for failed requests
      * 
      * @static
      * @param {string} endpoint - The API endpoint path (e.g., "/contacts/v4/contacts")
      * @param {object} payload - The request body data to send as JSON
      * @returns {object} - Object containing {code: responseCode, body: responseText}
+     * @throws {WixApiError} - If the request still fails after retrying
      */
     wixPatch: function(endpoint, payload) {
-        const token = this.getAccessToken();
-
-        const response = UrlFetchApp.fetch(
-            "https://www.wixapis.com" + endpoint,
-            {
-                method: "patch",
-                contentType: "application/json",
-                headers: {
-                    Authorization: "Bearer " + token
-                },
-                payload: JSON.stringify(payload),
-                muteHttpExceptions: true
-            }
-        );
-
-        const code = response.getResponseCode();
-        const text = response.getContentText();
-
-        if (code !== 200 && code !== 201) {
-            console.error("Wix API Error:", text);
-        }
-
-        return { code, body: text };
+        return this.request("patch", endpoint, payload);
     },
 
-
     /**
      * Creates a new contact in the Wix CMS
      * Constructs contact data with name, email, phone, and custom labels
@@ -171,9 +249,11 @@ const WixService = {
      * @param {string} email - Contact's email address (required for creation)
      * @param {string} phone - Contact's phone number (optional)
      * @param {array} labels - Array of normalized label keys for categorization (optional)
+     * @param {object} extendedFields - Map of extended field key to value (optional)
      * @returns {object} - API response object with {code: responseCode, body: responseText}
+     * @throws {WixApiError} - If Wix rejects the request (WixConflictError for a duplicate email or stale revision)
      */
-    createContact: function(name, email, phone, labels) {
+    createContact: function(name, email, phone, labels, extendedFields) {
         if (!email) return;
 
         const splitName = WixUtils.splitName(name);
@@ -199,6 +279,15 @@ const WixService = {
             };
         }
 
+        if (extendedFields) {
+            payload.info.extendedFields = {
+                items: extendedFields
+            };
+        }
+
+        if (ChangePlan.enabled)
+            return this.recordPlannedWrite("Create contact", name, WixService.describeContact(email, phone, labels, extendedFields));
+
         return this.wixPost("/contacts/v4/contacts", payload);
     },
     
@@ -209,10 +298,12 @@ const WixService = {
      * @param {string} name - Contact's full name to be split and updated
      * @param {string} email - Contact's main email address
      * @param {string} phone - Contact's mobile phone number 
-     * @param {array} labels - Array of normalized label keys for categorization
+     * @param {array} labels - Array of normalized label keys replacing the contact's labels (null leaves them unchanged)
+     * @param {object} extendedFields - Map of extended field key to value to set; other fields keep their values (optional)
      * @returns {object} - API response object with {code: responseCode, body: responseText}
+     * @throws {WixApiError} - If Wix rejects the request (WixConflictError for a duplicate email or stale revision)
      */
-    updateContact: function(contact, name, email, phone, labels) {
+    updateContact: function(contact, name, email, phone, labels, extendedFields) {
         if (!contact || !contact.id) return;
 
         const contactId = contact.id;
@@ -239,21 +330,46 @@ const WixService = {
             };
         }
 
-        if (labels && labels.length) {
+        if (labels) {
             payload.info.labelKeys = {
                 items: labels.filter(Boolean)
             };
         }
 
+        if (extendedFields) {
+            const current = contact.info?.extendedFields?.items || {};
+            const custom = Object.keys(current)
+                .filter(key => key.startsWith("custom."))
+                .reduce((fields, key) => Object.assign(fields, { [key]: current[key] }), {});
+            payload.info.extendedFields = {
+                items: Object.assign(custom, extendedFields)
+            };
+        }
+
+        if (ChangePlan.enabled)
+            return this.recordPlannedWrite("Update contact", name || contactId, WixService.describeContact(email, phone, labels, extendedFields));
+
         return this.wixPatch(`/contacts/v4/contacts/${contactId}`, payload);
     },
 
+    /**
+     * Fetches a contact from the Wix CMS by ID, including its current revision
+     * @param {string} contactId - The Wix contact ID
+     * @returns {object} - The contact
+     * @throws {WixApiError} - If the contact cannot be fetched
+     */
+    getContact: function(contactId) {
+        const response = this.wixGet(`/contacts/v4/contacts/${contactId}`);
+        return JSON.parse(response.body).contact;
+    },
+
     /**
      * Queries the Wix CMS for a contact by name, email, or phone
      * @param {string} name - Contact's full name
      * @param {string} email - Contact's main email address
      * @param {string} phone - Contact's mobile phone number
      * @returns {object|null} - The found contact or null if not found
+     * @throws {WixApiError} - If a query fails
      */
     queryContact: function(name, email, phone) { 
         const executeQuery = (filter) => {
@@ -265,12 +381,6 @@ const WixService = {
             };
 
             const response = this.wixPost("/contacts/v4/contacts/query", payload);
-
-            if (response.code !== 200) {
-                console.error("Failed to query contact:", response.body);
-                return null;
-            }
-
             const contacts = JSON.parse(response.body).contacts;
             
             if (contacts && contacts.length > 0) {
@@ -307,7 +417,8 @@ const WixService = {
 
     /**
      * Queries all contacts in the Wix CMS
-     * @returns {Array|null} - An array of all contacts or null if the query fails
+     * @returns {Array} - An array of all contacts
+     * @throws {WixApiError} - If a page of the query fails
      */
     queryAllContacts: function() {
         let allItems = [];
@@ -329,12 +440,6 @@ const WixService = {
             }
 
             const response = WixService.wixPost("/contacts/v4/contacts/query", payload);
-
-            if (response.code !== 200) {
-                console.error("Failed to query Members:", response.body);
-                return null;
-            }
-
             const data = JSON.parse(response.body);
 
             const items = data.contacts || [];
@@ -346,13 +451,128 @@ const WixService = {
             offset += paging?.count || 0;
         }
 
-        return allItems || null;
+        return allItems;
+    },
+
+    /**
+     * Loads every contact label defined in the Wix CMS
+     * The labels are cached for the rest of the execution
+     * 
+     * @returns {object} - Map of label display name to label key
+     * @throws {WixApiError} - If a page of labels cannot be loaded
+     */
+    getLabels: function() {
+        if (this.labels)
+            return this.labels;
+
+        const labels = {};
+        let offset = 0;
+        let hasNext = true;
+
+        while (hasNext) {
+            const response = this.wixGet(`/contacts/v4/labels?paging.limit=1000&paging.offset=${offset}`);
+            const data = JSON.parse(response.body);
+
+            (data.labels || []).forEach(label => labels[label.displayName] = label.key);
+
+            hasNext = data.pagingMetadata?.hasNext === true;
+            offset += data.pagingMetadata?.count || 0;
+        }
+
+        this.labels = labels;
+        return labels;
+    },
+
+    /**
+     * Finds the key of the label with the given display name, creating the label if it does not exist yet
+     * During a dry run a missing label is recorded in the ChangePlan and a placeholder key is returned
+     * Example: "Team: Outreach" --> "custom.team-outreach"
+     * 
+     * @param {string} displayName - The label's display name
+     * @returns {string} - The label key
+     * @throws {WixApiError} - If the label cannot be found or created
+     */
+    findOrCreateLabel: function(displayName) {
+        const labels = this.getLabels();
+        if (labels[displayName])
+            return labels[displayName];
+
+        if (ChangePlan.enabled) {
+            this.recordPlannedWrite("Create label", displayName, "");
+            return labels[displayName] = WixUtils.normalizeLabel(displayName);
+        }
+
+        const response = this.wixPost("/contacts/v4/labels", { displayName: displayName });
+        return labels[displayName] = JSON.parse(response.body).label.key;
+    },
+
+    /**
+     * Loads every extended (custom) contact field defined in the Wix CMS
+     * The fields are cached for the rest of the execution
+     * 
+     * @returns {object} - Map of field display name to field key
+     * @throws {WixApiError} - If a page of fields cannot be loaded
+     */
+    getExtendedFields: function() {
+        if (this.extendedFields)
+            return this.extendedFields;
+
+        const fields = {};
+        let offset = 0;
+        let hasNext = true;
+
+        while (hasNext) {
+            const response = this.wixGet(`/contacts/v4/extended-fields?paging.limit=1000&paging.offset=${offset}`);
+            const data = JSON.parse(response.body);
+
+            (data.fields || []).forEach(field => fields[field.displayName] = field.key);
+
+            hasNext = data.pagingMetadata?.hasNext === true;
+            offset += data.pagingMetadata?.count || 0;
+        }
+
+        this.extendedFields = fields;
+        return fields;
+    },
+
+    /**
+     * Finds the key of the text extended field with the given display name, creating the field if it does not exist yet
+     * During a dry run a missing field is recorded in the ChangePlan and a placeholder key is returned
+     * 
+     * @param {string} displayName - The field's display name
+     * @returns {string} - The field key
+     * @throws {WixApiError} - If the field cannot be found or created
+     */
+    findOrCreateExtendedField: function(displayName) {
+        const fields = this.getExtendedFields();
+        if (fields[displayName])
+            return fields[displayName];
+
+        if (ChangePlan.enabled) {
+            this.recordPlannedWrite("Create field", displayName, "");
+            return fields[displayName] = WixUtils.normalizeLabel(displayName);
+        }
+
+        const response = this.wixPost("/contacts/v4/extended-fields", { displayName: displayName, dataType: "TEXT" });
+        return fields[displayName] = JSON.parse(response.body).field.key;
+    },
+
+    /**
+     * Reads the newsletter subscription of an email address
+     * @param {string} email - The email address to look up
+     * @returns {object|null} - The subscription ({email, subscriptionStatus, deliverabilityStatus}), or null if Wix has none
+     * @throws {WixApiError} - If the subscription cannot be read
+     */
+    getSubscription: function(email) {
+        const response = this.wixPost("/email-marketing/v1/email-subscriptions/query", { filter: { email: { $in: [email] } } });
+        return (JSON.parse(response.body).subscriptions || [])[0] || null;
     },
 
     /**
      * Subscribes a contact to the newsletter
      * @param {string} email - The email address of the contact to subscribe
      * @returns {object} - The response from the Wix API
+     * @throws {WixApiError} - If Wix rejects the request
      */
     subscribeContact: function(email) {
         if (!email) return; 
@@ -365,6 +585,63 @@ const WixService = {
             }
         };
 
+        if (ChangePlan.enabled)
+            return this.recordPlannedWrite("Subscribe", email, "Newsletter subscription set to SUBSCRIBED");
+
         return this.wixPost("/email-marketing/v1/email-subscriptions", payload);
+    },
+
+    /**
+     * Unsubscribes a contact from the newsletter
+     * @param {string} email - The email address of the contact to unsubscribe
+     * @returns {object} - The response from the Wix API
+     * @throws {WixApiError} - If Wix rejects the request
+     */
+    unsubscribeContact: function(email) {
+        if (!email) return;
+
+        const payload = {
+            subscription: {
+                email: email,
+                subscriptionStatus: "UNSUBSCRIBED"
+            }
+        };
+
+        if (ChangePlan.enabled)
+            return this.recordPlannedWrite("Unsubscribe", email, "Newsletter subscription set to UNSUBSCRIBED");
+
+        return this.wixPost("/email-marketing/v1/email-subscriptions", payload);
+    },
+
+    /**
+     * Records a write in the ChangePlan instead of sending it to the Wix API during a dry run
+     * 
+     * @param {string} action - The write that would be made (e.g. "Create contact")
+     * @param {string} subject - The contact the write applies to
+     * @param {string} details - Description of the data that would be sent
+     * @returns {object} - Placeholder API response object with {code: responseCode, body: responseText}
+     */
+    recordPlannedWrite: function(action, subject, details) {
+        ChangePlan.record("Wix", action, subject, details);
+        return { code: 200, body: "{}" };
+    },
+
+    /**
+     * Describes the contact fields of a create or update for the ChangePlan
+     * Example: ("a@b.com", "", ["custom.parent"]) --> "email a@b.com, labels custom.parent"
+     * 
+     * @param {string} email - Contact's main email address
+     * @param {string} phone - Contact's mobile phone number
+     * @param {array} labels - Array of normalized label keys
+     * @param {object} extendedFields - Map of extended field key to value
+     * @returns {string} - Comma-separated description of the non-empty fields
+     */
+    describeContact: function(email, phone, labels, extendedFields) {
+        const parts = [];
+        if (email) parts.push(`email ${email}`);
+        if (phone) parts.push(`phone ${phone}`);
+        if (labels && labels.filter(Boolean).length) parts.push(`labels ${labels.filter(Boolean).join(", ")}`);
+        for (const key in extendedFields || {}) parts.push(`${key} ${extendedFields[key]}`);
+        return parts.join(", ");
     }
 };
\ No newline at end of file